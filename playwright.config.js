@@ -136,7 +136,11 @@ export default defineConfig({
     reuseExistingServer: !process.env.CI,
     timeout: 120 * 1000,
     stdout: 'ignore',
-    stderr: 'pipe'
+    stderr: 'pipe',
+    env: {
+      // Enables the lead inbox for its tests
+      LEADS_ADMIN_PASSWORD: 'playwright-leads'
+    }
   },
 
   // Output directory for test artifacts
@@ -0,0 +1,90 @@
+/**
+ * Privacy Consent Records
+ * Checks the consent record the contact and newsletter forms send (see
+ * src/js/consent.js) and turns it into the record stored with a submission:
+ * `{ version, textHash, givenAt, recordedAt }`.
+ *
+ * The text hash must be the hash the server knows for that form and policy
+ * version, so a stored record shows which wording the visitor agreed to.
+ * When the consent text changes, add a new version with its hashes.
+ *
+ * Forms posted without JavaScript send the ticked checkbox as `consent` (the
+ * policy version) and the page source hash as `consentTextHash`; their
+ * consent is dated when it is received.
+ *
+ * @module server/consent
+ */
+
+/**
+ * Default consent settings
+ */
+export const CONSENT_DEFAULTS = {
+  // Privacy policy versions a visitor may still agree to, with the SHA-256 hash
+  // of the consent text each form shows for that version
+  versions: {
+    '2026-10-01': {
+      contact: '1cdc0f13533e1cf9e9ff80a75b8621fc4bd1380b8a9570046c43a3e036773310',
+      newsletter: 'b9839d757ec942260306fc4e4a130e6ee3d602e614d71a9e441deba606ea31af',
+    },
+  },
+  // Oldest accepted consent; submissions queued offline may arrive days later
+  maxAge: 30 * 24 * 60 * 60 * 1000,
+  // Allowed difference between the visitor's clock and the server's
+  clockSkew: 5 * 60 * 1000,
+};
+
+/**
+ * Read the consent from submitted fields
+ * @param {Object} fields - Submitted fields
+ * @returns {Object|null} - `{ version, textHash, timestamp }`, or null when missing
+ */
+function readConsent(fields) {
+  const { consent } = fields;
+
+  if (typeof consent === 'string' && consent !== '') {
+    return { version: consent, textHash: fields.consentTextHash, timestamp: null };
+  }
+
+  return consent && typeof consent === 'object' && !Array.isArray(consent) ? consent : null;
+}
+
+/**
+ * Check the consent sent with a submission
+ * @param {Object} fields - Submitted fields
+ * @param {Object} [options] - Consent settings, see CONSENT_DEFAULTS
+ * @param {string} options.form - Form the consent was given on, such as 'contact'
+ * @param {number} [options.now] - Current time in ms, for testing
+ * @returns {{valid: boolean, reason: string|null, record: Object|null}} - Reason is
+ *   'missing', 'unknown-version', 'bad-hash' or 'bad-timestamp' when not valid
+ */
+export function verifyConsent(fields, options = {}) {
+  const config = { ...CONSENT_DEFAULTS, ...options };
+  const now = options.now ?? Date.now();
+  const consent = readConsent(fields);
+
+  if (!consent) {
+    return { valid: false, reason: 'missing', record: null };
+  }
+  if (typeof consent.version !== 'string' || !Object.hasOwn(config.versions, consent.version)) {
+    return { valid: false, reason: 'unknown-version', record: null };
+  }
+  if (consent.textHash !== config.versions[consent.version][options.form]) {
+    return { valid: false, reason: 'bad-hash', record: null };
+  }
+
+  const givenAt = consent.timestamp === null ? now : Date.parse(consent.timestamp);
+  if (Number.isNaN(givenAt) || givenAt > now + config.clockSkew || givenAt < now - config.maxAge) {
+    return { valid: false, reason: 'bad-timestamp', record: null };
+  }
+
+  return {
+    valid: true,
+    reason: null,
+    record: {
+      version: consent.version,
+      textHash: consent.textHash,
+      givenAt: new Date(givenAt).toISOString(),
+      recordedAt: new Date(now).toISOString(),
+    },
+  };
+}
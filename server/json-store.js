@@ -0,0 +1,85 @@
+/**
+ * JSON File Store
+ * Minimal persistence for local development: one JSON document on disk,
+ * read and rewritten as a whole. Updates are queued, so concurrent requests
+ * never interleave a read with another request's write, and each write goes
+ * to a temporary file first so a crash cannot leave half a document.
+ *
+ * @module server/json-store
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+/**
+ * Create a store backed by a JSON file
+ * @param {string} file - Path of the JSON file, created on the first write
+ * @param {Object} initial - Document to start from when the file does not exist
+ * @returns {{read: Function, update: Function}} - Store with `read()` and `update(mutate)`
+ */
+export function createJsonStore(file, initial) {
+  let queue = Promise.resolve();
+
+  /**
+   * Run a task after every task queued before it
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} - Task result
+   */
+  function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => undefined);
+    return run;
+  }
+
+  /**
+   * Load the document, filling in collections missing from older files
+   * @returns {Promise<Object>} - Stored document
+   */
+  async function load() {
+    try {
+      return { ...structuredClone(initial), ...JSON.parse(await readFile(file, 'utf8')) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return structuredClone(initial);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the document on disk
+   * @param {Object} data - Document to store
+   */
+  async function save(data) {
+    const tempFile = `${file}.tmp`;
+
+    await mkdir(dirname(file), { recursive: true });
+    await writeFile(tempFile, `${JSON.stringify(data, null, 2)}\n`);
+    await rename(tempFile, file);
+  }
+
+  return {
+    /**
+     * Read the document
+     * @returns {Promise<Object>} - Stored document
+     */
+    read() {
+      return enqueue(load);
+    },
+
+    /**
+     * Change the document and write it back
+     * @param {Function} mutate - Called with the document to change in place; may be async
+     * @returns {Promise<*>} - Value returned by `mutate`
+     */
+    update(mutate) {
+      return enqueue(async () => {
+        const data = await load();
+        const result = await mutate(data);
+        await save(data);
+        return result;
+      });
+    },
+  };
+}
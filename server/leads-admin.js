@@ -0,0 +1,672 @@
+/**
+ * Lead Inbox
+ * Password-protected `/admin/leads` page for the submissions the mock backend
+ * stores: contact form messages and newsletter signups in one list, with
+ * search, a status (new, contacted or closed), notes, and CSV or JSON export.
+ * Pages are rendered on the server and changes are plain form posts, so the
+ * inbox needs no client-side script.
+ *
+ * Access uses HTTP Basic authentication. The inbox stays disabled until a
+ * password is set with the `LEADS_ADMIN_PASSWORD` environment variable; the
+ * user name is `admin` unless `LEADS_ADMIN_USER` is set.
+ *
+ * @module server/leads-admin
+ */
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+
+/**
+ * Default lead inbox settings
+ */
+export const LEADS_DEFAULTS = {
+  path: '/admin/leads',
+  adminUser: 'admin',
+  adminPassword: null,
+  statuses: ['new', 'contacted', 'closed'],
+  maxNoteLength: 2000,
+  maxBodySize: 64 * 1024,
+};
+
+const LEAD_TYPES = ['contact', 'newsletter'];
+
+const CSV_COLUMNS = [
+  'id',
+  'type',
+  'receivedAt',
+  'status',
+  'name',
+  'email',
+  'phone',
+  'inquiryType',
+  'product',
+  'message',
+  'topics',
+  'subscription',
+  'notes',
+];
+
+const PAGE_STYLES = `
+  body { margin: 0; font: 15px/1.5 system-ui, sans-serif; color: #1a1a1a; background: #f5f5f5; }
+  main { max-width: 1200px; margin: 0 auto; padding: 24px; }
+  h1 { margin: 0 0 16px; }
+  .filters { display: flex; flex-wrap: wrap; gap: 12px; align-items: end; margin-bottom: 12px; }
+  .filters label { display: flex; flex-direction: column; font-size: 13px; font-weight: 600; }
+  input, select, textarea, button { font: inherit; }
+  button { cursor: pointer; }
+  table { width: 100%; border-collapse: collapse; background: #fff; }
+  th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; }
+  th { background: #eee; font-size: 13px; }
+  .message { white-space: pre-wrap; max-width: 360px; }
+  .status-new { color: #0069c0; font-weight: 600; }
+  .status-contacted { color: #8a5a00; font-weight: 600; }
+  .status-closed { color: #555; }
+  .notes { margin: 0 0 8px; padding-left: 16px; font-size: 13px; }
+  .notes time { color: #555; }
+  textarea { width: 100%; min-width: 200px; }
+  .visually-hidden { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); }
+`;
+
+/**
+ * Escape text for HTML
+ * @param {*} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Format a timestamp for the inbox
+ * @param {string} value - ISO date
+ * @returns {string} - Date and time in UTC, such as "2024-05-01 14:30"
+ */
+function formatDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Describe a stored contact or subscriber as a lead
+ * @param {Object} record - Stored contact or subscriber
+ * @param {string} type - 'contact' or 'newsletter'
+ * @returns {Object} - Lead with the CSV_COLUMNS fields; `notes` is a list of `{ text, at }`
+ */
+function toLead(record, type) {
+  const lead = record.lead || { status: 'new', notes: [] };
+  const base = {
+    status: lead.status,
+    notes: lead.notes || [],
+    name: '',
+    phone: '',
+    inquiryType: '',
+    product: '',
+    message: '',
+    topics: [],
+    subscription: '',
+  };
+
+  if (type === 'newsletter') {
+    return {
+      ...base,
+      id: record.id || record.email,
+      type,
+      receivedAt: record.createdAt,
+      email: record.email,
+      topics: record.topics || [],
+      subscription: record.status,
+    };
+  }
+
+  const fields = record.fields || {};
+  const product = fields.product || null;
+
+  return {
+    ...base,
+    id: record.id,
+    type,
+    receivedAt: record.receivedAt,
+    name: fields.name || '',
+    email: fields.email || '',
+    phone: fields.phone || '',
+    inquiryType: fields.inquiry ? fields.inquiry.type : fields.inquiryType || '',
+    product: product ? product.name || product.id : '',
+    message: fields.message || '',
+  };
+}
+
+/**
+ * List all leads, newest first
+ * @param {Object} data - Stored document
+ * @returns {Array<Object>} - Leads
+ */
+function getLeads(data) {
+  return [
+    ...data.contacts.map((contact) => toLead(contact, 'contact')),
+    ...data.subscribers.map((subscriber) => toLead(subscriber, 'newsletter')),
+  ].sort((a, b) => String(b.receivedAt).localeCompare(String(a.receivedAt)));
+}
+
+/**
+ * Find the stored record behind a lead
+ * @param {Object} data - Stored document
+ * @param {string} id - Lead ID
+ * @returns {Object|null} - Stored contact or subscriber
+ */
+function findRecord(data, id) {
+  return (
+    data.contacts.find((contact) => contact.id === id) ||
+    data.subscribers.find((subscriber) => (subscriber.id || subscriber.email) === id) ||
+    null
+  );
+}
+
+/**
+ * Read the list filters from a query string
+ * Unknown values are dropped, so filters can be passed through redirects safely.
+ * @param {URLSearchParams} params - Query parameters
+ * @param {Object} config - Inbox settings
+ * @returns {{q: string, type: string, status: string}} - Filters; empty strings match everything
+ */
+function parseFilters(params, config) {
+  const type = params.get('type') || '';
+  const status = params.get('status') || '';
+
+  return {
+    q: (params.get('q') || '').trim().slice(0, 200),
+    type: LEAD_TYPES.includes(type) ? type : '',
+    status: config.statuses.includes(status) ? status : '',
+  };
+}
+
+/**
+ * Turn filters back into a query string
+ * @param {Object} filters - Filters from parseFilters
+ * @returns {string} - Query string with a leading "?", or an empty string
+ */
+function toQuery(filters) {
+  const params = new URLSearchParams();
+
+  Object.entries(filters).forEach(([name, value]) => {
+    if (value) {
+      params.set(name, value);
+    }
+  });
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Apply filters to leads
+ * The search matches name, email, phone, message, product and notes.
+ * @param {Array<Object>} leads - Leads
+ * @param {Object} filters - Filters from parseFilters
+ * @returns {Array<Object>} - Matching leads
+ */
+function filterLeads(leads, filters) {
+  const terms = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+
+  return leads.filter((lead) => {
+    if ((filters.type && lead.type !== filters.type) || (filters.status && lead.status !== filters.status)) {
+      return false;
+    }
+
+    const text = [lead.name, lead.email, lead.phone, lead.message, lead.product, ...lead.notes.map((note) => note.text)]
+      .join(' ')
+      .toLowerCase();
+
+    return terms.every((term) => text.includes(term));
+  });
+}
+
+/**
+ * Quote a value for CSV
+ * Values starting with a formula character are prefixed with an apostrophe, so
+ * spreadsheet apps show them as text instead of running them.
+ * @param {*} value - Cell value
+ * @returns {string} - CSV cell
+ */
+function toCsvCell(value) {
+  const text = String(value ?? '');
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * Export leads as CSV
+ * @param {Array<Object>} leads - Leads
+ * @returns {string} - CSV document
+ */
+function toCsv(leads) {
+  const rows = leads.map((lead) =>
+    CSV_COLUMNS.map((column) => {
+      if (column === 'topics') {
+        return toCsvCell(lead.topics.join(' '));
+      }
+
+      if (column === 'notes') {
+        return toCsvCell(lead.notes.map((note) => `${note.at} ${note.text}`).join(' | '));
+      }
+
+      return toCsvCell(lead[column]);
+    }).join(',')
+  );
+
+  return `${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} actual - Received value
+ * @param {string} expected - Configured value
+ * @returns {boolean} - True if equal
+ */
+function safeEqual(actual, expected) {
+  const digest = (value) => createHash('sha256').update(String(value)).digest();
+  return timingSafeEqual(digest(actual), digest(expected));
+}
+
+/**
+ * Check the Basic authentication credentials of a request
+ * Also guards the mock backend's raw data route, which holds the same leads.
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {Object} config - Inbox settings
+ * @param {string} config.adminUser - User name
+ * @param {string} config.adminPassword - Password
+ * @returns {boolean} - True for the configured user and password
+ */
+export function isAuthorized(req, config) {
+  const [scheme, encoded] = String(req.headers.authorization || '').split(' ');
+  if (scheme !== 'Basic' || !encoded) {
+    return false;
+  }
+
+  const credentials = Buffer.from(encoded, 'base64').toString();
+  const separator = credentials.indexOf(':');
+  if (separator === -1) {
+    return false;
+  }
+
+  const userMatches = safeEqual(credentials.slice(0, separator), config.adminUser);
+  const passwordMatches = safeEqual(credentials.slice(separator + 1), config.adminPassword);
+  return userMatches && passwordMatches;
+}
+
+/**
+ * Check that a form post comes from the inbox itself
+ * Browsers resend Basic credentials automatically, so posts from other sites are refused.
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @returns {boolean} - True for same-origin requests
+ */
+function isSameOrigin(req) {
+  const source = req.headers.origin || req.headers.referer;
+
+  try {
+    return Boolean(source) && new URL(source).host === req.headers.host;
+  } catch (_error) {
+    return false;
+  }
+}
+
+/**
+ * Decode a lead ID taken from the request path
+ * @param {string} value - Percent-encoded path segment
+ * @returns {string|null} - Lead ID, or null if the encoding is malformed
+ */
+function decodeLeadId(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * Read a form post body
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {number} limit - Maximum size in bytes
+ * @returns {Promise<URLSearchParams|null>} - Fields, or null if the body is too large
+ */
+function readForm(req, limit) {
+  return new Promise((done, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        done(null);
+        req.destroy();
+        return;
+      }
+
+      chunks.push(chunk);
+    });
+    req.on('end', () => done(new URLSearchParams(Buffer.concat(chunks).toString())));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Wrap content in the inbox page layout
+ * @param {string} title - Page title
+ * @param {string} content - Page HTML
+ * @returns {string} - HTML document
+ */
+function renderLayout(title, content) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="robots" content="noindex, nofollow">
+<title>${escapeHtml(title)} | Grill Business</title>
+<style>${PAGE_STYLES}</style>
+</head>
+<body>
+<main>
+${content}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a select element
+ * @param {string} name - Field name
+ * @param {Array<Array<string>>} options - `[value, label]` pairs
+ * @param {string} selected - Selected value
+ * @param {string} [attributes] - Extra attributes
+ * @returns {string} - HTML
+ */
+function renderSelect(name, options, selected, attributes = '') {
+  const items = options.map(
+    ([value, label]) =>
+      `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`
+  );
+
+  return `<select name="${name}"${attributes}>${items.join('')}</select>`;
+}
+
+/**
+ * Render the contact details and summary of one lead
+ * @param {Object} lead - Lead
+ * @returns {{who: string, details: string}} - HTML for the two columns
+ */
+function renderLeadSummary(lead) {
+  const email = lead.email ? `<a href="mailto:${escapeHtml(lead.email)}">${escapeHtml(lead.email)}</a>` : '';
+
+  if (lead.type === 'newsletter') {
+    return {
+      who: email,
+      details: `Topics: ${escapeHtml(lead.topics.join(', ') || 'none')}<br>Subscription: ${escapeHtml(lead.subscription)}`,
+    };
+  }
+
+  const phone = lead.phone ? `<br><a href="tel:${escapeHtml(lead.phone)}">${escapeHtml(lead.phone)}</a>` : '';
+  const inquiry = [lead.inquiryType, lead.product].filter(Boolean).map(escapeHtml).join(' · ');
+
+  return {
+    who: `<strong>${escapeHtml(lead.name)}</strong><br>${email}${phone}`,
+    details: `${inquiry ? `<div>${inquiry}</div>` : ''}<div class="message">${escapeHtml(lead.message)}</div>`,
+  };
+}
+
+/**
+ * Render one lead as a table row
+ * @param {Object} lead - Lead
+ * @param {string} query - Current filters as a query string, kept across updates
+ * @param {Object} config - Inbox settings
+ * @returns {string} - HTML
+ */
+function renderLeadRow(lead, query, config) {
+  const action = `${config.path}/${encodeURIComponent(lead.id)}`;
+  const label = escapeHtml(lead.name || lead.email);
+  const { who, details } = renderLeadSummary(lead);
+  const statusOptions = config.statuses.map((status) => [status, status[0].toUpperCase() + status.slice(1)]);
+  const notes = lead.notes
+    .map((note) => `<li><time datetime="${escapeHtml(note.at)}">${formatDate(note.at)}</time> ${escapeHtml(note.text)}</li>`)
+    .join('');
+
+  return `<tr id="lead-${escapeHtml(lead.id)}" data-lead-id="${escapeHtml(lead.id)}">
+<td>${formatDate(lead.receivedAt)}</td>
+<td>${lead.type === 'contact' ? 'Contact' : 'Newsletter'}</td>
+<td>${who}</td>
+<td>${details}</td>
+<td>
+<span class="status-${escapeHtml(lead.status)}">${escapeHtml(lead.status)}</span>
+<form method="post" action="${action}/status">
+<input type="hidden" name="return" value="${escapeHtml(query)}">
+${renderSelect('status', statusOptions, lead.status, ` aria-label="Status for ${label}"`)}
+<button type="submit">Update</button>
+</form>
+</td>
+<td>
+${notes ? `<ul class="notes">${notes}</ul>` : ''}
+<form method="post" action="${action}/notes">
+<input type="hidden" name="return" value="${escapeHtml(query)}">
+<textarea name="note" rows="2" maxlength="${config.maxNoteLength}" required aria-label="Note for ${label}"></textarea>
+<button type="submit">Add note</button>
+</form>
+</td>
+</tr>`;
+}
+
+/**
+ * Render the inbox
+ * @param {Array<Object>} leads - Matching leads
+ * @param {number} total - Number of leads before filtering
+ * @param {Object} filters - Filters from parseFilters
+ * @param {Object} config - Inbox settings
+ * @returns {string} - HTML document
+ */
+function renderInbox(leads, total, filters, config) {
+  const query = toQuery(filters);
+  const typeOptions = [
+    ['', 'All'],
+    ['contact', 'Contact'],
+    ['newsletter', 'Newsletter'],
+  ];
+  const statusOptions = [['', 'All'], ...config.statuses.map((status) => [status, status[0].toUpperCase() + status.slice(1)])];
+  const rows = leads.map((lead) => renderLeadRow(lead, query, config)).join('\n');
+
+  return renderLayout(
+    'Leads',
+    `<h1>Leads</h1>
+<form class="filters" method="get" action="${config.path}" role="search">
+<label>Search <input type="search" name="q" value="${escapeHtml(filters.q)}"></label>
+<label>Type ${renderSelect('type', typeOptions, filters.type)}</label>
+<label>Status ${renderSelect('status', statusOptions, filters.status)}</label>
+<button type="submit">Filter</button>
+</form>
+<p class="summary">Showing ${leads.length} of ${total} leads ·
+<a href="${config.path}/export.csv${escapeHtml(query)}">Export CSV</a> ·
+<a href="${config.path}/export.json${escapeHtml(query)}">Export JSON</a></p>
+${
+  rows
+    ? `<table>
+<thead><tr><th scope="col">Received</th><th scope="col">Type</th><th scope="col">Contact</th><th scope="col">Details</th><th scope="col">Status</th><th scope="col">Notes</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`
+    : '<p>No leads match these filters.</p>'
+}`
+  );
+}
+
+/**
+ * Send an HTML page
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} html - HTML document
+ * @param {Object} [headers] - Extra headers
+ */
+function sendHtml(res, status, html, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'X-Frame-Options': 'DENY',
+    ...headers,
+  });
+  res.end(html);
+}
+
+/**
+ * Send a short message page
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} message - Message text
+ * @param {Object} [headers] - Extra headers
+ */
+function sendMessage(res, status, message, headers = {}) {
+  sendHtml(res, status, renderLayout('Leads', `<h1>Leads</h1><p>${escapeHtml(message)}</p>`), headers);
+}
+
+/**
+ * Create the lead inbox middleware
+ * @param {Object} options - Inbox settings, see LEADS_DEFAULTS
+ * @param {Object} options.store - Store from createJsonStore, shared with the mock backend
+ * @param {Object} options.logger - Vite logger
+ * @returns {Function} - Connect middleware
+ */
+export function createLeadsAdmin(options) {
+  // Unset options, such as a missing environment variable, keep their defaults
+  const config = {
+    ...LEADS_DEFAULTS,
+    ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)),
+  };
+  const { store, logger } = config;
+  const actionPattern = new RegExp(`^${config.path}/([^/]+)/(status|notes)$`);
+
+  /**
+   * Change the status or add a note
+   * @param {import('node:http').IncomingMessage} req - Request
+   * @param {import('node:http').ServerResponse} res - Response
+   * @param {string} id - Lead ID
+   * @param {string} action - 'status' or 'notes'
+   */
+  async function handleUpdate(req, res, id, action) {
+    if (!isSameOrigin(req)) {
+      sendMessage(res, 403, 'This change was not sent from the lead inbox.');
+      return;
+    }
+
+    const form = await readForm(req, config.maxBodySize);
+    if (!form) {
+      sendMessage(res, 413, 'The form is too large.');
+      return;
+    }
+
+    const status = form.get('status');
+    const note = (form.get('note') || '').trim().slice(0, config.maxNoteLength);
+
+    if ((action === 'status' && !config.statuses.includes(status)) || (action === 'notes' && !note)) {
+      sendMessage(res, 422, action === 'status' ? 'Unknown status.' : 'The note is empty.');
+      return;
+    }
+
+    const found = await store.update((data) => {
+      const record = findRecord(data, id);
+      if (!record) {
+        return false;
+      }
+
+      record.lead = { status: 'new', notes: [], ...record.lead };
+
+      if (action === 'status') {
+        record.lead.status = status;
+      } else {
+        record.lead.notes = [...record.lead.notes, { text: note, at: new Date().toISOString() }];
+      }
+
+      return true;
+    });
+
+    if (!found) {
+      sendMessage(res, 404, 'This lead does not exist.');
+      return;
+    }
+
+    const query = toQuery(parseFilters(new URLSearchParams(form.get('return') || ''), config));
+    res.writeHead(303, { Location: `${config.path}${query}#lead-${encodeURIComponent(id)}` });
+    res.end();
+  }
+
+  /**
+   * Serve the inbox page or an export
+   * @param {import('node:http').ServerResponse} res - Response
+   * @param {URL} url - Request URL
+   */
+  async function handleRead(res, url) {
+    const filters = parseFilters(url.searchParams, config);
+    const leads = getLeads(await store.read());
+    const matching = filterLeads(leads, filters);
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (url.pathname === `${config.path}/export.csv`) {
+      res.writeHead(200, {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="leads-${date}.csv"`,
+        'Cache-Control': 'no-store',
+      });
+      res.end(toCsv(matching));
+      return;
+    }
+
+    if (url.pathname === `${config.path}/export.json`) {
+      res.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Content-Disposition': `attachment; filename="leads-${date}.json"`,
+        'Cache-Control': 'no-store',
+      });
+      res.end(JSON.stringify(matching, null, 2));
+      return;
+    }
+
+    sendHtml(res, 200, renderInbox(matching, leads.length, filters, config));
+  }
+
+  return function leadsAdminMiddleware(req, res, next) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== config.path && !url.pathname.startsWith(`${config.path}/`)) {
+      next();
+      return;
+    }
+
+    if (!config.adminPassword) {
+      sendMessage(res, 503, 'The lead inbox is disabled. Set LEADS_ADMIN_PASSWORD and restart the server to use it.');
+      return;
+    }
+
+    if (!isAuthorized(req, config)) {
+      sendMessage(res, 401, 'Please sign in to see leads.', {
+        'WWW-Authenticate': 'Basic realm="Lead inbox", charset="UTF-8"',
+      });
+      return;
+    }
+
+    const match = url.pathname.match(actionPattern);
+    const id = match ? decodeLeadId(match[1]) : null;
+    let task = null;
+
+    if (req.method === 'POST' && id !== null) {
+      task = handleUpdate(req, res, id, match[2]);
+    } else if (req.method === 'GET' && [config.path, `${config.path}/export.csv`, `${config.path}/export.json`].includes(url.pathname)) {
+      task = handleRead(res, url);
+    } else {
+      sendMessage(res, 404, 'Page not found.');
+      return;
+    }
+
+    task.catch((error) => {
+      logger.error(`[LeadsAdmin] ${req.method} ${url.pathname} failed: ${error.stack || error}`);
+      if (!res.headersSent) {
+        sendMessage(res, 500, 'Something went wrong. Please try again.');
+      }
+    });
+  };
+}
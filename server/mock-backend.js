@@ -0,0 +1,829 @@
+/**
+ * Mock Backend
+ * Vite plugin that serves the site's form endpoints in `vite` and
+ * `vite preview`, so the forms can be used end to end without a real backend:
+ * - POST `/submit-contact`: contact form, as JSON, as multipart/form-data with
+ *   photos, or as a plain form post without JavaScript
+ * - POST `/subscribe`: newsletter signup with double opt-in
+ * - POST `/subscribe/confirm`: confirms a signup with its emailed token
+ * - GET, PUT and DELETE `/subscription`: preference center API
+ * - GET `/__mock-backend/data`: everything stored, for debugging and tests; it
+ *   holds the same personal data as the lead inbox, so it needs the inbox's
+ *   user name and password
+ * - `/admin/leads`: the password-protected lead inbox, see server/leads-admin.js
+ *
+ * Spam protection (server/spam-protection.js) checks the honeypot, the
+ * time-to-submit and the proof-of-work token of every submission, with two
+ * exceptions:
+ * - The no-JavaScript path: a plain form post that carries neither
+ *   `formElapsedMs` nor `powToken` (the form script fills both in) is accepted
+ *   on its honeypot alone while `allowNoScriptPosts` is on.
+ * - Script posts without a token, from browsers that could not compute one in
+ *   time or at all (no `crypto.subtle` outside secure contexts), are accepted
+ *   on their honeypot and time-to-submit while `allowTokenlessPosts` is on.
+ * Turn these off to require the script, or a token.
+ *
+ * Submissions are kept in a JSON file (`.mock-backend/db.json` by default).
+ * No email is sent to subscribers: confirmation and preference center links
+ * are printed to the Vite log instead. New contact leads are passed to the
+ * notification pipeline (server/notifications.js), which emails the team and
+ * calls webhooks once `notifications` is configured.
+ *
+ * Scenarios simulate failures. Pick them with the `X-Mock-Scenario` header or
+ * a `scenario` query parameter, either on the request or on the page that
+ * sends it (such as `http://localhost:3000/?scenario=429`), and combine them
+ * with commas (`latency:3000,500`):
+ * - `latency[:ms]`: answer late (default 1500 ms)
+ * - `500`: internal server error
+ * - `422`: field errors for the email address (and the message, for contacts)
+ * - `429[:seconds]`: rate limited, with a `Retry-After` header (default 30)
+ * - `timeout`: never answer, until the client gives up
+ * - `flaky`: fail the first attempt of each submission with a 503
+ *
+ * @module server/mock-backend
+ */
+
+import { randomBytes, randomUUID } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import { resolve } from 'node:path';
+import { CONSENT_DEFAULTS, verifyConsent } from './consent.js';
+import { createJsonStore } from './json-store.js';
+import { LEADS_DEFAULTS, createLeadsAdmin, isAuthorized } from './leads-admin.js';
+import { createNotifier } from './notifications.js';
+import { SPAM_DEFAULTS, createReplayGuard, verifySubmission } from './spam-protection.js';
+import { createSubscriptionToken, verifySubscriptionToken } from './subscription-tokens.js';
+
+/**
+ * Default mock backend settings
+ */
+export const MOCK_DEFAULTS = {
+  dataFile: '.mock-backend/db.json',
+  // Only for local development; a real backend keeps its secret out of the repository
+  tokenSecret: 'mock-backend-development-secret',
+  confirmTtl: 48 * 60 * 60 * 1000,
+  latency: 1500,
+  retryAfter: 30,
+  timeoutLimit: 2 * 60 * 1000,
+  maxBodySize: 25 * 1024 * 1024,
+  spamProtection: true,
+  // Accept plain form posts without the script's anti-spam fields, see above
+  allowNoScriptPosts: true,
+  // Accept script posts that carry no proof-of-work token, see above
+  allowTokenlessPosts: true,
+  topics: ['recipes', 'promotions', 'product-launches'],
+  frequencies: ['weekly', 'monthly'],
+  // Privacy policy versions the consent checkbox may carry, with their text hashes, see server/consent.js
+  consentVersions: CONSENT_DEFAULTS.versions,
+  // Lead notification settings, see NOTIFY_DEFAULTS in server/notifications.js
+  notifications: {},
+  webhookDeadLetterFile: '.mock-backend/webhook-dead-letter.jsonl',
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Anti-spam and bookkeeping fields that are not stored with a contact
+const CONTACT_META_FIELDS = ['website', 'formElapsedMs', 'powToken', 'submissionId', 'consent', 'consentTextHash'];
+
+const CONSENT_ERROR = 'Please agree to the privacy policy.';
+
+const EMPTY_DATA = { contacts: [], subscribers: [] };
+
+/**
+ * Error that maps to an HTTP response
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {Object} body - JSON response body
+   */
+  constructor(status, body) {
+    super(body.message || body.error);
+    this.name = 'HttpError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Wait before continuing
+ * @param {number} ms - Delay in ms
+ * @returns {Promise<void>} - Resolves after the delay
+ */
+function delay(ms) {
+  return new Promise((done) => {
+    setTimeout(done, ms);
+  });
+}
+
+/**
+ * Read a request body
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {number} limit - Maximum size in bytes
+ * @returns {Promise<Buffer>} - Body bytes
+ * @throws {HttpError} - 413 when the body is larger than `limit`
+ */
+function readBody(req, limit) {
+  return new Promise((done, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new HttpError(413, { error: 'payload-too-large', message: 'The request is too large.' }));
+        req.destroy();
+        return;
+      }
+
+      chunks.push(chunk);
+    });
+    req.on('end', () => done(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parse a JSON object, answering 400 when it is not valid
+ * @param {string} text - JSON text
+ * @returns {Object} - Parsed object
+ * @throws {HttpError} - 400 for invalid JSON, or JSON that is not an object (such as `null`)
+ */
+function parseJson(text) {
+  let value;
+
+  try {
+    value = text ? JSON.parse(text) : {};
+  } catch (_error) {
+    value = null;
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new HttpError(400, { error: 'invalid-json', message: 'The request body is not valid JSON.' });
+  }
+
+  return value;
+}
+
+/**
+ * Parse a request body by its content type
+ * Multipart bodies are parsed with the Fetch API's FormData parser. Photos are
+ * described by name, size and type; their contents are not stored.
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {Object} config - Backend settings
+ * @returns {Promise<{fields: Object, files: Array<Object>, native: boolean}>} - Fields, photo
+ *   descriptions, and whether this is a plain form post from a browser without JavaScript
+ */
+async function parseRequest(req, config) {
+  const contentType = req.headers['content-type'] || '';
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  const body = await readBody(req, config.maxBodySize);
+
+  if (type === 'multipart/form-data') {
+    const form = await new Request('http://localhost/', {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body,
+    }).formData();
+    const entries = Array.from(form.entries());
+    const payload = form.get('payload');
+    // The contact form script sends a JSON `payload` part; a plain form post sends the inputs
+    const native = typeof payload !== 'string';
+
+    return {
+      fields: native
+        ? Object.fromEntries(entries.filter(([, value]) => typeof value === 'string'))
+        : parseJson(payload),
+      files: entries
+        .map(([, value]) => value)
+        .filter((file) => typeof file !== 'string' && file.name)
+        .map((file) => ({ name: file.name, size: file.size, type: file.type })),
+      native,
+    };
+  }
+
+  if (type === 'application/x-www-form-urlencoded') {
+    const params = new URLSearchParams(body.toString());
+    const fields = {};
+
+    new Set(params.keys()).forEach((key) => {
+      const values = params.getAll(key);
+      fields[key] = values.length > 1 ? values : values[0];
+    });
+
+    return { fields, files: [], native: true };
+  }
+
+  return { fields: parseJson(body.toString()), files: [], native: false };
+}
+
+/**
+ * Parse a scenario list such as "latency:2000,500"
+ * @param {string} value - Scenario list
+ * @returns {Map<string, string|null>} - Parameters by scenario name
+ */
+function parseScenarios(value) {
+  const scenarios = new Map();
+
+  String(value || '')
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean)
+    .forEach((item) => {
+      const [name, param = null] = item.split(':');
+      scenarios.set(name, param);
+    });
+
+  return scenarios;
+}
+
+/**
+ * Find the scenarios selected for a request
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {URL} url - Request URL
+ * @returns {Map<string, string|null>} - Selected scenarios
+ */
+function getScenarios(req, url) {
+  let pageScenario = null;
+
+  try {
+    pageScenario = req.headers.referer ? new URL(req.headers.referer).searchParams.get('scenario') : null;
+  } catch (_error) {
+    // Ignore malformed Referer headers
+  }
+
+  return parseScenarios(req.headers['x-mock-scenario'] || url.searchParams.get('scenario') || pageScenario);
+}
+
+/**
+ * Check whether an email address looks valid
+ * @param {*} email - Submitted value
+ * @returns {boolean} - True for a plausible address
+ */
+function isEmail(email) {
+  return typeof email === 'string' && EMAIL_PATTERN.test(email.trim());
+}
+
+/**
+ * Describe a subscriber for the preference center
+ * @param {Object} subscriber - Stored subscriber
+ * @returns {Object} - `{ email, topics, frequency, status }`
+ */
+function toPreferences(subscriber) {
+  return {
+    email: subscriber.email,
+    topics: subscriber.topics,
+    frequency: subscriber.frequency,
+    status: subscriber.status === 'subscribed' ? 'subscribed' : 'unsubscribed',
+  };
+}
+
+/**
+ * Get the origin a request was sent to, for links in the log
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @returns {string} - Origin such as "http://localhost:3000"
+ */
+function getOrigin(req) {
+  return `http://${req.headers.host || 'localhost'}`;
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Send a response, as HTML for plain form posts and as JSON otherwise
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {Object} result - `{ status, body, headers }`
+ * @param {boolean} native - True for plain form posts
+ */
+function send(res, result, native) {
+  if (res.writableEnded || res.destroyed || !res.socket || res.socket.destroyed) {
+    return;
+  }
+
+  const { status, body, headers = {} } = result;
+
+  if (!native) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers });
+    res.end(JSON.stringify(body));
+    return;
+  }
+
+  const ok = status < 400;
+  const messages = body.errors ? Object.values(body.errors) : [body.message || 'Please try again later.'];
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>${ok ? 'Thank you' : 'Something went wrong'} | Grill Business</title></head>
+<body>
+<main>
+<h1>${ok ? 'Thank you' : 'Something went wrong'}</h1>
+${messages.map((message) => `<p>${escapeHtml(message)}</p>`).join('\n')}
+<p><a href="/">Back to Grill Business</a></p>
+</main>
+</body>
+</html>
+`;
+
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+  res.end(html);
+}
+
+/**
+ * Create the request handler behind the plugin
+ * @param {Object} options - Backend settings, see MOCK_DEFAULTS
+ * @param {string} options.root - Project root, for a relative `dataFile`
+ * @param {Object} options.logger - Vite logger
+ * @param {Object} [options.store] - Store from createJsonStore, to share it with the lead inbox
+ * @returns {Function} - Connect middleware
+ */
+export function createMockBackend(options) {
+  // Unset options, such as a missing environment variable, keep their defaults
+  const config = {
+    ...MOCK_DEFAULTS,
+    ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)),
+  };
+  const { logger } = config;
+  const store = config.store || createJsonStore(resolve(config.root, config.dataFile), EMPTY_DATA);
+  const replayGuard = createReplayGuard();
+  const flakyAttempts = new Set();
+  const notifier = createNotifier({
+    ...config.notifications,
+    webhookOptions: { deadLetterFile: resolve(config.root, config.webhookDeadLetterFile) },
+    logger,
+  });
+
+  /**
+   * Check the anti-spam fields of a submission
+   * Plain form posts sent without JavaScript carry no time-to-submit or
+   * proof-of-work token; while `allowNoScriptPosts` is on, only their honeypot
+   * is checked. While `allowTokenlessPosts` is on, a post without a token is
+   * checked on its honeypot and time-to-submit. A token that is sent is always
+   * verified.
+   * @param {Object} fields - Submitted fields
+   * @param {boolean} native - True for plain form posts
+   * @param {string|null} owner - Idempotency key, so retries may reuse their token
+   * @throws {HttpError} - 400 when the submission looks automated
+   */
+  function checkSpam(fields, native, owner) {
+    if (!config.spamProtection) {
+      return;
+    }
+
+    const hasScriptFields = [SPAM_DEFAULTS.elapsedField, SPAM_DEFAULTS.tokenField].some(
+      (name) => fields[name] !== undefined && fields[name] !== ''
+    );
+    const honeypot = fields[SPAM_DEFAULTS.honeypotField];
+    const isHoneypotFilled = typeof honeypot === 'string' && honeypot.trim() !== '';
+    const result =
+      native && !hasScriptFields && config.allowNoScriptPosts
+        ? { valid: !isHoneypotFilled, reason: isHoneypotFilled ? 'honeypot' : null }
+        : verifySubmission(fields, { replayGuard, owner, requireToken: !config.allowTokenlessPosts });
+
+    if (!result.valid) {
+      logger.warn(`[MockBackend] Rejected a submission as spam: ${result.reason}`);
+      throw new HttpError(400, { error: 'spam', message: 'The submission could not be accepted.' });
+    }
+  }
+
+  /**
+   * Read the subscriber named by the preference center token
+   * @param {import('node:http').IncomingMessage} req - Request
+   * @param {Object} data - Stored document
+   * @returns {Object} - Stored subscriber
+   * @throws {HttpError} - 401 for a missing or forged token, 410 when expired, 404 for unknown subscribers
+   */
+  function getAuthorizedSubscriber(req, data) {
+    const [scheme, token] = String(req.headers.authorization || '').split(' ');
+    const result =
+      scheme === 'Bearer'
+        ? verifySubscriptionToken(token, { secret: config.tokenSecret })
+        : { valid: false, reason: 'missing' };
+
+    if (!result.valid) {
+      const status = result.reason === 'expired' ? 410 : 401;
+      throw new HttpError(status, { error: `token-${result.reason}`, message: 'This link is not valid.' });
+    }
+
+    const subscriber = data.subscribers.find((item) => item.email === result.email);
+    if (!subscriber) {
+      throw new HttpError(404, { error: 'unknown-subscriber', message: 'This subscription does not exist.' });
+    }
+
+    return subscriber;
+  }
+
+  /**
+   * Store a contact form submission and notify the team
+   * Repeats with the same `Idempotency-Key` are answered without storing a duplicate.
+   * Notifications are sent in the background, so a slow mail server never delays the visitor.
+   * @param {Object} request - Parsed request
+   * @returns {Promise<Object>} - Response
+   */
+  async function handleContact({ req, fields, files, native }) {
+    const key = req.headers['idempotency-key'] || fields.submissionId || null;
+    const errors = {};
+
+    if (typeof fields.name !== 'string' || fields.name.trim().length < 2) {
+      errors.name = 'Please enter your name.';
+    }
+    if (!isEmail(fields.email)) {
+      errors.email = 'Please enter a valid email address.';
+    }
+    if (typeof fields.message !== 'string' || fields.message.trim().length < 10) {
+      errors.message = 'Please enter a message of at least 10 characters.';
+    }
+
+    const consent = verifyConsent(fields, { versions: config.consentVersions, form: 'contact' });
+    if (!consent.valid) {
+      errors.consent = CONSENT_ERROR;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return { status: 422, body: { errors } };
+    }
+
+    checkSpam(fields, native, key);
+
+    let created = null;
+    const result = await store.update((data) => {
+      const existing = key ? data.contacts.find((contact) => contact.idempotencyKey === key) : null;
+      if (existing) {
+        return { status: 200, body: { success: true, id: existing.id, duplicate: true } };
+      }
+
+      const record = Object.fromEntries(
+        Object.entries(fields).filter(([name]) => !CONTACT_META_FIELDS.includes(name))
+      );
+      const contact = {
+        id: randomUUID(),
+        idempotencyKey: key,
+        receivedAt: new Date().toISOString(),
+        lead: { status: 'new', notes: [] },
+        consent: consent.record,
+        fields: record,
+        photos: files,
+      };
+
+      data.contacts.push(contact);
+      created = contact;
+      logger.info(`[MockBackend] Contact from ${record.email} stored as ${contact.id}`);
+
+      return {
+        status: 201,
+        body: { success: true, id: contact.id, message: "Thanks for your message! We'll get back to you soon." },
+      };
+    });
+
+    if (created && notifier.enabled) {
+      const { id } = created;
+      // Not awaited: the response does not wait for email or webhooks
+      notifier.notifyNewLead(created, { siteUrl: getOrigin(req) }).catch((error) => {
+        logger.error(`[MockBackend] Notifying about ${id} failed: ${error.stack || error}`);
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Start a newsletter subscription and "send" its confirmation link
+   * @param {Object} request - Parsed request
+   * @returns {Promise<Object>} - Response
+   */
+  function handleSubscribe({ req, fields, native }) {
+    const email = String(fields.email || fields['newsletter-email'] || '').trim().toLowerCase();
+
+    const consent = verifyConsent(fields, { versions: config.consentVersions, form: 'newsletter' });
+    const errors = {
+      ...(isEmail(email) ? {} : { email: 'Please enter a valid email address.' }),
+      ...(consent.valid ? {} : { consent: CONSENT_ERROR }),
+    };
+
+    if (Object.keys(errors).length > 0) {
+      return { status: 422, body: { errors } };
+    }
+
+    checkSpam(fields, native, null);
+
+    const requested = [].concat(fields.topics ?? []).filter((topic) => config.topics.includes(topic));
+    const topics = requested.length > 0 ? requested : [...config.topics];
+    // First and last touch from attribution.js; null without consent
+    const attribution =
+      fields.attribution && typeof fields.attribution === 'object' && !Array.isArray(fields.attribution)
+        ? fields.attribution
+        : null;
+
+    return store.update((data) => {
+      const now = new Date();
+      let subscriber = data.subscribers.find((item) => item.email === email);
+
+      if (subscriber && subscriber.status === 'subscribed') {
+        return {
+          status: 409,
+          body: { status: 'already-subscribed', message: `${email} is already subscribed.` },
+        };
+      }
+
+      if (!subscriber) {
+        subscriber = {
+          id: randomUUID(),
+          email,
+          createdAt: now.toISOString(),
+          frequency: config.frequencies[0],
+          lead: { status: 'new', notes: [] },
+        };
+        data.subscribers.push(subscriber);
+      }
+
+      Object.assign(subscriber, {
+        status: 'pending',
+        topics,
+        locale: typeof fields.locale === 'string' ? fields.locale : 'en',
+        attribution: attribution || subscriber.attribution || null,
+        consent: consent.record,
+        confirmToken: randomBytes(24).toString('base64url'),
+        confirmExpiresAt: new Date(now.getTime() + config.confirmTtl).toISOString(),
+        updatedAt: now.toISOString(),
+      });
+
+      logger.info(
+        `[MockBackend] Confirmation link for ${email}: ${getOrigin(req)}/subscribe/confirm?token=${subscriber.confirmToken}`
+      );
+
+      return {
+        status: 202,
+        body: { status: 'pending', message: `Almost done! We sent a confirmation link to ${email}.` },
+      };
+    });
+  }
+
+  /**
+   * Confirm a pending subscription
+   * @param {Object} request - Parsed request
+   * @returns {Promise<Object>} - Response
+   */
+  function handleConfirm({ req, fields }) {
+    const { token } = fields;
+
+    if (typeof token !== 'string' || token === '') {
+      return { status: 400, body: { error: 'missing-token' } };
+    }
+
+    return store.update((data) => {
+      const subscriber = data.subscribers.find((item) => item.confirmToken === token);
+
+      if (!subscriber) {
+        return { status: 404, body: { error: 'invalid-token' } };
+      }
+
+      if (Date.parse(subscriber.confirmExpiresAt) < Date.now()) {
+        return { status: 410, body: { error: 'expired-token' } };
+      }
+
+      const now = new Date().toISOString();
+      Object.assign(subscriber, { status: 'subscribed', confirmedAt: now, updatedAt: now });
+      delete subscriber.confirmToken;
+      delete subscriber.confirmExpiresAt;
+
+      const preferencesToken = createSubscriptionToken(subscriber.email, { secret: config.tokenSecret });
+      logger.info(
+        `[MockBackend] Preference center for ${subscriber.email}: ${getOrigin(req)}/subscribe/preferences?token=${preferencesToken}`
+      );
+
+      return { status: 200, body: { status: 'subscribed' } };
+    });
+  }
+
+  /**
+   * Get a subscriber's preferences
+   * @param {Object} request - Parsed request
+   * @returns {Promise<Object>} - Response
+   */
+  async function handleGetSubscription({ req }) {
+    const data = await store.read();
+    return { status: 200, body: toPreferences(getAuthorizedSubscriber(req, data)) };
+  }
+
+  /**
+   * Save a subscriber's preferences
+   * @param {Object} request - Parsed request
+   * @returns {Promise<Object>} - Response
+   */
+  function handleUpdateSubscription({ req, fields }) {
+    const { topics, frequency, status = 'subscribed' } = fields;
+    const errors = {};
+
+    if (!Array.isArray(topics) || topics.length === 0 || !topics.every((topic) => config.topics.includes(topic))) {
+      errors.topics = 'Please choose at least one topic.';
+    }
+    if (!config.frequencies.includes(frequency)) {
+      errors.frequency = 'Please choose how often you want to hear from us.';
+    }
+    if (!['subscribed', 'unsubscribed'].includes(status)) {
+      errors.status = 'Unknown subscription status.';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return { status: 422, body: { errors } };
+    }
+
+    return store.update((data) => {
+      const subscriber = getAuthorizedSubscriber(req, data);
+      Object.assign(subscriber, { topics, frequency, status, updatedAt: new Date().toISOString() });
+      return { status: 200, body: toPreferences(subscriber) };
+    });
+  }
+
+  /**
+   * Unsubscribe from all emails
+   * Topics and frequency are kept, so resubscribing restores them.
+   * @param {Object} request - Parsed request
+   * @returns {Promise<Object>} - Response
+   */
+  function handleUnsubscribe({ req }) {
+    return store.update((data) => {
+      const subscriber = getAuthorizedSubscriber(req, data);
+      Object.assign(subscriber, { status: 'unsubscribed', updatedAt: new Date().toISOString() });
+      logger.info(`[MockBackend] ${subscriber.email} unsubscribed`);
+      return { status: 200, body: toPreferences(subscriber) };
+    });
+  }
+
+  /**
+   * Return everything stored, to the lead inbox user
+   * @param {Object} request - Parsed request
+   * @returns {Promise<Object>} - Response
+   */
+  async function handleData({ req }) {
+    const admin = { adminUser: config.adminUser || LEADS_DEFAULTS.adminUser, adminPassword: config.adminPassword };
+
+    if (!admin.adminPassword) {
+      return {
+        status: 503,
+        body: { error: 'disabled', message: 'Set LEADS_ADMIN_PASSWORD and restart the server to read the data.' },
+      };
+    }
+
+    if (!isAuthorized(req, admin)) {
+      return {
+        status: 401,
+        headers: { 'WWW-Authenticate': 'Basic realm="Lead inbox", charset="UTF-8"' },
+        body: { error: 'unauthorized', message: 'Please sign in to read the data.' },
+      };
+    }
+
+    return { status: 200, body: await store.read() };
+  }
+
+  const routes = [
+    {
+      method: 'POST',
+      path: '/submit-contact',
+      handler: handleContact,
+      fieldErrors: {
+        email: 'This email address was rejected by the server.',
+        message: 'The server could not accept this message.',
+      },
+    },
+    {
+      method: 'POST',
+      path: '/subscribe',
+      handler: handleSubscribe,
+      fieldErrors: { email: 'This email address was rejected by the server.' },
+    },
+    { method: 'POST', path: '/subscribe/confirm', handler: handleConfirm },
+    { method: 'GET', path: '/subscription', handler: handleGetSubscription },
+    {
+      method: 'PUT',
+      path: '/subscription',
+      handler: handleUpdateSubscription,
+      fieldErrors: { topics: 'These topics were rejected by the server.' },
+    },
+    { method: 'DELETE', path: '/subscription', handler: handleUnsubscribe },
+    { method: 'GET', path: '/__mock-backend/data', handler: handleData, scenarios: false },
+  ];
+
+  /**
+   * Simulate the selected failure scenarios
+   * @param {Map<string, string|null>} scenarios - Selected scenarios
+   * @param {Object} route - Matched route
+   * @param {import('node:http').IncomingMessage} req - Request
+   * @param {import('node:http').ServerResponse} res - Response
+   * @returns {Promise<Object|null>} - Failure response, or null to handle the request normally
+   */
+  async function applyScenarios(scenarios, route, req, res) {
+    if (scenarios.has('latency')) {
+      await delay(Number(scenarios.get('latency')) || config.latency);
+    }
+
+    if (scenarios.has('timeout')) {
+      // Hold the request until the client gives up, or answer 504 after `timeoutLimit`
+      await new Promise((done) => {
+        const timer = setTimeout(done, config.timeoutLimit);
+        res.on('close', () => {
+          clearTimeout(timer);
+          done();
+        });
+      });
+      return { status: 504, body: { error: 'timeout' } };
+    }
+
+    if (scenarios.has('flaky')) {
+      const attempt = `${route.method} ${route.path} ${req.headers['idempotency-key'] || ''}`;
+
+      if (!flakyAttempts.has(attempt)) {
+        flakyAttempts.add(attempt);
+        return { status: 503, body: { error: 'unavailable', message: 'Please try again.' } };
+      }
+
+      flakyAttempts.delete(attempt);
+    }
+
+    if (scenarios.has('500')) {
+      return { status: 500, body: { error: 'internal-error', message: 'Something went wrong on our side.' } };
+    }
+
+    if (scenarios.has('429')) {
+      const retryAfter = Number(scenarios.get('429')) || config.retryAfter;
+      return {
+        status: 429,
+        headers: { 'Retry-After': String(retryAfter) },
+        body: { error: 'rate-limited', message: 'Too many requests. Please try again later.' },
+      };
+    }
+
+    if (scenarios.has('422') && route.fieldErrors) {
+      return { status: 422, body: { errors: route.fieldErrors } };
+    }
+
+    return null;
+  }
+
+  return function mockBackendMiddleware(req, res, next) {
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes.find((item) => item.method === req.method && item.path === url.pathname);
+
+    if (!route) {
+      next();
+      return;
+    }
+
+    let native = false;
+
+    (async () => {
+      const parsed = ['POST', 'PUT'].includes(req.method)
+        ? await parseRequest(req, config)
+        : { fields: {}, files: [], native: false };
+      ({ native } = parsed);
+
+      const failure = route.scenarios === false ? null : await applyScenarios(getScenarios(req, url), route, req, res);
+      send(res, failure || (await route.handler({ req, ...parsed })), native);
+    })().catch((error) => {
+      if (error instanceof HttpError) {
+        send(res, { status: error.status, body: error.body }, native);
+        return;
+      }
+
+      logger.error(`[MockBackend] ${req.method} ${url.pathname} failed: ${error.stack || error}`);
+      send(res, { status: 500, body: { error: 'internal-error' } }, native);
+    });
+  };
+}
+
+/**
+ * Vite plugin that serves the mock backend in the dev and preview servers
+ * @param {Object} [options] - Backend settings, see MOCK_DEFAULTS
+ * @returns {import('vite').Plugin} - Vite plugin
+ */
+export function mockBackend(options = {}) {
+  const dataFile = options.dataFile || MOCK_DEFAULTS.dataFile;
+
+  /**
+   * Add the backend to a server's middleware stack
+   * @param {import('vite').ViteDevServer|import('vite').PreviewServer} server - Vite server
+   */
+  function install(server) {
+    const { root, logger } = server.config;
+    const store = createJsonStore(resolve(root, dataFile), EMPTY_DATA);
+
+    server.middlewares.use(createLeadsAdmin({ ...options, store, logger }));
+    server.middlewares.use(createMockBackend({ ...options, dataFile, root, logger, store }));
+  }
+
+  return {
+    name: 'grill-business:mock-backend',
+
+    config() {
+      // Writing the data file should not reload the page
+      return { server: { watch: { ignored: [`**/${dataFile}`] } } };
+    },
+
+    configureServer: install,
+    configurePreviewServer: install,
+  };
+}
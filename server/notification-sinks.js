@@ -0,0 +1,358 @@
+/**
+ * Notification Sinks
+ * Local stand-ins for a mail server and a webhook consumer, to try the lead
+ * notifications (server/notifications.js) without sending anything:
+ * - An SMTP catcher that accepts every message and decodes it
+ * - A webhook receiver that checks signatures and can fail on purpose
+ *
+ * Run `npm run notifications:sinks` and start the site with:
+ *
+ *   NOTIFY_SMTP_URL=smtp://127.0.0.1:1025 NOTIFY_EMAIL_TO=leads@localhost \
+ *   NOTIFY_WEBHOOK_URLS=http://127.0.0.1:4010/hooks/crm \
+ *   NOTIFY_WEBHOOK_SECRET=local-webhook-secret npm run dev
+ *
+ * Caught messages are saved as `.eml` files in `.mock-backend/mail/`.
+ * Environment variables: `SINK_SMTP_PORT` (1025), `SINK_WEBHOOK_PORT` (4010),
+ * `NOTIFY_WEBHOOK_SECRET`, and `SINK_WEBHOOK_FAILURES`, the number of
+ * requests to answer with a 503 before accepting, to watch the retries.
+ *
+ * Both sinks are also used in-process by the Lead Notifications tests in
+ * tests/e2e/landing-page.spec.js.
+ *
+ * @module server/notification-sinks
+ */
+
+import net from 'node:net';
+import http from 'node:http';
+import process from 'node:process';
+import { Buffer } from 'node:buffer';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { verifyWebhookSignature } from './webhooks.js';
+
+/**
+ * Default sink settings
+ */
+export const SINK_DEFAULTS = {
+  host: '127.0.0.1',
+  smtpPort: 1025,
+  webhookPort: 4010,
+  webhookSecret: 'local-webhook-secret',
+  mailDir: '.mock-backend/mail',
+};
+
+/**
+ * Decode RFC 2047 encoded words in a header value
+ * @param {string} value - Header value
+ * @returns {string} - Decoded value
+ */
+function decodeHeader(value) {
+  return value.replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (match, encoded) => Buffer.from(encoded, 'base64').toString());
+}
+
+/**
+ * Split a message or body part into headers and body
+ * @param {string} source - Source with CRLF line endings
+ * @returns {{headers: Object, body: string}} - Headers by lowercase name, and the body
+ */
+function splitEntity(source) {
+  const index = source.indexOf('\r\n\r\n');
+  const head = index === -1 ? source : source.slice(0, index);
+  const headers = {};
+
+  head
+    .replace(/\r\n[ \t]+/g, ' ')
+    .split('\r\n')
+    .forEach((line) => {
+      const colon = line.indexOf(':');
+      if (colon > 0) {
+        headers[line.slice(0, colon).trim().toLowerCase()] = decodeHeader(line.slice(colon + 1).trim());
+      }
+    });
+
+  return { headers, body: index === -1 ? '' : source.slice(index + 4) };
+}
+
+/**
+ * Decode a body part by its transfer encoding
+ * @param {Object} headers - Part headers
+ * @param {string} body - Encoded body
+ * @returns {string} - Decoded body
+ */
+function decodeBody(headers, body) {
+  const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+  return encoding === 'base64' ? Buffer.from(body.replace(/\s+/g, ''), 'base64').toString() : body;
+}
+
+/**
+ * Parse a caught message
+ * @param {string} raw - Message source
+ * @returns {{headers: Object, subject: string, text: string|null, html: string|null}} - Message
+ */
+export function parseEmail(raw) {
+  const { headers, body } = splitEntity(raw);
+  const boundary = (headers['content-type'] || '').match(/boundary="?([^";]+)"?/i);
+  const message = { headers, subject: headers.subject || '', text: null, html: null };
+
+  const parts = boundary
+    ? body
+        .split(`--${boundary[1]}`)
+        .slice(1, -1)
+        .map((part) => splitEntity(part.replace(/^\r\n/, '')))
+    : [{ headers, body }];
+
+  parts.forEach((part) => {
+    const type = (part.headers['content-type'] || 'text/plain').split(';')[0].trim().toLowerCase();
+    const content = decodeBody(part.headers, part.body.replace(/\r\n$/, ''));
+
+    if (type === 'text/plain') {
+      message.text = content;
+    } else if (type === 'text/html') {
+      message.html = content;
+    }
+  });
+
+  return message;
+}
+
+/**
+ * Start an SMTP catcher
+ * @param {Object} [options] - Catcher settings, see SINK_DEFAULTS
+ * @param {number} [options.port] - Port; 0 picks a free one
+ * @param {Function} [options.onMessage] - Called with each caught message
+ * @returns {Promise<{port: number, messages: Array<Object>, close: Function}>} - Running catcher;
+ *   each message is `{ from, to, raw, ...parseEmail(raw) }`
+ */
+export function startSmtpCatcher(options = {}) {
+  const host = options.host || SINK_DEFAULTS.host;
+  const messages = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null;
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    /**
+     * Answer one command line
+     * @param {string} line - Command line
+     */
+    const handleCommand = (line) => {
+      const verb = line.slice(0, 4).toUpperCase();
+
+      if (verb === 'EHLO') {
+        reply(`250-${host} Grill Business SMTP catcher`);
+        reply('250 AUTH PLAIN');
+      } else if (verb === 'HELO' || verb === 'NOOP') {
+        reply('250 OK');
+      } else if (verb === 'AUTH') {
+        reply('235 Accepted');
+      } else if (verb === 'MAIL') {
+        envelope = { from: line.slice(line.indexOf(':') + 1).replace(/[<>\s]/g, ''), to: [] };
+        reply('250 OK');
+      } else if (verb === 'RCPT') {
+        envelope.to.push(line.slice(line.indexOf(':') + 1).replace(/[<>\s]/g, ''));
+        reply('250 OK');
+      } else if (verb === 'DATA') {
+        data = [];
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (verb === 'RSET') {
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+      } else if (verb === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('502 Command not implemented');
+      }
+    };
+
+    /**
+     * Collect one line of message data
+     * @param {string} line - Data line
+     */
+    const handleData = (line) => {
+      if (line !== '.') {
+        data.push(line.startsWith('..') ? line.slice(1) : line);
+        return;
+      }
+
+      const raw = data.join('\r\n');
+      const message = { ...envelope, raw, ...parseEmail(raw) };
+      data = null;
+      messages.push(message);
+      reply(`250 OK queued as ${messages.length}`);
+
+      if (options.onMessage) {
+        options.onMessage(message);
+      }
+    };
+
+    sockets.add(socket);
+    socket.setEncoding('utf8');
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => socket.destroy());
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+
+      let index = buffer.indexOf('\r\n');
+      while (index !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data) {
+          handleData(line);
+        } else {
+          handleCommand(line);
+        }
+
+        index = buffer.indexOf('\r\n');
+      }
+    });
+
+    reply(`220 ${host} Grill Business SMTP catcher`);
+  });
+
+  return new Promise((done, fail) => {
+    server.once('error', fail);
+    server.listen(options.port ?? SINK_DEFAULTS.smtpPort, host, () => {
+      done({
+        port: server.address().port,
+        messages,
+        close() {
+          sockets.forEach((socket) => socket.destroy());
+          return new Promise((closed) => {
+            server.close(() => closed());
+          });
+        },
+      });
+    });
+  });
+}
+
+/**
+ * Start a webhook receiver
+ * Accepts POSTs on any path and answers 401 when the signature is wrong.
+ * @param {Object} [options] - Receiver settings, see SINK_DEFAULTS
+ * @param {number} [options.port] - Port; 0 picks a free one
+ * @param {string} [options.secret] - Signing secret
+ * @param {number} [options.failures] - Requests to answer with a 503 before accepting
+ * @param {Function} [options.onDelivery] - Called with each accepted delivery
+ * @returns {Promise<{port: number, url: string, deliveries: Array<Object>, requests: Array<Object>, close: Function}>} -
+ *   Running receiver; `requests` lists every request, `deliveries` the accepted ones as
+ *   `{ path, event, deliveryId, verified, body }`
+ */
+export function startWebhookReceiver(options = {}) {
+  const host = options.host || SINK_DEFAULTS.host;
+  const secret = options.secret || SINK_DEFAULTS.webhookSecret;
+  const deliveries = [];
+  const requests = [];
+  let failures = options.failures || 0;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString();
+      const verified = verifyWebhookSignature(raw, req.headers['x-grill-signature'], secret);
+      const request = {
+        path: req.url,
+        event: req.headers['x-grill-event'] || null,
+        deliveryId: req.headers['x-grill-delivery'] || null,
+        verified,
+        body: raw,
+      };
+
+      requests.push(request);
+
+      if (req.method !== 'POST') {
+        res.writeHead(405, { Allow: 'POST' }).end();
+      } else if (!verified) {
+        res.writeHead(401, { 'Content-Type': 'application/json' }).end('{"error":"bad-signature"}');
+      } else if (failures > 0) {
+        failures--;
+        res.writeHead(503, { 'Content-Type': 'application/json' }).end('{"error":"unavailable"}');
+      } else {
+        const delivery = { ...request, body: JSON.parse(raw) };
+        deliveries.push(delivery);
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"ok":true}');
+
+        if (options.onDelivery) {
+          options.onDelivery(delivery);
+        }
+      }
+    });
+  });
+
+  return new Promise((done, fail) => {
+    server.once('error', fail);
+    server.listen(options.port ?? SINK_DEFAULTS.webhookPort, host, () => {
+      const { port } = server.address();
+      done({
+        port,
+        url: `http://${host}:${port}`,
+        deliveries,
+        requests,
+        close() {
+          server.closeAllConnections();
+          return new Promise((closed) => {
+            server.close(() => closed());
+          });
+        },
+      });
+    });
+  });
+}
+
+/**
+ * Print a line to standard output
+ * @param {string} message - Message
+ */
+function log(message) {
+  process.stdout.write(`[Sinks] ${message}\n`);
+}
+
+/**
+ * Run both sinks until stopped, logging what arrives
+ */
+async function main() {
+  const mailDir = resolve(SINK_DEFAULTS.mailDir);
+  const smtp = await startSmtpCatcher({
+    port: Number(process.env.SINK_SMTP_PORT || SINK_DEFAULTS.smtpPort),
+    onMessage(message) {
+      const file = resolve(mailDir, `${new Date().toISOString().replace(/[:.]/g, '-')}.eml`);
+      log(`Email to ${message.to.join(', ')}: ${message.subject}`);
+      mkdir(mailDir, { recursive: true })
+        .then(() => writeFile(file, message.raw))
+        .then(() => log(`  saved as ${file}`))
+        .catch((error) => console.error(`[Sinks] Could not save the message: ${error.message}`));
+    },
+  });
+  const webhooks = await startWebhookReceiver({
+    port: Number(process.env.SINK_WEBHOOK_PORT || SINK_DEFAULTS.webhookPort),
+    secret: process.env.NOTIFY_WEBHOOK_SECRET,
+    failures: Number(process.env.SINK_WEBHOOK_FAILURES || 0),
+    onDelivery(delivery) {
+      log(`Webhook ${delivery.event} on ${delivery.path}:`);
+      log(JSON.stringify(delivery.body, null, 2));
+    },
+  });
+
+  log(`SMTP catcher on smtp://${SINK_DEFAULTS.host}:${smtp.port}`);
+  log(`Webhook receiver on ${webhooks.url}`);
+
+  process.once('SIGINT', () => {
+    Promise.all([smtp.close(), webhooks.close()]).then(() => process.exit(0));
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error(`[Sinks] ${error.message}`);
+    process.exit(1);
+  });
+}
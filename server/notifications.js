@@ -0,0 +1,277 @@
+/**
+ * Lead Notifications
+ * Tells the team about new contact form leads: an HTML and plain-text email
+ * rendered from `server/templates/new-lead.{html,txt}` and sent over SMTP,
+ * and a signed `lead.created` webhook for each configured URL (see
+ * server/webhooks.js). Each channel is off until configured:
+ * - Email: `smtpUrl` and `emailTo`
+ * - Webhooks: `webhookUrls` and `webhookSecret`
+ *
+ * Templates use `{{name}}` for values, HTML-escaped in the HTML template, and
+ * `{{{name}}}` for prepared markup.
+ *
+ * @module server/notifications
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { resolve } from 'node:path';
+import { parseSmtpUrl, sendMail } from './smtp-client.js';
+import { createWebhookDispatcher } from './webhooks.js';
+
+/**
+ * Default notification settings
+ */
+export const NOTIFY_DEFAULTS = {
+  smtpUrl: null,
+  emailFrom: 'Grill Business <no-reply@localhost>',
+  emailTo: [],
+  emailAttempts: 3,
+  emailRetryDelay: 2000,
+  webhookUrls: [],
+  webhookSecret: null,
+  webhookOptions: {},
+  templatesDir: fileURLToPath(new URL('./templates/', import.meta.url)),
+};
+
+// Contact fields with a place of their own in the templates, or not meant for people
+const TEMPLATE_FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'preferredContact',
+  'inquiryType',
+  'productInterest',
+  'message',
+  'timestamp',
+];
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Escape text for Slack mrkdwn, so visitor input cannot add mentions or links
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeMrkdwn(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Turn a field name or option value into a label ("repairFuelType" → "Repair fuel type")
+ * @param {string} value - Name or value
+ * @returns {string} - Label
+ */
+function humanize(value) {
+  const words = String(value)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[-_]+/g, ' ')
+    .toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Split a comma-separated setting
+ * @param {string|Array<string>} value - Setting
+ * @returns {Array<string>} - Non-empty items
+ */
+function toList(value) {
+  const items = typeof value === 'string' ? value.split(',') : value || [];
+  return items.map((item) => (typeof item === 'string' ? item.trim() : item)).filter(Boolean);
+}
+
+/**
+ * Wait before continuing
+ * @param {number} ms - Delay in ms
+ * @returns {Promise<void>} - Resolves after the delay
+ */
+function delay(ms) {
+  return new Promise((done) => {
+    setTimeout(done, ms);
+  });
+}
+
+/**
+ * Fill a template
+ * @param {string} template - Template source
+ * @param {Object} values - Values by name; missing values render empty
+ * @param {Object} [options] - Render options
+ * @param {boolean} [options.html] - HTML-escape `{{name}}` values
+ * @returns {string} - Rendered text
+ */
+export function renderTemplate(template, values, options = {}) {
+  const format = options.html ? escapeHtml : String;
+
+  return template
+    .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (match, name) => String(values[name] ?? ''))
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => format(values[name] ?? ''));
+}
+
+/**
+ * Get the template values for a stored contact
+ * The contact form script sends `inquiry: { type, details }` and a `product`
+ * object; plain form posts send every input as a flat field.
+ * @param {Object} contact - Contact record from the mock backend
+ * @param {string} [siteUrl] - Site origin, for the lead inbox link
+ * @returns {Object} - Template values
+ */
+export function getLeadValues(contact, siteUrl = '') {
+  const { fields } = contact;
+  const inquiry = fields.inquiry || { type: fields.inquiryType, details: fields };
+  const productId = fields.product ? fields.product.id : fields.productInterest;
+  const product = fields.product && fields.product.name ? fields.product.name : productId && humanize(productId);
+  const details = Object.entries(inquiry.details || {})
+    .filter(([name, value]) => !TEMPLATE_FIELDS.includes(name) && value !== '' && typeof value !== 'object')
+    .map(([name, value]) => [humanize(name), String(value)]);
+
+  return {
+    id: contact.id,
+    receivedAt: contact.receivedAt,
+    name: fields.name,
+    email: fields.email,
+    phone: fields.phone || 'Not provided',
+    preferredContact: fields.preferredContact ? humanize(fields.preferredContact) : 'Email',
+    inquiryType: humanize(inquiry.type || 'general').toLowerCase(),
+    productInterest: product || 'Not specified',
+    message: fields.message,
+    photoCount: (contact.photos || []).length,
+    inboxUrl: `${siteUrl}/admin/leads?q=${encodeURIComponent(fields.email)}`,
+    detailsText: details.map(([label, value]) => `${label}: ${value}\n`).join(''),
+    detailsHtml: details
+      .map(
+        ([label, value]) =>
+          `<tr><th align="left" style="border-bottom:1px solid #eeeeee;">${escapeHtml(label)}</th>` +
+          `<td style="border-bottom:1px solid #eeeeee;">${escapeHtml(value)}</td></tr>`
+      )
+      .join('\n'),
+  };
+}
+
+/**
+ * Create the lead notifier
+ * @param {Object} options - Notification settings, see NOTIFY_DEFAULTS
+ * @param {string|Array<string>} [options.emailTo] - Recipients, comma-separated or a list
+ * @param {string|Array} [options.webhookUrls] - Webhook endpoints, see parseWebhookEndpoints
+ * @param {Object} [options.webhookOptions] - Dispatcher settings, such as `deadLetterFile`, see WEBHOOK_DEFAULTS
+ * @param {Object} options.logger - Logger with `info`, `warn` and `error`
+ * @returns {{enabled: boolean, notifyNewLead: Function}} - Notifier
+ */
+export function createNotifier(options) {
+  // Unset options, such as a missing environment variable, keep their defaults
+  const config = {
+    ...NOTIFY_DEFAULTS,
+    ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)),
+  };
+  const { logger } = config;
+  const emailTo = toList(config.emailTo);
+  const smtp = config.smtpUrl && emailTo.length > 0 ? parseSmtpUrl(config.smtpUrl) : null;
+  const webhooks =
+    config.webhookSecret && toList(config.webhookUrls).length > 0
+      ? createWebhookDispatcher({
+          endpoints: toList(config.webhookUrls),
+          secret: config.webhookSecret,
+          logger,
+          ...config.webhookOptions,
+        })
+      : null;
+  let templates = null;
+
+  if (toList(config.webhookUrls).length > 0 && !config.webhookSecret) {
+    logger.warn('[Notifications] Webhook URLs are set without a signing secret; webhooks are off');
+  }
+
+  /**
+   * Load the email templates once
+   * @returns {Promise<{html: string, text: string}>} - Template sources
+   */
+  function loadTemplates() {
+    templates =
+      templates ||
+      Promise.all([
+        readFile(resolve(config.templatesDir, 'new-lead.html'), 'utf8'),
+        readFile(resolve(config.templatesDir, 'new-lead.txt'), 'utf8'),
+      ]).then(([html, text]) => ({ html, text }));
+
+    return templates;
+  }
+
+  /**
+   * Email the team about a lead, retrying while the SMTP server is unavailable
+   * @param {Object} values - Template values
+   * @returns {Promise<{ok: boolean, attempts: number, error: string|null}>} - Outcome
+   */
+  async function sendLeadEmail(values) {
+    const source = await loadTemplates();
+    const message = {
+      from: config.emailFrom,
+      to: emailTo,
+      replyTo: `${values.name} <${values.email}>`,
+      subject: `New ${values.inquiryType} inquiry from ${values.name}`,
+      text: renderTemplate(source.text, values),
+      html: renderTemplate(source.html, values, { html: true }),
+    };
+
+    let lastError = null;
+    let attempts = 0;
+
+    while (attempts < config.emailAttempts) {
+      attempts++;
+      try {
+        await sendMail(message, smtp);
+        logger.info(`[Notifications] Emailed lead ${values.id} to ${emailTo.join(', ')}`);
+        return { ok: true, attempts, error: null };
+      } catch (error) {
+        lastError = error;
+        // 5xx replies are permanent; retrying would only be refused again
+        if (error.code >= 500 || attempts >= config.emailAttempts) {
+          break;
+        }
+        await delay(config.emailRetryDelay * attempts);
+      }
+    }
+
+    logger.error(`[Notifications] Could not email lead ${values.id}: ${lastError.message}`);
+    return { ok: false, attempts, error: lastError.message };
+  }
+
+  return {
+    enabled: Boolean(smtp || webhooks),
+
+    /**
+     * Notify every configured channel about a new contact lead
+     * Failures are logged and reported, never thrown.
+     * @param {Object} contact - Contact record from the mock backend
+     * @param {Object} [context] - Request context
+     * @param {string} [context.siteUrl] - Site origin, for links back to the lead inbox
+     * @returns {Promise<{email: Object|null, webhooks: Array<Object>}>} - Outcome per channel
+     */
+    async notifyNewLead(contact, context = {}) {
+      const values = getLeadValues(contact, context.siteUrl);
+      const message = escapeMrkdwn(values.message.slice(0, 280));
+      const summary =
+        `New ${escapeMrkdwn(values.inquiryType)} inquiry from *${escapeMrkdwn(values.name)}* (${escapeMrkdwn(values.email)})\n` +
+        `> ${message.replace(/\n/g, '\n> ')}\n` +
+        `<${values.inboxUrl}|Open in the lead inbox>`;
+      const data = {
+        id: contact.id,
+        receivedAt: contact.receivedAt,
+        fields: contact.fields,
+        photos: contact.photos || [],
+      };
+
+      const [email, deliveries] = await Promise.all([
+        smtp ? sendLeadEmail(values) : null,
+        webhooks ? webhooks.dispatch('lead.created', data, summary) : [],
+      ]);
+
+      return { email, webhooks: deliveries };
+    },
+  };
+}
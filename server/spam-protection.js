@@ -0,0 +1,171 @@
+/**
+ * Spam Protection Verifier
+ * Server-side counterpart of `src/js/spam-protection.js`. Checks the honeypot,
+ * the time-to-submit and the proof-of-work token of a submission. Has no
+ * dependencies beyond Node's `crypto`, so it works in the Vite dev middleware
+ * or any Node backend.
+ *
+ * @module server/spam-protection
+ */
+
+import { createHash } from 'node:crypto';
+
+/**
+ * Default verifier settings
+ * `difficulty` and `minElapsedMs` must match the client configuration.
+ */
+export const SPAM_DEFAULTS = {
+  tokenVersion: 1,
+  difficulty: 15,
+  minElapsedMs: 3000,
+  maxTokenAge: 60 * 60 * 1000,
+  maxClockSkew: 5 * 60 * 1000,
+  honeypotField: 'website',
+  elapsedField: 'formElapsedMs',
+  tokenField: 'powToken',
+  // Off: a submission without a token passes on its honeypot and time-to-submit
+  requireToken: true,
+};
+
+/**
+ * Count leading zero bits of a hash
+ * @param {Buffer} bytes - Hash bytes
+ * @returns {number} - Number of leading zero bits
+ */
+function countLeadingZeroBits(bytes) {
+  let bits = 0;
+
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+
+  return bits;
+}
+
+/**
+ * Verify a proof-of-work token
+ * Token format: `version:difficulty:issuedAt:salt:nonce`
+ * @param {string} token - Token from the client
+ * @param {Object} [options] - Verifier settings, see SPAM_DEFAULTS
+ * @param {number} [options.now] - Current time in ms, for testing
+ * @returns {{valid: boolean, reason: string|null, id: string|null}} - `id` identifies the token for replay checks
+ */
+export function verifyProofOfWork(token, options = {}) {
+  const config = { ...SPAM_DEFAULTS, ...options };
+  const now = options.now ?? Date.now();
+
+  if (typeof token !== 'string' || token === '') {
+    return { valid: false, reason: 'missing-token', id: null };
+  }
+
+  const parts = token.split(':');
+  if (parts.length !== 5) {
+    return { valid: false, reason: 'malformed-token', id: null };
+  }
+
+  const [version, difficulty, issuedAt, salt, nonce] = parts;
+
+  if (Number(version) !== config.tokenVersion || !/^[0-9a-f]{8,64}$/.test(salt) || !/^\d+$/.test(nonce)) {
+    return { valid: false, reason: 'malformed-token', id: null };
+  }
+
+  if (Number(difficulty) < config.difficulty) {
+    return { valid: false, reason: 'insufficient-difficulty', id: null };
+  }
+
+  const age = now - Number(issuedAt);
+  if (!Number.isFinite(age) || age > config.maxTokenAge || age < -config.maxClockSkew) {
+    return { valid: false, reason: 'expired-token', id: null };
+  }
+
+  const hash = createHash('sha256').update(token).digest();
+  if (countLeadingZeroBits(hash) < Number(difficulty)) {
+    return { valid: false, reason: 'invalid-proof', id: null };
+  }
+
+  return { valid: true, reason: null, id: `${issuedAt}:${salt}` };
+}
+
+/**
+ * Create an in-memory guard against token reuse
+ * A token may be presented again by the same owner (for example when a
+ * submission is retried with the same idempotency key), but not by anyone else.
+ * @param {Object} [options] - Guard options
+ * @param {number} [options.maxAge] - How long to remember tokens, in ms
+ * @returns {{claim: Function}} - Guard with `claim(id, owner)`, returning false for replays
+ */
+export function createReplayGuard(options = {}) {
+  const maxAge = options.maxAge ?? SPAM_DEFAULTS.maxTokenAge + SPAM_DEFAULTS.maxClockSkew;
+  const claims = new Map();
+
+  function prune(now) {
+    for (const [id, claim] of claims) {
+      if (now - claim.at > maxAge) {
+        claims.delete(id);
+      }
+    }
+  }
+
+  return {
+    claim(id, owner = null, now = Date.now()) {
+      prune(now);
+
+      const existing = claims.get(id);
+      if (existing) {
+        return owner !== null && existing.owner === owner;
+      }
+
+      claims.set(id, { owner, at: now });
+      return true;
+    },
+  };
+}
+
+/**
+ * Verify the anti-spam fields of a submission
+ * A token that is present is always verified. With `requireToken` off, a
+ * submission without one is accepted on its honeypot and time-to-submit; the
+ * client sends none when `crypto.subtle` is missing (insecure contexts) or the
+ * token was not ready in time.
+ * @param {Object} fields - Submitted fields (JSON body or parsed form body)
+ * @param {Object} [options] - Verifier settings, see SPAM_DEFAULTS
+ * @param {Object} [options.replayGuard] - Guard from createReplayGuard
+ * @param {string} [options.owner] - Owner for replay checks, such as the submission ID
+ * @returns {{valid: boolean, reason: string|null}} - Verification result
+ */
+export function verifySubmission(fields, options = {}) {
+  const config = { ...SPAM_DEFAULTS, ...options };
+  const data = fields || {};
+
+  const honeypot = data[config.honeypotField];
+  if (typeof honeypot === 'string' && honeypot.trim() !== '') {
+    return { valid: false, reason: 'honeypot' };
+  }
+
+  const elapsed = Number(data[config.elapsedField]);
+  if (!Number.isFinite(elapsed) || elapsed < config.minElapsedMs) {
+    return { valid: false, reason: 'too-fast' };
+  }
+
+  const token = data[config.tokenField];
+  if (!config.requireToken && (token === undefined || token === null || token === '')) {
+    return { valid: true, reason: null };
+  }
+
+  const proof = verifyProofOfWork(token, config);
+  if (!proof.valid) {
+    return { valid: false, reason: proof.reason };
+  }
+
+  if (config.replayGuard && !config.replayGuard.claim(proof.id, config.owner ?? null)) {
+    return { valid: false, reason: 'replayed-token' };
+  }
+
+  return { valid: true, reason: null };
+}
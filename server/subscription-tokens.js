@@ -0,0 +1,80 @@
+/**
+ * Subscription Tokens
+ * Signed tokens for the newsletter preference center links
+ * (`/subscribe/preferences?token=...`). A token names the subscriber's email
+ * address and an expiry time, signed with HMAC-SHA256, so the server can
+ * trust it without storing it.
+ *
+ * Token format: `base64url(email).expiresAt.base64url(signature)`
+ *
+ * @module server/subscription-tokens
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+
+/**
+ * Default token settings
+ */
+export const TOKEN_DEFAULTS = {
+  ttl: 90 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Sign the email and expiry part of a token
+ * @param {string} data - `base64url(email).expiresAt`
+ * @param {string} secret - Signing secret
+ * @returns {string} - Signature in base64url
+ */
+function sign(data, secret) {
+  return createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Create a preference center token
+ * @param {string} email - Subscriber email address
+ * @param {Object} options - Token options
+ * @param {string} options.secret - Signing secret
+ * @param {number} [options.ttl] - Lifetime in ms, see TOKEN_DEFAULTS
+ * @param {number} [options.now] - Current time in ms, for testing
+ * @returns {string} - Signed token
+ */
+export function createSubscriptionToken(email, options) {
+  const now = options.now ?? Date.now();
+  const ttl = options.ttl ?? TOKEN_DEFAULTS.ttl;
+  const data = `${Buffer.from(email).toString('base64url')}.${now + ttl}`;
+
+  return `${data}.${sign(data, options.secret)}`;
+}
+
+/**
+ * Verify a preference center token
+ * @param {string} token - Token from the client
+ * @param {Object} options - Verifier options
+ * @param {string} options.secret - Signing secret
+ * @param {number} [options.now] - Current time in ms, for testing
+ * @returns {{valid: boolean, reason: string|null, email: string|null}} - Reason is
+ *   'malformed', 'bad-signature' or 'expired' when the token is not valid
+ */
+export function verifySubscriptionToken(token, options) {
+  const now = options.now ?? Date.now();
+  const parts = typeof token === 'string' ? token.split('.') : [];
+
+  if (parts.length !== 3 || !/^\d+$/.test(parts[1])) {
+    return { valid: false, reason: 'malformed', email: null };
+  }
+
+  const [encodedEmail, expiresAt, signature] = parts;
+  const expected = Buffer.from(sign(`${encodedEmail}.${expiresAt}`, options.secret));
+  const actual = Buffer.from(signature);
+
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return { valid: false, reason: 'bad-signature', email: null };
+  }
+
+  if (Number(expiresAt) < now) {
+    return { valid: false, reason: 'expired', email: null };
+  }
+
+  return { valid: true, reason: null, email: Buffer.from(encodedEmail, 'base64url').toString() };
+}
@@ -0,0 +1,257 @@
+/**
+ * Webhook Dispatcher
+ * Posts signed JSON events to configured URLs, such as a Slack incoming
+ * webhook or a CRM. Failed deliveries are retried with exponential backoff
+ * and jitter (or the receiver's `Retry-After`); deliveries that still fail
+ * are appended to a dead-letter log, one JSON object per line, for replay.
+ *
+ * Every request carries:
+ * - `X-Grill-Event`: event name, such as "lead.created"
+ * - `X-Grill-Delivery`: delivery ID, the same for every retry of one delivery
+ * - `X-Grill-Signature`: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`
+ *
+ * Receivers check the signature with verifyWebhookSignature().
+ *
+ * @module server/webhooks
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+import { appendFile, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { Buffer } from 'node:buffer';
+
+/**
+ * Default dispatcher settings
+ */
+export const WEBHOOK_DEFAULTS = {
+  maxAttempts: 5,
+  baseDelay: 1000,
+  maxDelay: 60 * 1000,
+  timeout: 10000,
+  retryStatuses: [408, 425, 429, 500, 502, 503, 504],
+  deadLetterFile: '.mock-backend/webhook-dead-letter.jsonl',
+  // Seconds a signature stays valid for receivers
+  tolerance: 5 * 60,
+};
+
+/**
+ * Compute the signature header for a body
+ * @param {string} body - Request body
+ * @param {string} secret - Shared secret
+ * @param {number} [timestamp] - Unix time in seconds
+ * @returns {string} - `X-Grill-Signature` header value
+ */
+export function signWebhook(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Verify the signature header of a received webhook
+ * @param {string} body - Raw request body
+ * @param {string} header - `X-Grill-Signature` header value
+ * @param {string} secret - Shared secret
+ * @param {Object} [options] - Verifier options
+ * @param {number} [options.tolerance] - Maximum signature age in seconds, see WEBHOOK_DEFAULTS
+ * @param {number} [options.now] - Current Unix time in seconds, for testing
+ * @returns {boolean} - True if the body was signed with the secret recently
+ */
+export function verifyWebhookSignature(body, header, secret, options = {}) {
+  const tolerance = options.tolerance ?? WEBHOOK_DEFAULTS.tolerance;
+  const now = options.now ?? Math.floor(Date.now() / 1000);
+  const parts = Object.fromEntries(
+    String(header || '')
+      .split(',')
+      .map((part) => part.trim().split('='))
+  );
+  const timestamp = Number(parts.t);
+
+  if (!Number.isInteger(timestamp) || !parts.v1 || Math.abs(now - timestamp) > tolerance) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhook(body, secret, timestamp).split('v1=')[1]);
+  const actual = Buffer.from(parts.v1);
+
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Normalize webhook endpoints from settings
+ * Slack incoming webhooks (hooks.slack.com) get Slack's `{ text }` body.
+ * @param {string|Array<string|Object>} value - Comma-separated URLs, or a list of
+ *   URLs and `{ url, format }` objects, where format is 'json' or 'slack'
+ * @returns {Array<{url: string, format: string}>} - Endpoints
+ */
+export function parseWebhookEndpoints(value) {
+  const items = typeof value === 'string' ? value.split(',') : value || [];
+
+  return items
+    .map((item) => (typeof item === 'string' ? { url: item.trim() } : item))
+    .filter((endpoint) => endpoint.url)
+    .map((endpoint) => ({
+      url: endpoint.url,
+      format: endpoint.format || (new URL(endpoint.url).hostname === 'hooks.slack.com' ? 'slack' : 'json'),
+    }));
+}
+
+/**
+ * Wait before the next attempt
+ * @param {number} ms - Delay in ms
+ * @returns {Promise<void>} - Resolves after the delay
+ */
+function delay(ms) {
+  return new Promise((done) => {
+    setTimeout(done, ms);
+  });
+}
+
+/**
+ * Create a webhook dispatcher
+ * @param {Object} options - Dispatcher settings, see WEBHOOK_DEFAULTS
+ * @param {string|Array} options.endpoints - Endpoints, see parseWebhookEndpoints
+ * @param {string} options.secret - Signing secret
+ * @param {Object} options.logger - Logger with `info`, `warn` and `error`
+ * @param {Function} [options.fetch] - Fetch implementation, for testing
+ * @returns {{endpoints: Array<Object>, dispatch: Function}} - Dispatcher
+ */
+export function createWebhookDispatcher(options) {
+  const config = { ...WEBHOOK_DEFAULTS, ...options };
+  const endpoints = parseWebhookEndpoints(config.endpoints);
+  const fetchImpl = config.fetch || globalThis.fetch;
+  const { logger } = config;
+
+  /**
+   * Get the wait before a retry
+   * @param {number} failures - Failed attempts so far
+   * @param {number|null} retryAfter - Seconds requested by the receiver
+   * @returns {number} - Delay in ms
+   */
+  function getRetryDelay(failures, retryAfter) {
+    if (retryAfter !== null) {
+      return Math.min(retryAfter * 1000, config.maxDelay);
+    }
+
+    const exponential = Math.min(config.baseDelay * 2 ** (failures - 1), config.maxDelay);
+    return Math.round(exponential / 2 + (Math.random() * exponential) / 2);
+  }
+
+  /**
+   * Send one attempt
+   * @param {Object} endpoint - Endpoint
+   * @param {string} body - JSON body
+   * @param {Object} headers - Event headers
+   * @returns {Promise<{ok: boolean, status: number|null, retryable: boolean, retryAfter: number|null, error: string|null}>} - Attempt result
+   */
+  async function attempt(endpoint, body, headers) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), config.timeout);
+
+    try {
+      const response = await fetchImpl(endpoint.url, {
+        method: 'POST',
+        headers: { ...headers, 'X-Grill-Signature': signWebhook(body, config.secret) },
+        body,
+        signal: controller.signal,
+      });
+      const retryAfter = /^\d+$/.test(response.headers.get('Retry-After') || '')
+        ? Number(response.headers.get('Retry-After'))
+        : null;
+
+      return {
+        ok: response.ok,
+        status: response.status,
+        retryable: config.retryStatuses.includes(response.status),
+        retryAfter,
+        error: response.ok ? null : `HTTP ${response.status}`,
+      };
+    } catch (error) {
+      const message = error.name === 'AbortError' ? `No response within ${config.timeout} ms` : error.message;
+      return { ok: false, status: null, retryable: true, retryAfter: null, error: message };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Record a delivery that could not be made
+   * @param {Object} entry - Dead-letter entry
+   */
+  async function writeDeadLetter(entry) {
+    try {
+      await mkdir(dirname(config.deadLetterFile), { recursive: true });
+      await appendFile(config.deadLetterFile, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      logger.error(`[Webhooks] Could not write the dead-letter log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deliver an event to one endpoint, retrying as configured
+   * @param {Object} endpoint - Endpoint
+   * @param {Object} event - `{ id, event, createdAt, data, summary }`
+   * @returns {Promise<Object>} - `{ url, ok, attempts, status, error }`
+   */
+  async function deliver(endpoint, event) {
+    const body = JSON.stringify(
+      endpoint.format === 'slack'
+        ? { text: event.summary }
+        : { id: event.id, event: event.event, createdAt: event.createdAt, data: event.data }
+    );
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'GrillBusiness-Webhooks/1.0',
+      'X-Grill-Event': event.event,
+      'X-Grill-Delivery': event.id,
+    };
+
+    let result = null;
+    let attempts = 0;
+
+    while (attempts < config.maxAttempts) {
+      attempts++;
+      result = await attempt(endpoint, body, headers);
+
+      if (result.ok || !result.retryable || attempts >= config.maxAttempts) {
+        break;
+      }
+
+      const wait = getRetryDelay(attempts, result.retryAfter);
+      logger.warn(`[Webhooks] ${endpoint.url} failed (${result.error}), retrying in ${wait} ms`);
+      await delay(wait);
+    }
+
+    if (!result.ok) {
+      logger.error(`[Webhooks] Giving up on ${endpoint.url} after ${attempts} attempts: ${result.error}`);
+      await writeDeadLetter({
+        deliveryId: event.id,
+        event: event.event,
+        url: endpoint.url,
+        format: endpoint.format,
+        attempts,
+        status: result.status,
+        error: result.error,
+        failedAt: new Date().toISOString(),
+        body: JSON.parse(body),
+      });
+    }
+
+    return { url: endpoint.url, ok: result.ok, attempts, status: result.status, error: result.error };
+  }
+
+  return {
+    endpoints,
+
+    /**
+     * Send an event to every endpoint
+     * @param {string} name - Event name, such as "lead.created"
+     * @param {Object} data - Event data
+     * @param {string} summary - One-line description, used as the Slack message
+     * @returns {Promise<Array<Object>>} - Result per endpoint, see deliver()
+     */
+    dispatch(name, data, summary) {
+      const event = { id: randomUUID(), event: name, createdAt: new Date().toISOString(), data, summary };
+      return Promise.all(endpoints.map((endpoint) => deliver(endpoint, event)));
+    },
+  };
+}
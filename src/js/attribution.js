@@ -0,0 +1,350 @@
+/**
+ * Marketing Attribution
+ * Records where a visitor came from so leads can be credited to a campaign:
+ * `utm_*` parameters, `gclid` and `fbclid`, the referrer and the landing page.
+ * Two touches are kept for the browser session (sessionStorage):
+ * - First touch: how the session started
+ * - Last touch: the latest visit that came from a campaign or another site;
+ *   direct and internal visits do not replace it
+ *
+ * Nothing is stored or sent without consent. Until the consent manager calls
+ * `Attribution.setConsent(true)`, touches are only kept in memory; declining
+ * deletes any stored ones. Global Privacy Control and Do Not Track count as declining
+ * until the visitor decides otherwise. The choice is remembered in localStorage.
+ *
+ * Public API (`window.Attribution`):
+ * - `getData()`: `{ firstTouch, lastTouch }`, or null without consent; each
+ *   touch is `{ source, medium, campaign, term, content, gclid, fbclid,
+ *   referrer, landingPage, timestamp }`
+ * - `getConsent()`: 'granted', 'denied' or 'pending'
+ * - `setConsent(granted)`: record the visitor's choice
+ *
+ * The contact and newsletter forms send `getData()` as `attribution`.
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Configuration object for attribution
+   */
+  const CONFIG = {
+    storageKey: 'grill-business:attribution',
+    consentStorageKey: 'grill-business:attribution-consent',
+    // Query parameters kept in touches and landing page URLs, with their touch property
+    params: {
+      utm_source: 'source',
+      utm_medium: 'medium',
+      utm_campaign: 'campaign',
+      utm_term: 'term',
+      utm_content: 'content',
+      gclid: 'gclid',
+      fbclid: 'fbclid',
+    },
+    maxLength: 200,
+    searchEngines: ['google.', 'bing.com', 'duckduckgo.com', 'yahoo.', 'ecosia.org', 'baidu.com', 'yandex.'],
+    socialNetworks: [
+      'facebook.com',
+      'instagram.com',
+      'linkedin.com',
+      'pinterest.',
+      'reddit.com',
+      't.co',
+      'tiktok.com',
+      'twitter.com',
+      'x.com',
+      'youtube.com',
+    ],
+  };
+
+  /**
+   * Logger utility for structured logging
+   */
+  const Logger = {
+    warn(message, context = {}) {
+      if (typeof console !== 'undefined' && console.warn) {
+        console.warn(`[Attribution] ${message}`, context);
+      }
+    },
+  };
+
+  // Attribution state
+  const state = {
+    consent: 'pending',
+    firstTouch: null,
+    lastTouch: null,
+  };
+
+  /**
+   * Get a storage area
+   * @param {string} name - 'sessionStorage' or 'localStorage'
+   * @returns {Storage|null} - Storage, or null if unavailable
+   */
+  function getStorage(name) {
+    try {
+      return window[name];
+    } catch (_error) {
+      // Access throws when storage is disabled (e.g. blocked cookies)
+      return null;
+    }
+  }
+
+  /**
+   * Check whether the browser sends an opt-out signal
+   * @returns {boolean} - True for Global Privacy Control or Do Not Track
+   */
+  function hasOptOutSignal() {
+    return navigator.globalPrivacyControl === true || navigator.doNotTrack === '1';
+  }
+
+  /**
+   * Check whether a hostname belongs to one of a list of domains
+   * @param {string} hostname - Hostname
+   * @param {Array<string>} domains - Domains; a trailing dot matches any suffix ("google.")
+   * @returns {boolean} - True if the hostname matches
+   */
+  function matchesDomain(hostname, domains) {
+    const host = hostname.replace(/^www\./, '');
+
+    return domains.some(domain =>
+      domain.endsWith('.')
+        ? host.startsWith(domain) || host.includes(`.${domain}`)
+        : host === domain || host.endsWith(`.${domain}`)
+    );
+  }
+
+  /**
+   * Trim a parameter value to a sensible length
+   * @param {string|null} value - Value
+   * @returns {string|null} - Trimmed value, or null when empty
+   */
+  function clean(value) {
+    const text = (value || '').trim().slice(0, CONFIG.maxLength);
+    return text || null;
+  }
+
+  /**
+   * Get the referrer if the visitor came from another site
+   * Only the origin and path are kept; queries can hold personal data.
+   * @returns {URL|null} - Referrer
+   */
+  function getExternalReferrer() {
+    try {
+      const referrer = new URL(document.referrer);
+      return referrer.hostname && referrer.hostname !== window.location.hostname ? referrer : null;
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the landing page URL with only the attribution parameters
+   * @param {URLSearchParams} params - Page query
+   * @returns {string} - Landing page URL
+   */
+  function getLandingPage(params) {
+    const url = new URL(window.location.pathname, window.location.origin);
+
+    Object.keys(CONFIG.params).forEach(name => {
+      if (params.has(name)) {
+        url.searchParams.set(name, params.get(name));
+      }
+    });
+
+    return url.href;
+  }
+
+  /**
+   * Work out the source and medium when no UTM parameters say so
+   * @param {Object} touch - Touch with click IDs
+   * @param {URL|null} referrer - External referrer
+   * @returns {{source: string, medium: string}} - Source and medium
+   */
+  function inferChannel(touch, referrer) {
+    if (touch.gclid) {
+      return { source: 'google', medium: 'cpc' };
+    }
+    if (touch.fbclid) {
+      return { source: 'facebook', medium: 'social' };
+    }
+    if (!referrer) {
+      return { source: '(direct)', medium: '(none)' };
+    }
+
+    const source = referrer.hostname.replace(/^www\./, '');
+
+    if (matchesDomain(referrer.hostname, CONFIG.searchEngines)) {
+      return { source, medium: 'organic' };
+    }
+    if (matchesDomain(referrer.hostname, CONFIG.socialNetworks)) {
+      return { source, medium: 'social' };
+    }
+
+    return { source, medium: 'referral' };
+  }
+
+  /**
+   * Build the touch for the current page view
+   * @returns {{touch: Object, isCampaign: boolean}} - Touch, and whether it came from
+   *   a campaign or another site rather than a direct or internal visit
+   */
+  function readTouch() {
+    const params = new URLSearchParams(window.location.search);
+    const referrer = getExternalReferrer();
+    const touch = {};
+
+    Object.entries(CONFIG.params).forEach(([param, property]) => {
+      touch[property] = clean(params.get(param));
+    });
+
+    const channel = inferChannel(touch, referrer);
+    const isCampaign = Object.values(touch).some(Boolean) || referrer !== null;
+
+    return {
+      touch: {
+        ...touch,
+        source: touch.source || channel.source,
+        medium: touch.medium || (touch.source ? null : channel.medium),
+        referrer: referrer ? `${referrer.origin}${referrer.pathname}` : null,
+        landingPage: getLandingPage(params),
+        timestamp: new Date().toISOString(),
+      },
+      isCampaign,
+    };
+  }
+
+  /**
+   * Read the touches stored for this session
+   * @returns {Object} - `{ firstTouch, lastTouch }` with nulls when missing
+   */
+  function loadTouches() {
+    const storage = getStorage('sessionStorage');
+
+    try {
+      const stored = storage ? JSON.parse(storage.getItem(CONFIG.storageKey)) : null;
+      return { firstTouch: null, lastTouch: null, ...stored };
+    } catch (_error) {
+      return { firstTouch: null, lastTouch: null };
+    }
+  }
+
+  /**
+   * Save the touches for this session, if consent allows
+   */
+  function saveTouches() {
+    const storage = getStorage('sessionStorage');
+
+    if (!storage || state.consent !== 'granted') {
+      return;
+    }
+
+    try {
+      storage.setItem(
+        CONFIG.storageKey,
+        JSON.stringify({ firstTouch: state.firstTouch, lastTouch: state.lastTouch })
+      );
+    } catch (error) {
+      Logger.warn('Could not save attribution', { error });
+    }
+  }
+
+  /**
+   * Delete stored touches
+   */
+  function clearTouches() {
+    const storage = getStorage('sessionStorage');
+
+    state.firstTouch = null;
+    state.lastTouch = null;
+
+    if (storage) {
+      storage.removeItem(CONFIG.storageKey);
+    }
+  }
+
+  /**
+   * Read the saved consent choice, or the default for this browser
+   * @returns {string} - 'granted', 'denied' or 'pending'
+   */
+  function readConsent() {
+    const storage = getStorage('localStorage');
+    const stored = storage ? storage.getItem(CONFIG.consentStorageKey) : null;
+
+    if (stored === 'granted' || stored === 'denied') {
+      return stored;
+    }
+
+    return hasOptOutSignal() ? 'denied' : 'pending';
+  }
+
+  /**
+   * Record the visitor's consent choice
+   * @param {boolean} granted - True to allow attribution
+   */
+  function setConsent(granted) {
+    const storage = getStorage('localStorage');
+    state.consent = granted ? 'granted' : 'denied';
+
+    if (storage) {
+      try {
+        storage.setItem(CONFIG.consentStorageKey, state.consent);
+      } catch (error) {
+        Logger.warn('Could not save the consent choice', { error });
+      }
+    }
+
+    if (granted) {
+      saveTouches();
+    } else {
+      clearTouches();
+    }
+  }
+
+  /**
+   * Get the recorded consent state
+   * @returns {string} - 'granted', 'denied' or 'pending'
+   */
+  function getConsent() {
+    return state.consent;
+  }
+
+  /**
+   * Get the touches to send with a form
+   * @returns {{firstTouch: Object, lastTouch: Object}|null} - Touches, or null without consent
+   */
+  function getData() {
+    if (state.consent !== 'granted' || !state.firstTouch) {
+      return null;
+    }
+
+    return { firstTouch: { ...state.firstTouch }, lastTouch: { ...state.lastTouch } };
+  }
+
+  /**
+   * Record the touch for this page view
+   */
+  function init() {
+    state.consent = readConsent();
+
+    if (state.consent === 'denied') {
+      clearTouches();
+    }
+
+    // Kept in memory only until consent is granted
+    const stored = loadTouches();
+    const { touch, isCampaign } = readTouch();
+
+    state.firstTouch = stored.firstTouch || touch;
+    state.lastTouch = isCampaign || !stored.lastTouch ? touch : stored.lastTouch;
+    saveTouches();
+  }
+
+  window.Attribution = {
+    getData,
+    getConsent,
+    setConsent,
+  };
+
+  // Record the landing page before other scripts change the URL
+  init();
+})();
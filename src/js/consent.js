@@ -0,0 +1,151 @@
+/**
+ * Privacy Consent
+ * Builds the consent record the contact and newsletter forms send with a
+ * submission, from their required consent checkbox:
+ * `{ version, textHash, timestamp }`.
+ * - `version`: the privacy policy version, the checkbox value
+ * - `textHash`: SHA-256 (hex) of the consent text as shown, whitespace collapsed
+ * - `timestamp`: when the box was ticked (ISO 8601)
+ *
+ * The form's hidden `consentTextHash` input holds the hash of the text in the
+ * page source, for posts without JavaScript and browsers without Web Crypto.
+ * When the consent text changes, publish a new policy version and update the
+ * version, the hidden hash and the versions and hashes the server accepts
+ * (`CONSENT_DEFAULTS` in server/consent.js).
+ *
+ * Public API (`window.Consent`):
+ * - `getRecord(form)`: the record, or null when the box is not ticked
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Configuration object for consent records
+   */
+  const CONFIG = {
+    inputSelector: 'input[type="checkbox"][name="consent"]',
+    textSelector: '.consent-text',
+    hashInputName: 'consentTextHash',
+  };
+
+  /**
+   * Logger utility for structured logging
+   */
+  const Logger = {
+    warn(message, context = {}) {
+      if (typeof console !== 'undefined' && console.warn) {
+        console.warn(`[Consent] ${message}`, context);
+      }
+    },
+  };
+
+  // Text hashes by checkbox, computed once the page has loaded
+  const textHashes = new WeakMap();
+
+  // When each checkbox was last ticked
+  const tickedAt = new WeakMap();
+
+  /**
+   * Get the consent text shown next to a checkbox
+   * @param {HTMLInputElement} input - Consent checkbox
+   * @returns {string} - Text with whitespace collapsed
+   */
+  function getConsentText(input) {
+    const label = input.closest('label') || (input.labels && input.labels[0]);
+    const text = label ? label.querySelector(CONFIG.textSelector) || label : null;
+
+    return text ? text.textContent.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  /**
+   * Hash text with SHA-256
+   * @param {string} text - Text
+   * @returns {Promise<string>} - Hex digest
+   */
+  async function sha256(text) {
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Hash a checkbox's consent text and compare it with the page source hash
+   * @param {HTMLInputElement} input - Consent checkbox
+   */
+  async function hashConsentText(input) {
+    const fallback = input.form ? input.form.elements.namedItem(CONFIG.hashInputName) : null;
+    const textHash = await sha256(getConsentText(input));
+
+    if (fallback && fallback.value !== textHash) {
+      Logger.warn('The consent text changed without a new hash; publish a new policy version', {
+        version: input.value,
+      });
+    }
+
+    textHashes.set(input, textHash);
+  }
+
+  /**
+   * Remember when a consent box is ticked
+   * @param {Event} event - Change event
+   */
+  function handleChange(event) {
+    const { target } = event;
+
+    if (target instanceof HTMLInputElement && target.matches(CONFIG.inputSelector)) {
+      if (target.checked) {
+        tickedAt.set(target, new Date());
+      } else {
+        tickedAt.delete(target);
+      }
+    }
+  }
+
+  /**
+   * Get the consent record for a form
+   * @param {HTMLFormElement} form - Form with a consent checkbox
+   * @returns {{version: string, textHash: string, timestamp: string}|null} - Record, or null
+   *   when the box is not ticked
+   */
+  function getRecord(form) {
+    const input = form.querySelector(CONFIG.inputSelector);
+
+    if (!input || !input.checked) {
+      return null;
+    }
+
+    const fallback = form.elements.namedItem(CONFIG.hashInputName);
+
+    return {
+      version: input.value,
+      textHash: textHashes.get(input) || (fallback ? fallback.value : ''),
+      timestamp: (tickedAt.get(input) || new Date()).toISOString(),
+    };
+  }
+
+  /**
+   * Hash the consent texts on the page and watch the checkboxes
+   */
+  function init() {
+    document.addEventListener('change', handleChange);
+
+    if (!window.crypto || !window.crypto.subtle) {
+      // Insecure contexts have no Web Crypto; the page source hashes are sent instead
+      return;
+    }
+
+    document.querySelectorAll(CONFIG.inputSelector).forEach(input => {
+      hashConsentText(input).catch(error => Logger.warn('Could not hash the consent text', { error }));
+    });
+  }
+
+  window.Consent = {
+    getRecord,
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -1,7 +1,8 @@
 /**
  * Contact Form Validation and Submission Handler
  * Provides comprehensive client-side validation, form state management,
- * and user feedback for the contact form.
+ * and user feedback for the contact form. Fields are validated by the shared
+ * engine in `form-validation.js` from their `data-validate` rules.
  */
 
 (function () {
@@ -10,24 +11,36 @@
   // Configuration constants
   const CONFIG = {
     validation: {
-      nameMinLength: 2,
-      nameMaxLength: 100,
-      messageMinLength: 10,
-      messageMaxLength: 1000,
-      emailPattern: /^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/i,
-      phonePattern: /^[\d\s\-+()]{10,}$/,
+      // Fallback when the phone metadata is not loaded
+      phonePattern: /^\+?[\d\s\-.()]{4,}$/,
     },
-    messages: {
-      required: 'This field is required',
-      invalidEmail: 'Please enter a valid email address',
-      invalidPhone: 'Please enter a valid phone number (at least 10 digits)',
-      nameTooShort: 'Name must be at least 2 characters long',
-      nameTooLong: 'Name must not exceed 100 characters',
-      messageTooShort: 'Message must be at least 10 characters long',
-      messageTooLong: 'Message must not exceed 1000 characters',
-      submitSuccess: 'Thank you for your message! We will get back to you soon.',
-      submitError: 'Sorry, there was an error submitting your form. Please try again or contact us directly.',
-      networkError: 'Network error. Please check your connection and try again.',
+    submission: {
+      timeout: 15000,
+      maxRetries: 3,
+      retryBaseDelay: 1000,
+      retryMaxDelay: 8000,
+      retryStatuses: [408, 500, 502, 503, 504],
+    },
+    inquiry: {
+      types: ['product', 'installation', 'maintenance', 'design', 'warranty'],
+      defaultType: 'product',
+    },
+    prefill: {
+      linkSelector: '.product-link[data-product]',
+      productParam: 'product',
+      inquiryParam: 'inquiry',
+      sectionId: 'contact',
+      // Values of the inquiry parameter that pick a starter message; inquiry types are accepted too
+      intents: {
+        info: 'starterInfo',
+        quote: 'starterQuote',
+      },
+    },
+    drafts: {
+      storageKey: 'grill-business:contact-draft',
+      saveDelay: 500,
+      ttl: 7 * 24 * 60 * 60 * 1000,
+      fields: ['name', 'email', 'preferredContact', 'phoneCountry', 'phone', 'inquiryType', 'message'],
     },
     statusDisplayDuration: 5000,
   };
@@ -39,8 +52,36 @@
     emailInput: null,
     phoneInput: null,
     messageInput: null,
+    inquirySelect: null,
+    productSelect: null,
+    contactMethodInputs: [],
+    consentInput: null,
+    phoneRequiredMarker: null,
+    emailSuggestion: null,
+    inquiryFieldsets: [],
     submitButton: null,
     formStatus: null,
+    draftPrompt: null,
+    cancelButton: null,
+    uploadProgress: null,
+    errorSummary: null,
+    errorSummaryList: null,
+  };
+
+  // Form state
+  const state = {
+    draftTimeout: null,
+    pendingDraft: null,
+    submissionId: null,
+    abortController: null,
+    // Set from the first await of a submission until it finishes
+    isSubmitting: false,
+    validator: null,
+    photoPicker: null,
+    phoneField: null,
+    prefill: null,
+    // Errors listed in the error summary, by field; null while the summary is closed
+    summaryErrors: null,
   };
 
   /**
@@ -55,7 +96,29 @@
         return;
       }
 
+      if (!window.FormValidation || !window.I18n) {
+        console.error('Contact form needs form-validation.js and i18n.js');
+        return;
+      }
+
+      createValidator();
+      createCancelButton();
+      createUploadProgress();
+      createPhotoPicker();
+      createPhoneField();
+      createEmailSuggestion();
+      updatePhoneRequirement();
+      updateInquiryFields();
       attachEventListeners();
+      applyLocale();
+
+      if (window.SpamProtection) {
+        window.SpamProtection.protect(elements.form);
+      }
+
+      offerDraftRestore();
+      prefillFromUrl();
+      flushQueuedSubmissions();
       console.log('Contact form initialized successfully');
     } catch (error) {
       console.error('Error initializing contact form:', error);
@@ -76,6 +139,12 @@
     elements.emailInput = elements.form.querySelector('#email');
     elements.phoneInput = elements.form.querySelector('#phone');
     elements.messageInput = elements.form.querySelector('#message');
+    elements.inquirySelect = elements.form.querySelector('#inquiry-type');
+    elements.productSelect = elements.form.querySelector('#product-interest');
+    elements.contactMethodInputs = Array.from(elements.form.querySelectorAll('input[name="preferredContact"]'));
+    elements.consentInput = elements.form.querySelector('input[name="consent"]');
+    elements.phoneRequiredMarker = elements.form.querySelector('label[for="phone"] [aria-label="required"]');
+    elements.inquiryFieldsets = Array.from(elements.form.querySelectorAll('.inquiry-fields'));
     elements.submitButton = elements.form.querySelector('button[type="submit"]');
     elements.formStatus = elements.form.querySelector('.form-status');
   }
@@ -87,25 +156,69 @@
     // Form submission
     elements.form.addEventListener('submit', handleFormSubmit);
 
-    // Real-time validation on blur
-    if (elements.nameInput) {
-      elements.nameInput.addEventListener('blur', () => validateField(elements.nameInput, validateName));
-      elements.nameInput.addEventListener('input', () => clearFieldError(elements.nameInput));
-    }
+    // Validation runs on blur through the validation engine
+    elements.form.addEventListener('validation:field', handleFieldValidated);
 
     if (elements.emailInput) {
-      elements.emailInput.addEventListener('blur', () => validateField(elements.emailInput, validateEmail));
-      elements.emailInput.addEventListener('input', () => clearFieldError(elements.emailInput));
+      elements.emailInput.addEventListener('input', hideEmailSuggestion);
     }
 
-    if (elements.phoneInput) {
-      elements.phoneInput.addEventListener('blur', () => validateField(elements.phoneInput, validatePhone));
-      elements.phoneInput.addEventListener('input', () => clearFieldError(elements.phoneInput));
+    if (state.phoneField) {
+      state.phoneField.select.addEventListener('change', revalidatePhone);
     }
 
-    if (elements.messageInput) {
-      elements.messageInput.addEventListener('blur', () => validateField(elements.messageInput, validateMessage));
-      elements.messageInput.addEventListener('input', () => clearFieldError(elements.messageInput));
+    elements.contactMethodInputs.forEach(input => {
+      input.addEventListener('change', () => {
+        updatePhoneRequirement();
+        revalidatePhone();
+      });
+    });
+
+    // Inquiry type and its conditional fields
+    if (elements.inquirySelect) {
+      elements.inquirySelect.addEventListener('change', updateInquiryFields);
+    }
+
+    // Product "Learn More" links carry their product to the form
+    document.querySelectorAll(CONFIG.prefill.linkSelector).forEach(link => {
+      link.addEventListener('click', () => {
+        prefillProduct(link.dataset.product, { intent: 'info', source: 'product-link' });
+      });
+    });
+
+    // Resend queued submissions when connectivity returns
+    window.addEventListener('online', flushQueuedSubmissions);
+
+    // Edited content is a new submission, unchanged content keeps its idempotency key
+    elements.form.addEventListener('input', resetSubmissionId);
+    elements.form.addEventListener('photos:change', resetSubmissionId);
+
+    // Draft autosave
+    elements.form.addEventListener('input', scheduleDraftSave);
+    window.addEventListener('pagehide', saveDraft);
+
+    document.addEventListener('i18n:change', applyLocale);
+  }
+
+  /**
+   * Redraw the text the form has already rendered in the current locale
+   * Messages shown later are looked up when they appear.
+   */
+  function applyLocale() {
+    if (elements.submitButton && !elements.submitButton.disabled) {
+      elements.submitButton.textContent = t('sendButton');
+    }
+
+    if (elements.cancelButton) {
+      elements.cancelButton.textContent = t('cancelButton');
+    }
+
+    if (elements.uploadProgress) {
+      elements.uploadProgress.setAttribute('aria-label', t('uploadProgress'));
+    }
+
+    if (elements.errorSummary) {
+      elements.errorSummary.querySelector('.error-summary-title').textContent = t('errorSummaryTitle');
     }
   }
 
@@ -113,316 +226,1860 @@
    * Handle form submission
    * @param {Event} event - Form submit event
    */
-  async function handleFormSubmit(event) {
+  function handleFormSubmit(event) {
     event.preventDefault();
+    submitForm();
+  }
+
+  /**
+   * Validate and send the form
+   * Dispatches `contact:beforesubmit` before anything is sent, then
+   * `contact:success` or `contact:error`; see window.ContactForm. A submission
+   * blocked by spam protection dispatches neither.
+   * @returns {Promise<Object>} - Outcome with `ok`, and `reason` when the form was not sent
+   */
+  function submitForm() {
+    // Flag before validation starts, so a second call in the same tick is refused
+    if (state.isSubmitting) {
+      return Promise.resolve({ ok: false, reason: 'busy' });
+    }
 
+    state.isSubmitting = true;
+
+    return runSubmission().finally(() => {
+      state.isSubmitting = false;
+    });
+  }
+
+  /**
+   * Run the steps of a submission for submitForm()
+   * @returns {Promise<Object>} - Outcome for submitForm()
+   */
+  async function runSubmission() {
     // Clear previous status
     hideFormStatus();
 
     // Validate all fields
-    const isValid = validateForm();
+    const isValid = await validateForm();
 
     if (!isValid) {
-      showFormStatus(CONFIG.messages.submitError, 'error');
-      return;
+      showErrorSummary();
+      return { ok: false, reason: 'invalid' };
+    }
+
+    hideErrorSummary();
+
+    // Listeners may change the payload or stop the submission
+    const beforeSubmit = dispatchFormEvent('beforesubmit', { payload: collectFormData() }, true);
+    if (beforeSubmit.defaultPrevented) {
+      return { ok: false, reason: 'prevented' };
     }
 
     // Disable form during submission
     setFormDisabled(true);
 
+    let formData = beforeSubmit.detail.payload;
+    let files = [];
+    state.abortController = new AbortController();
+
     try {
-      // Collect form data
-      const formData = collectFormData();
+      const antiSpam = await prepareAntiSpam();
+
+      if (antiSpam.isBot) {
+        // Show the visitor success so bots learn nothing from the page, but keep
+        // `contact:success` for real leads: analytics and conversion listeners
+        // would otherwise count every blocked bot as one
+        console.warn('Contact form submission blocked by spam protection');
+        showFormStatus(t('submitSuccess'), 'success');
+        clearForm();
+        return { ok: true };
+      }
+
+      formData = { ...formData, ...antiSpam.fields };
+      files = await prepareAttachments();
 
       // Submit form data
-      const success = await submitFormData(formData);
+      const result = await submitFormData(formData, {
+        files,
+        signal: state.abortController.signal,
+        onRetry: showRetryProgress,
+        onProgress: showUploadProgress,
+      });
 
-      if (success) {
-        showFormStatus(CONFIG.messages.submitSuccess, 'success');
+      if (result.ok) {
+        showFormStatus(t('submitSuccess'), 'success');
+        dispatchFormEvent('success', { payload: formData, status: result.status, queued: false });
         clearForm();
-      } else {
-        showFormStatus(CONFIG.messages.submitError, 'error');
+        return { ok: true, status: result.status };
       }
+
+      const reason = handleSubmitFailure(result);
+      return reportFailure(formData, reason, {
+        status: result.status,
+        fieldErrors: result.fieldErrors,
+        retryAfter: result.retryAfter,
+      });
     } catch (error) {
+      if (error.name === 'AbortError') {
+        showFormStatus(t('submitCancelled'), 'info');
+        return reportFailure(formData, 'cancelled', { error });
+      }
+
       console.error('Form submission error:', error);
-      showFormStatus(CONFIG.messages.networkError, 'error');
+
+      if (error.name === 'TimeoutError') {
+        showFormStatus(t('submitTimeout'), 'error');
+        return reportFailure(formData, 'timeout', { error });
+      }
+
+      // fetch and uploadMultipart reject with a TypeError when the request never
+      // reached the server; anything else is a bug, not a reason to queue
+      if (!(error instanceof TypeError) && navigator.onLine) {
+        showFormStatus(t('submitError'), 'error');
+        return reportFailure(formData, 'unexpected', { error });
+      }
+
+      const queued = await queueSubmission(formData, files);
+      if (queued) {
+        showFormStatus(t('submitQueued'), 'info');
+        clearForm();
+        return reportFailure(formData, 'offline', { error, queued: true });
+      }
+
+      showFormStatus(t('networkError'), 'error');
+      return reportFailure(formData, 'network', { error });
     } finally {
-      setFormDisabled(false);
+      finishSubmission();
     }
   }
 
   /**
-   * Validate entire form
-   * @returns {boolean} - True if form is valid
+   * Dispatch a `contact:*` lifecycle event on the form
+   * @param {string} name - Event name without the prefix
+   * @param {Object} detail - Event detail
+   * @param {boolean} [cancelable=false] - Whether listeners may cancel the event
+   * @returns {CustomEvent} - Dispatched event
+   */
+  function dispatchFormEvent(name, detail, cancelable = false) {
+    const event = new CustomEvent(`contact:${name}`, { bubbles: true, cancelable, detail });
+    elements.form.dispatchEvent(event);
+    return event;
+  }
+
+  /**
+   * Announce a submission that did not go through
+   * @param {Object} payload - Submitted data
+   * @param {string} reason - Failure reason, see window.ContactForm
+   * @param {Object} [details] - Extra detail, such as the response status or the error
+   * @returns {Object} - Outcome for submitForm()
    */
-  function validateForm() {
-    const validations = [
-      validateField(elements.nameInput, validateName),
-      validateField(elements.emailInput, validateEmail),
-      validateField(elements.phoneInput, validatePhone),
-      validateField(elements.messageInput, validateMessage),
-    ];
+  function reportFailure(payload, reason, details = {}) {
+    const detail = { payload, reason, ...details };
+    dispatchFormEvent('error', detail);
+    return { ok: false, ...detail };
+  }
 
-    return validations.every(result => result === true);
+  /**
+   * Release the submission's abort controller and re-enable the form
+   */
+  function finishSubmission() {
+    state.abortController = null;
+    setFormDisabled(false);
   }
 
   /**
-   * Validate a single field
-   * @param {HTMLElement} field - Input field to validate
-   * @param {Function} validator - Validation function
-   * @returns {boolean} - True if field is valid
+   * Collect anti-spam fields (honeypot, time-to-submit and proof-of-work token)
+   * @returns {Promise<{isBot: boolean, fields: Object}>} - Anti-spam result
    */
-  function validateField(field, validator) {
-    if (!field) {
-      return false;
+  function prepareAntiSpam() {
+    if (!window.SpamProtection) {
+      return Promise.resolve({ isBot: false, fields: {} });
     }
 
-    const value = field.value.trim();
-    const error = validator(value);
+    return window.SpamProtection.prepare(elements.form);
+  }
 
-    if (error) {
-      showFieldError(field, error);
-      return false;
+  /**
+   * Create the button that cancels a submission in progress
+   */
+  function createCancelButton() {
+    if (!elements.submitButton) {
+      return;
     }
 
-    showFieldSuccess(field);
-    return true;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-secondary form-cancel';
+    button.textContent = t('cancelButton');
+    button.hidden = true;
+    button.addEventListener('click', cancelSubmission);
+
+    elements.submitButton.after(button);
+    elements.cancelButton = button;
   }
 
   /**
-   * Validate name field
-   * @param {string} value - Name value
-   * @returns {string|null} - Error message or null if valid
+   * Create the progress bar shown while photos upload
    */
-  function validateName(value) {
-    if (!value) {
-      return CONFIG.messages.required;
+  function createUploadProgress() {
+    if (!elements.submitButton) {
+      return;
     }
 
-    if (value.length < CONFIG.validation.nameMinLength) {
-      return CONFIG.messages.nameTooShort;
+    const progress = document.createElement('progress');
+    progress.className = 'upload-progress';
+    progress.max = 100;
+    progress.value = 0;
+    progress.hidden = true;
+    progress.setAttribute('aria-label', t('uploadProgress'));
+
+    elements.submitButton.before(progress);
+    elements.uploadProgress = progress;
+  }
+
+  /**
+   * Set up the photo picker of the maintenance inquiry
+   */
+  function createPhotoPicker() {
+    const container = elements.form.querySelector('.photo-upload');
+
+    if (container && window.PhotoAttachments) {
+      state.photoPicker = window.PhotoAttachments.create(container);
     }
+  }
 
-    if (value.length > CONFIG.validation.nameMaxLength) {
-      return CONFIG.messages.nameTooLong;
+  /**
+   * Check whether the photo picker belongs to the selected inquiry type
+   * @returns {boolean} - True if attached photos should be sent
+   */
+  function hasActivePhotoPicker() {
+    if (!state.photoPicker) {
+      return false;
     }
 
-    return null;
+    const fieldset = state.photoPicker.container.closest('.inquiry-fields');
+    return !fieldset || fieldset.dataset.inquiry === getInquiryType();
   }
 
   /**
-   * Validate email field
-   * @param {string} value - Email value
-   * @returns {string|null} - Error message or null if valid
+   * Get the attached photos ready for upload
+   * @returns {Promise<Array<File>>} - Downscaled photos, empty if there are none
    */
-  function validateEmail(value) {
-    if (!value) {
-      return CONFIG.messages.required;
+  function prepareAttachments() {
+    if (!hasActivePhotoPicker() || state.photoPicker.getFiles().length === 0) {
+      return Promise.resolve([]);
     }
 
-    if (!CONFIG.validation.emailPattern.test(value)) {
-      return CONFIG.messages.invalidEmail;
+    if (elements.submitButton) {
+      elements.submitButton.textContent = t('preparingPhotos');
     }
 
-    return null;
+    return state.photoPicker.prepareFiles();
   }
 
   /**
-   * Validate phone field
-   * @param {string} value - Phone value
-   * @returns {string|null} - Error message or null if valid
+   * Show photo upload progress
+   * @param {number} loaded - Bytes sent
+   * @param {number} total - Bytes to send
    */
-  function validatePhone(value) {
-    if (!value) {
-      return CONFIG.messages.required;
-    }
+  function showUploadProgress(loaded, total) {
+    const percent = total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : 0;
 
-    if (!CONFIG.validation.phonePattern.test(value)) {
-      return CONFIG.messages.invalidPhone;
+    if (elements.uploadProgress) {
+      elements.uploadProgress.hidden = false;
+      elements.uploadProgress.value = percent;
     }
 
-    return null;
+    if (elements.submitButton) {
+      elements.submitButton.textContent = t('uploading', { percent });
+    }
   }
 
   /**
-   * Validate message field
-   * @param {string} value - Message value
-   * @returns {string|null} - Error message or null if valid
+   * Abort the submission in progress, including pending retries
    */
-  function validateMessage(value) {
-    if (!value) {
-      return CONFIG.messages.required;
+  function cancelSubmission() {
+    if (state.abortController) {
+      state.abortController.abort();
     }
+  }
 
-    if (value.length < CONFIG.validation.messageMinLength) {
-      return CONFIG.messages.messageTooShort;
+  /**
+   * Show retry progress on the submit button
+   * @param {number} attempt - Retry number, starting at 1
+   * @param {number} total - Maximum number of retries
+   */
+  function showRetryProgress(attempt, total) {
+    if (elements.submitButton) {
+      elements.submitButton.textContent = t('retrying', { attempt, total });
     }
+  }
+
+  /**
+   * Attach the validation engine and register the contact form's own rules
+   */
+  function createValidator() {
+    window.FormValidation.registerRule('phone', validatePhone);
+
+    state.validator = window.FormValidation.attach(elements.form, {
+      // Submission is handled here, after validateForm()
+      handleSubmit: false,
+      // Looked up when shown, so they follow the current locale
+      messages: {
+        name: {
+          minlength: values => t('nameTooShort', values),
+          maxlength: values => t('nameTooLong', values),
+        },
+        message: {
+          minlength: values => t('messageTooShort', values),
+          maxlength: values => t('messageTooLong', values),
+        },
+        consent: {
+          checked: () => t('consentRequired'),
+        },
+      },
+    });
+  }
 
-    if (value.length > CONFIG.validation.messageMaxLength) {
-      return CONFIG.messages.messageTooLong;
+  /**
+   * Validate entire form
+   * Dispatches `contact:invalid` with the errors when a field is invalid.
+   * @returns {Promise<boolean>} - True if form is valid
+   */
+  async function validateForm() {
+    const { valid, invalidFields, errors } = await state.validator.validateAll();
+
+    if (!valid) {
+      dispatchFormEvent('invalid', { errors, fields: invalidFields });
     }
 
-    return null;
+    return valid;
   }
 
   /**
-   * Show field error state
-   * @param {HTMLElement} field - Input field
-   * @param {string} message - Error message
+   * Update the email suggestion and the error summary after a field is validated
+   * @param {CustomEvent} event - `validation:field` event
    */
-  function showFieldError(field, message) {
-    field.classList.remove('valid');
-    field.classList.add('invalid');
-    field.setAttribute('aria-invalid', 'true');
+  function handleFieldValidated(event) {
+    const { field, error } = event.detail;
 
-    const errorElement = field.parentElement.querySelector('.error-message');
-    if (errorElement) {
-      errorElement.textContent = message;
-      errorElement.classList.add('visible');
+    if (field === elements.emailInput) {
+      updateEmailSuggestion(error);
     }
+
+    updateSummaryError(field, error);
   }
 
   /**
-   * Show field success state
-   * @param {HTMLElement} field - Input field
+   * Offer a correction for a likely typo in a valid email address
+   * A likely typo is not an error, the visitor gets a suggestion instead.
+   * @param {string|null} error - Validation error of the email field
    */
-  function showFieldSuccess(field) {
-    field.classList.remove('invalid');
-    field.classList.add('valid');
-    field.setAttribute('aria-invalid', 'false');
+  function updateEmailSuggestion(error) {
+    const value = elements.emailInput.value.trim();
+    const suggestion = !error && value && window.EmailSuggestions ? window.EmailSuggestions.suggest(value) : null;
 
-    const errorElement = field.parentElement.querySelector('.error-message');
-    if (errorElement) {
-      errorElement.textContent = '';
-      errorElement.classList.remove('visible');
+    if (suggestion) {
+      showEmailSuggestion(suggestion.email);
+    } else {
+      hideEmailSuggestion();
     }
   }
 
   /**
-   * Clear field error state
-   * @param {HTMLElement} field - Input field
+   * Create the live region for email suggestions below the email field
+   * It stays in the DOM while empty, so screen readers announce new suggestions.
    */
-  function clearFieldError(field) {
-    field.classList.remove('invalid', 'valid');
-    field.removeAttribute('aria-invalid');
+  function createEmailSuggestion() {
+    if (!elements.emailInput) {
+      return;
+    }
 
-    const errorElement = field.parentElement.querySelector('.error-message');
-    if (errorElement) {
-      errorElement.textContent = '';
-      errorElement.classList.remove('visible');
+    const container = document.createElement('div');
+    container.className = 'email-suggestion';
+    container.setAttribute('role', 'status');
+
+    elements.emailInput.after(container);
+    elements.emailSuggestion = container;
+  }
+
+  /**
+   * Offer a corrected email address
+   * @param {string} email - Suggested address
+   */
+  function showEmailSuggestion(email) {
+    // Re-rendering would swap the button out from under a click that blurred the field
+    if (!elements.emailSuggestion || elements.emailSuggestion.dataset.email === email) {
+      return;
     }
+
+    const [before, after = ''] = t('emailSuggestion').split('{email}');
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'email-suggestion-accept';
+    button.textContent = email;
+    button.addEventListener('click', () => acceptEmailSuggestion(email));
+
+    elements.emailSuggestion.replaceChildren(before, button, after);
+    elements.emailSuggestion.dataset.email = email;
   }
 
   /**
-   * Collect form data
-   * @returns {Object} - Form data object
+   * Remove the email suggestion
    */
-  function collectFormData() {
-    return {
-      name: elements.nameInput.value.trim(),
-      email: elements.emailInput.value.trim(),
-      phone: elements.phoneInput.value.trim(),
-      message: elements.messageInput.value.trim(),
-      timestamp: new Date().toISOString(),
-    };
+  function hideEmailSuggestion() {
+    if (elements.emailSuggestion) {
+      elements.emailSuggestion.replaceChildren();
+      delete elements.emailSuggestion.dataset.email;
+    }
   }
 
   /**
-   * Submit form data to server
-   * @param {Object} formData - Form data to submit
-   * @returns {Promise<boolean>} - True if submission successful
+   * Replace the email address with the suggestion
+   * Focus returns to the email field, and the change is announced.
+   * @param {string} email - Suggested address
    */
-  async function submitFormData(formData) {
-    try {
-      console.log('Submitting form data:', formData);
+  function acceptEmailSuggestion(email) {
+    const field = elements.emailInput;
 
-      const response = await fetch(elements.form.action, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(formData),
-      });
+    field.value = email;
+    // Lets the form treat it like typed input (draft autosave, new submission ID)
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.focus();
 
-      if (!response.ok) {
-        console.error('Form submission failed:', response.status, response.statusText);
-        return false;
-      }
+    // Announced once validation has settled the suggestion
+    state.validator.validateField(field).then(() => {
+      elements.emailSuggestion.textContent = t('emailSuggestionApplied', { email });
+    });
+  }
 
-      console.log('Form submitted successfully');
-      return true;
-    } catch (error) {
-      console.error('Network error during form submission:', error);
-      throw error;
+  /**
+   * Validate a phone number for the selected country
+   * Registered as the `phone` rule; whether the field is required follows the
+   * preferred contact method, see updatePhoneRequirement().
+   * @param {string} value - Phone value, not empty
+   * @returns {string|null} - Error message or null if valid
+   */
+  function validatePhone(value) {
+    if (!state.phoneField) {
+      return CONFIG.validation.phonePattern.test(value) ? null : t('invalidPhone');
+    }
+
+    const result = state.phoneField.parse();
+    if (result.valid) {
+      return null;
     }
+
+    const country = state.phoneField.getCountryName(result.country || undefined);
+    const keys = {
+      'unknown-country': 'unknownCountryCode',
+      'too-short': 'phoneTooShort',
+      'too-long': 'phoneTooLong',
+    };
+
+    return t(keys[result.reason] || 'invalidPhoneForCountry', { country });
   }
 
   /**
-   * Show form status message
-   * @param {string} message - Status message
-   * @param {string} type - Status type ('success' or 'error')
+   * Add the country-code selector to the phone field
    */
-  function showFormStatus(message, type) {
-    if (!elements.formStatus) {
-      return;
+  function createPhoneField() {
+    if (elements.phoneInput && window.PhoneInput) {
+      state.phoneField = window.PhoneInput.attach(elements.phoneInput);
     }
+  }
 
-    elements.formStatus.textContent = message;
-    elements.formStatus.className = 'form-status visible ' + type;
-    elements.formStatus.setAttribute('role', type === 'error' ? 'alert' : 'status');
+  /**
+   * Get the preferred contact method
+   * @returns {string} - 'phone' or 'email'
+   */
+  function getPreferredContact() {
+    const checked = elements.contactMethodInputs.find(input => input.checked);
+    return checked ? checked.value : 'phone';
+  }
 
-    // Auto-hide after duration
-    setTimeout(() => {
-      hideFormStatus();
-    }, CONFIG.statusDisplayDuration);
+  /**
+   * Check whether a phone number is required
+   * @returns {boolean} - False when the visitor prefers to be contacted by email
+   */
+  function isPhoneRequired() {
+    return getPreferredContact() !== 'email';
   }
 
   /**
-   * Hide form status message
+   * Mark the phone field as required or optional for the preferred contact method
    */
-  function hideFormStatus() {
-    if (!elements.formStatus) {
+  function updatePhoneRequirement() {
+    if (!elements.phoneInput) {
       return;
     }
 
-    elements.formStatus.textContent = '';
-    elements.formStatus.className = 'form-status';
-    elements.formStatus.removeAttribute('role');
+    const required = isPhoneRequired();
+    elements.phoneInput.required = required;
+    elements.phoneInput.setAttribute('aria-required', String(required));
+
+    if (elements.phoneRequiredMarker) {
+      elements.phoneRequiredMarker.hidden = !required;
+    }
   }
 
   /**
-   * Clear form fields
+   * Validate the phone field again after its rules changed
+   * An untouched empty field is left alone.
    */
-  function clearForm() {
-    if (elements.form) {
-      elements.form.reset();
+  function revalidatePhone() {
+    const field = elements.phoneInput;
+
+    if (field && (field.value.trim() !== '' || field.getAttribute('aria-invalid') === 'true')) {
+      state.validator.validateField(field);
     }
+  }
 
-    // Clear validation states
-    [elements.nameInput, elements.emailInput, elements.phoneInput, elements.messageInput].forEach(field => {
-      if (field) {
-        clearFieldError(field);
+  /**
+   * Get the phone number to submit
+   * @returns {string} - E.164 number when it parses, otherwise the number as typed
+   */
+  function getPhoneValue() {
+    const value = elements.phoneInput.value.trim();
+
+    if (!value || !state.phoneField) {
+      return value;
+    }
+
+    const result = state.phoneField.parse();
+    return result.valid ? result.e164 : value;
+  }
+
+  /**
+   * Get the selected inquiry type
+   * @returns {string} - Inquiry type
+   */
+  function getInquiryType() {
+    const value = elements.inquirySelect ? elements.inquirySelect.value : '';
+    return CONFIG.inquiry.types.includes(value) ? value : CONFIG.inquiry.defaultType;
+  }
+
+  /**
+   * Get the form controls inside an inquiry fieldset
+   * @param {HTMLFieldSetElement} fieldset - Inquiry fieldset
+   * @returns {Array<HTMLElement>} - Inputs, selects and textareas
+   */
+  function getInquiryDetailFields(fieldset) {
+    // File inputs are handled by the photo picker
+    return Array.from(fieldset.querySelectorAll('input:not([type="file"]), select, textarea'));
+  }
+
+  /**
+   * Get the detail fields for the selected inquiry type
+   * @returns {Array<HTMLElement>} - Visible inquiry detail fields
+   */
+  function getActiveInquiryFields() {
+    const type = getInquiryType();
+    const fieldset = elements.inquiryFieldsets.find(item => item.dataset.inquiry === type);
+    return fieldset ? getInquiryDetailFields(fieldset) : [];
+  }
+
+  /**
+   * Show the fieldset for the selected inquiry type and hide the others
+   * Hidden fieldsets are also disabled, so their fields are neither validated
+   * nor submitted. Without JavaScript every fieldset stays visible.
+   */
+  function updateInquiryFields() {
+    const type = getInquiryType();
+
+    elements.inquiryFieldsets.forEach(fieldset => {
+      const isActive = fieldset.dataset.inquiry === type;
+      fieldset.hidden = !isActive;
+      fieldset.disabled = !isActive;
+
+      if (!isActive) {
+        getInquiryDetailFields(fieldset).forEach(clearFieldError);
       }
     });
+
+    // Fields of a hidden fieldset drop out of the error summary
+    renderErrorSummary();
   }
 
   /**
-   * Enable or disable form
-   * @param {boolean} disabled - True to disable form
+   * Show the error summary for a failed submit and move focus to it
+   * Lists every invalid field with a link to it, following the GOV.UK error
+   * summary pattern. The summary then tracks the fields as they are corrected.
    */
-  function setFormDisabled(disabled) {
-    if (elements.submitButton) {
-      elements.submitButton.disabled = disabled;
-      elements.submitButton.textContent = disabled ? 'Sending...' : 'Send Message';
+  function showErrorSummary() {
+    if (!elements.errorSummary) {
+      createErrorSummary();
     }
 
-    [elements.nameInput, elements.emailInput, elements.phoneInput, elements.messageInput].forEach(field => {
-      if (field) {
-        field.disabled = disabled;
+    state.summaryErrors = new Map();
+
+    getFormFields().forEach(field => {
+      const errorElement = field.parentElement.querySelector('.error-message');
+      if (field.getAttribute('aria-invalid') === 'true' && errorElement) {
+        state.summaryErrors.set(field, errorElement.textContent);
       }
     });
+
+    renderErrorSummary();
+
+    if (!elements.errorSummary.hidden) {
+      elements.errorSummary.focus();
+    }
   }
 
+  /**
+   * Hide the error summary and stop tracking field errors
+   */
+  function hideErrorSummary() {
+    state.summaryErrors = null;
+
+    if (elements.errorSummary) {
+      elements.errorSummary.hidden = true;
+      elements.errorSummaryList.replaceChildren();
+    }
+  }
+
+  /**
+   * Create the error summary at the top of the form
+   */
+  function createErrorSummary() {
+    const summary = document.createElement('div');
+    summary.className = 'error-summary';
+    summary.tabIndex = -1;
+    summary.hidden = true;
+    summary.setAttribute('role', 'group');
+    summary.setAttribute('aria-labelledby', 'contact-error-summary-title');
+
+    const title = document.createElement('h3');
+    title.className = 'error-summary-title';
+    title.id = 'contact-error-summary-title';
+    title.textContent = t('errorSummaryTitle');
+
+    const list = document.createElement('ul');
+    list.className = 'error-summary-list';
+    list.addEventListener('click', handleErrorSummaryClick);
+
+    summary.append(title, list);
+    elements.form.prepend(summary);
+    elements.errorSummary = summary;
+    elements.errorSummaryList = list;
+  }
+
+  /**
+   * Record a field's validation result in the open error summary
+   * @param {HTMLElement} field - Validated field
+   * @param {string|null} error - Error message, or null if the field is valid
+   */
+  function updateSummaryError(field, error) {
+    if (!state.summaryErrors) {
+      return;
+    }
+
+    if (error) {
+      state.summaryErrors.set(field, error);
+    } else {
+      state.summaryErrors.delete(field);
+    }
+
+    renderErrorSummary();
+  }
+
+  /**
+   * Redraw the error summary in form order
+   * The summary closes once every listed field has been corrected.
+   */
+  function renderErrorSummary() {
+    if (!state.summaryErrors || !elements.errorSummary) {
+      return;
+    }
+
+    const items = getFormFields()
+      .filter(field => state.summaryErrors.has(field))
+      .map(field => {
+        const link = document.createElement('a');
+        link.href = `#${field.id}`;
+        link.textContent = `${getFieldLabel(field)}: ${state.summaryErrors.get(field)}`;
+
+        const item = document.createElement('li');
+        item.appendChild(link);
+        return item;
+      });
+
+    if (items.length === 0) {
+      hideErrorSummary();
+      return;
+    }
+
+    elements.errorSummaryList.replaceChildren(...items);
+    elements.errorSummary.hidden = false;
+  }
+
+  /**
+   * Move focus to the field an error summary link points to
+   * The label is scrolled into view as well, so the visitor sees what the field is for.
+   * @param {MouseEvent} event - Click event
+   */
+  function handleErrorSummaryClick(event) {
+    const link = event.target.closest('a');
+    if (!link) {
+      return;
+    }
+
+    const field = document.getElementById(link.hash.slice(1));
+    if (!field) {
+      return;
+    }
+
+    event.preventDefault();
+
+    const label = field.labels && field.labels[0];
+    (label || field).scrollIntoView({ block: 'center' });
+    field.focus({ preventScroll: true });
+  }
+
+  /**
+   * Get the text of a field's label, without the required marker
+   * @param {HTMLElement} field - Form field
+   * @returns {string} - Label text
+   */
+  function getFieldLabel(field) {
+    const label = field.labels && field.labels[0];
+    if (!label) {
+      return field.name;
+    }
+
+    const copy = label.cloneNode(true);
+    copy.querySelectorAll('[aria-label="required"]').forEach(marker => marker.remove());
+    return copy.textContent.trim();
+  }
+
+  /**
+   * Show field error state
+   * @param {HTMLElement} field - Input field
+   * @param {string} message - Error message
+   */
+  function showFieldError(field, message) {
+    window.FormValidation.showFieldError(field, message);
+  }
+
+  /**
+   * Clear field error state
+   * @param {HTMLElement} field - Input field
+   */
+  function clearFieldError(field) {
+    window.FormValidation.clearFieldError(field);
+  }
+
+  /**
+   * Collect form data
+   * @returns {Object} - Form data object
+   */
+  function collectFormData() {
+    return {
+      name: elements.nameInput.value.trim(),
+      email: elements.emailInput.value.trim(),
+      phone: getPhoneValue(),
+      preferredContact: getPreferredContact(),
+      message: elements.messageInput.value.trim(),
+      inquiry: collectInquiryData(),
+      product: collectProductData(),
+      consent: getConsent(),
+      submissionId: getSubmissionId(),
+      attribution: getAttribution(),
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Get the record of the visitor's privacy consent
+   * @returns {Object|null} - Version, text hash and timestamp from consent.js, or null if not given
+   */
+  function getConsent() {
+    return window.Consent ? window.Consent.getRecord(elements.form) : null;
+  }
+
+  /**
+   * Get the campaign that brought the visitor, if they consented to attribution
+   * @returns {Object|null} - First and last touch from attribution.js, or null
+   */
+  function getAttribution() {
+    return window.Attribution ? window.Attribution.getData() : null;
+  }
+
+  /**
+   * Collect the inquiry type and its detail fields
+   * @returns {Object} - Inquiry object with `type` and `details` keyed by field name
+   */
+  function collectInquiryData() {
+    const details = {};
+
+    getActiveInquiryFields().forEach(field => {
+      details[field.name] = field.value.trim();
+    });
+
+    return {
+      type: getInquiryType(),
+      details,
+    };
+  }
+
+  /**
+   * Collect the product the inquiry is about
+   * The "Interested In" choice wins; otherwise the product the visitor arrived
+   * with (from a product link or the URL) is kept, whatever the inquiry type.
+   * @returns {Object|null} - Product with `id`, `name` and `source`, or null
+   */
+  function collectProductData() {
+    const selected =
+      getInquiryType() === 'product' && elements.productSelect ? elements.productSelect.value : '';
+
+    if (selected) {
+      const source = state.prefill && state.prefill.product === selected ? state.prefill.source : 'form';
+      return { id: selected, name: getProductName(selected), source };
+    }
+
+    if (state.prefill) {
+      return { id: state.prefill.product, name: getProductName(state.prefill.product), source: state.prefill.source };
+    }
+
+    return null;
+  }
+
+  /**
+   * Look up the display name of a product
+   * @param {string} productId - Product slug
+   * @returns {string|null} - Product name, or null for unknown products
+   */
+  function getProductName(productId) {
+    if (!productId || !elements.productSelect) {
+      return null;
+    }
+
+    const option = Array.from(elements.productSelect.options).find(item => item.value === productId);
+    return option ? option.textContent.trim() : null;
+  }
+
+  /**
+   * Prefill the form for a product
+   * Selects the product, and writes a starter message unless the visitor has
+   * already typed their own.
+   * @param {string} productId - Product slug, as used by the "Interested In" options
+   * @param {Object} [options] - Prefill options
+   * @param {string} [options.intent='info'] - Key of `CONFIG.prefill.intents`
+   * @param {string} [options.source] - Where the prefill came from ('product-link' or 'url')
+   * @returns {boolean} - True if the product is known and was applied
+   */
+  function prefillProduct(productId, options = {}) {
+    const { intent = 'info', source = 'product-link' } = options;
+    const productName = getProductName(productId);
+
+    if (!productName) {
+      console.warn(`Unknown product for contact form prefill: ${productId}`);
+      return false;
+    }
+
+    setInquiryType('product');
+    elements.productSelect.value = productId;
+    clearFieldError(elements.productSelect);
+
+    const previous = state.prefill ? state.prefill.message : null;
+    const currentMessage = elements.messageInput.value.trim();
+    const message = t(CONFIG.prefill.intents[intent] || 'starterInfo', {
+      product: productName,
+    });
+
+    if (currentMessage === '' || currentMessage === previous) {
+      elements.messageInput.value = message;
+      clearFieldError(elements.messageInput);
+    }
+
+    state.prefill = { product: productId, source, message };
+    resetSubmissionId();
+    return true;
+  }
+
+  /**
+   * Select an inquiry type and show its fields
+   * @param {string} type - Inquiry type
+   */
+  function setInquiryType(type) {
+    if (!elements.inquirySelect || !CONFIG.inquiry.types.includes(type)) {
+      return;
+    }
+
+    elements.inquirySelect.value = type;
+    clearFieldError(elements.inquirySelect);
+    updateInquiryFields();
+  }
+
+  /**
+   * Prefill the form from deep-link query parameters
+   * Supports `?product=<slug>` with an optional `inquiry` that is either an
+   * intent (`info`, `quote`) or an inquiry type (`installation`, ...). When
+   * anything was applied the page scrolls to the form.
+   */
+  function prefillFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const product = params.get(CONFIG.prefill.productParam);
+    const inquiry = params.get(CONFIG.prefill.inquiryParam);
+    let applied = false;
+
+    if (product) {
+      const intent = Object.prototype.hasOwnProperty.call(CONFIG.prefill.intents, inquiry) ? inquiry : 'info';
+      applied = prefillProduct(product, { intent, source: 'url' });
+    }
+
+    if (inquiry && CONFIG.inquiry.types.includes(inquiry)) {
+      setInquiryType(inquiry);
+      applied = true;
+    }
+
+    if (applied && !window.location.hash) {
+      const section = document.getElementById(CONFIG.prefill.sectionId);
+      if (section) {
+        section.scrollIntoView({ block: 'start' });
+      }
+    }
+  }
+
+  /**
+   * Get the ID of the current submission
+   * Resubmitting unchanged content (after a timeout or cancel) reuses the ID,
+   * so a request the server already received is not stored twice.
+   * @returns {string} - Submission ID
+   */
+  function getSubmissionId() {
+    if (!state.submissionId) {
+      state.submissionId = generateSubmissionId();
+    }
+
+    return state.submissionId;
+  }
+
+  /**
+   * Start a new submission ID for the next send
+   */
+  function resetSubmissionId() {
+    state.submissionId = null;
+  }
+
+  /**
+   * Generate a unique ID for a submission
+   * The server uses it to discard duplicates when a queued submission is resent.
+   * @returns {string} - Submission ID
+   */
+  function generateSubmissionId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+
+  /**
+   * Submit form data to server
+   * Each attempt is aborted after `CONFIG.submission.timeout`. Network errors,
+   * timeouts and `retryStatuses` responses are retried with exponential backoff
+   * and jitter; the `Idempotency-Key` header lets the server drop repeats.
+   *
+   * Error response contract: a 4xx response may carry a JSON body of the form
+   * `{ "errors": { "<field name>": "message" | ["message", ...] } }`, keyed by
+   * the input `name` attributes. A 429 or 503 response may carry a `Retry-After`
+   * header (seconds or HTTP date).
+   *
+   * With photos the request is sent as multipart/form-data instead of JSON:
+   * a `payload` part holds the same JSON object and each photo is a `photos` part.
+   *
+   * @param {Object} formData - Form data to submit
+   * @param {Object} [options] - Submission options
+   * @param {Array<File>} [options.files] - Photos to upload with the submission
+   * @param {AbortSignal} [options.signal] - Cancels the submission and pending retries
+   * @param {Function} [options.onRetry] - Called with (attempt, total) before each retry
+   * @param {Function} [options.onProgress] - Called with (loaded, total) bytes while photos upload
+   * @returns {Promise<Object>} - Result with `ok`, `status`, `fieldErrors` and `retryAfter` (seconds)
+   * @throws {Error} - `AbortError` if cancelled, `TimeoutError` or a network error once retries are exhausted
+   */
+  async function submitFormData(formData, options = {}) {
+    const { files = [], signal = null, onRetry = null, onProgress = null } = options;
+    const { maxRetries, retryStatuses } = CONFIG.submission;
+
+    for (let attempt = 0; ; attempt++) {
+      let result = null;
+
+      try {
+        result = await sendSubmission(formData, { files, signal, onProgress });
+      } catch (error) {
+        if (error.name === 'AbortError' || attempt >= maxRetries) {
+          console.error('Network error during form submission:', error);
+          throw error;
+        }
+
+        console.warn(`Form submission attempt ${attempt + 1} failed:`, error);
+      }
+
+      if (result && (result.ok || attempt >= maxRetries || !retryStatuses.includes(result.status))) {
+        return result;
+      }
+
+      const delay = getRetryDelay(attempt, result ? result.retryAfter : null);
+      if (delay === null) {
+        return result;
+      }
+
+      if (onRetry) {
+        onRetry(attempt + 1, maxRetries);
+      }
+
+      await wait(delay, signal);
+    }
+  }
+
+  /**
+   * Send one submission attempt
+   * While photos upload, the timeout restarts on every progress event, so a
+   * slow connection is not cut off as long as data keeps flowing.
+   * @param {Object} formData - Form data to submit
+   * @param {Object} options - Attempt options
+   * @param {Array<File>} options.files - Photos to upload
+   * @param {AbortSignal|null} options.signal - Cancellation signal
+   * @param {Function|null} options.onProgress - Upload progress callback
+   * @returns {Promise<Object>} - Submission result
+   */
+  async function sendSubmission(formData, options) {
+    const { files, signal, onProgress } = options;
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timedOut = false;
+    let timeoutId = null;
+
+    const startTimeout = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, CONFIG.submission.timeout);
+    };
+
+    startTimeout();
+
+    if (signal) {
+      if (signal.aborted) {
+        abort();
+      }
+      signal.addEventListener('abort', abort, { once: true });
+    }
+
+    try {
+      const response =
+        files.length > 0
+          ? await uploadMultipart(formData, files, controller.signal, (loaded, total) => {
+            startTimeout();
+            if (onProgress) {
+              onProgress(loaded, total);
+            }
+          })
+          : await fetch(elements.form.action, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Idempotency-Key': formData.submissionId,
+            },
+            body: JSON.stringify(formData),
+            signal: controller.signal,
+          });
+
+      if (!response.ok) {
+        console.error('Form submission failed:', response.status, response.statusText);
+        return {
+          ok: false,
+          status: response.status,
+          fieldErrors: await parseFieldErrors(response),
+          retryAfter: parseRetryAfter(response.headers.get('Retry-After')),
+        };
+      }
+
+      console.log('Form submitted successfully');
+      return { ok: true, status: response.status, fieldErrors: {}, retryAfter: null };
+    } catch (error) {
+      if (timedOut) {
+        throw createSubmissionError('TimeoutError', `No response within ${CONFIG.submission.timeout} ms`);
+      }
+
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+    }
+  }
+
+  /**
+   * Upload a submission with photos as multipart/form-data
+   * Uses XMLHttpRequest because fetch does not report upload progress. The
+   * result is wrapped in a Response so it is handled like a fetch response.
+   * @param {Object} formData - Form data to submit
+   * @param {Array<File>} files - Photos to upload
+   * @param {AbortSignal} signal - Cancellation signal
+   * @param {Function} onProgress - Called with (loaded, total) bytes
+   * @returns {Promise<Response>} - Server response
+   */
+  function uploadMultipart(formData, files, signal, onProgress) {
+    const body = new FormData();
+    body.append('payload', JSON.stringify(formData));
+    files.forEach(file => body.append('photos', file, file.name));
+
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      const abort = () => xhr.abort();
+
+      xhr.open('POST', elements.form.action);
+      xhr.setRequestHeader('Idempotency-Key', formData.submissionId);
+
+      xhr.upload.addEventListener('progress', event => {
+        if (event.lengthComputable) {
+          onProgress(event.loaded, event.total);
+        }
+      });
+
+      xhr.addEventListener('load', () => {
+        signal.removeEventListener('abort', abort);
+
+        // Null body statuses cannot carry a body in a Response
+        const responseBody = [204, 205, 304].includes(xhr.status) ? null : xhr.responseText;
+        resolve(
+          new Response(responseBody, {
+            status: xhr.status,
+            statusText: xhr.statusText,
+            headers: parseResponseHeaders(xhr.getAllResponseHeaders()),
+          })
+        );
+      });
+
+      xhr.addEventListener('error', () => {
+        signal.removeEventListener('abort', abort);
+        reject(new TypeError('Network request failed'));
+      });
+
+      xhr.addEventListener('abort', () => {
+        reject(createSubmissionError('AbortError', 'Upload aborted'));
+      });
+
+      if (signal.aborted) {
+        reject(createSubmissionError('AbortError', 'Upload aborted'));
+        return;
+      }
+
+      signal.addEventListener('abort', abort, { once: true });
+      xhr.send(body);
+    });
+  }
+
+  /**
+   * Parse the raw header block of an XMLHttpRequest
+   * @param {string} raw - Result of getAllResponseHeaders()
+   * @returns {Headers} - Parsed headers
+   */
+  function parseResponseHeaders(raw) {
+    const headers = new Headers();
+
+    raw.trim().split(/[\r\n]+/).forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        headers.append(line.slice(0, separator).trim(), line.slice(separator + 1).trim());
+      }
+    });
+
+    return headers;
+  }
+
+  /**
+   * Work out how long to wait before the next retry
+   * Uses exponential backoff with "equal jitter"; a server-provided
+   * Retry-After wins, unless it exceeds `retryMaxDelay`.
+   * @param {number} attempt - Zero-based number of the failed attempt
+   * @param {number|null} retryAfter - Server-requested delay in seconds
+   * @returns {number|null} - Delay in milliseconds, or null to stop retrying
+   */
+  function getRetryDelay(attempt, retryAfter) {
+    const { retryBaseDelay, retryMaxDelay } = CONFIG.submission;
+
+    if (retryAfter !== null && retryAfter !== undefined) {
+      const requested = retryAfter * 1000;
+      return requested <= retryMaxDelay ? requested : null;
+    }
+
+    const ceiling = Math.min(retryMaxDelay, retryBaseDelay * 2 ** attempt);
+    return ceiling / 2 + Math.random() * (ceiling / 2);
+  }
+
+  /**
+   * Wait for a delay, rejecting early if the signal aborts
+   * @param {number} delay - Delay in milliseconds
+   * @param {AbortSignal|null} signal - Cancellation signal
+   * @returns {Promise<void>}
+   */
+  function wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+      let timeoutId = null;
+
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(createSubmissionError('AbortError', 'Submission cancelled'));
+      };
+
+      if (signal && signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      timeoutId = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, delay);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Create a named submission error
+   * @param {string} name - Error name ('AbortError' or 'TimeoutError')
+   * @param {string} message - Error message
+   * @returns {Error} - Error instance
+   */
+  function createSubmissionError(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+  }
+
+  /**
+   * Read per-field errors from an error response body
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Object>} - Map of field name to error message
+   */
+  async function parseFieldErrors(response) {
+    const contentType = response.headers.get('Content-Type') || '';
+    if (response.status >= 500 || !contentType.includes('json')) {
+      return {};
+    }
+
+    try {
+      const body = await response.json();
+      const errors = body && typeof body.errors === 'object' && body.errors !== null ? body.errors : {};
+      const fieldErrors = {};
+
+      Object.keys(errors).forEach(name => {
+        const message = Array.isArray(errors[name]) ? errors[name][0] : errors[name];
+        if (typeof message === 'string' && message) {
+          fieldErrors[name] = message;
+        }
+      });
+
+      return fieldErrors;
+    } catch (error) {
+      console.error('Could not parse form error response:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Parse a Retry-After header value
+   * @param {string|null} value - Header value, in seconds or as an HTTP date
+   * @returns {number|null} - Seconds to wait, or null if unknown
+   */
+  function parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+
+    if (/^\d+$/.test(value.trim())) {
+      return parseInt(value, 10);
+    }
+
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) {
+      return null;
+    }
+
+    return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+  }
+
+  /**
+   * Report a rejected submission to the visitor
+   * @param {Object} result - Result from submitFormData
+   * @returns {string} - Failure reason: 'field-errors', 'rate-limited', 'server-error' or 'rejected'
+   */
+  function handleSubmitFailure(result) {
+    const invalidFields = applyServerFieldErrors(result.fieldErrors);
+
+    if (invalidFields.length > 0) {
+      showFormStatus(t('fieldErrors'), 'error');
+      invalidFields[0].focus();
+      return 'field-errors';
+    }
+
+    if (result.status === 429) {
+      const message =
+        result.retryAfter !== null
+          ? t('rateLimited', { wait: formatWait(result.retryAfter) })
+          : t('rateLimitedNoDelay');
+      showFormStatus(message, 'error');
+      return 'rate-limited';
+    }
+
+    if (result.status >= 500) {
+      showFormStatus(t('serverError'), 'error');
+      return 'server-error';
+    }
+
+    showFormStatus(t('submitError'), 'error');
+    return 'rejected';
+  }
+
+  /**
+   * Show server-reported errors on the matching fields
+   * Errors for names that match no field in the form are ignored.
+   * @param {Object} fieldErrors - Map of field name to error message
+   * @returns {Array<HTMLElement>} - Fields that received an error
+   */
+  function applyServerFieldErrors(fieldErrors) {
+    const invalidFields = [];
+
+    Object.keys(fieldErrors || {}).forEach(name => {
+      const field = elements.form.elements.namedItem(name);
+      if (field && typeof field.focus === 'function') {
+        field.dataset.serverError = fieldErrors[name];
+        showFieldError(field, fieldErrors[name]);
+        invalidFields.push(field);
+      }
+    });
+
+    return invalidFields;
+  }
+
+  /**
+   * Describe a wait time in words
+   * @param {number} seconds - Seconds to wait
+   * @returns {string} - Human readable duration
+   */
+  function formatWait(seconds) {
+    if (seconds < 60) {
+      return t('waitSeconds', { count: seconds });
+    }
+
+    return t('waitMinutes', { count: Math.ceil(seconds / 60) });
+  }
+
+  /**
+   * Get a contact form message in the current locale
+   * @param {string} key - Message key in the `contact` namespace of the locale bundles
+   * @param {Object} [values] - Placeholder values
+   * @returns {string} - Formatted message
+   */
+  function t(key, values = {}) {
+    return window.I18n.t(`contact.${key}`, values);
+  }
+
+  /**
+   * Store a submission in the offline queue
+   * @param {Object} formData - Form data to queue
+   * @param {Array<File>} [files] - Photos to queue with it
+   * @returns {Promise<boolean>} - True if the submission was queued
+   */
+  async function queueSubmission(formData, files = []) {
+    if (!window.SubmissionQueue || !window.SubmissionQueue.isSupported()) {
+      return false;
+    }
+
+    try {
+      await window.SubmissionQueue.enqueue(formData.submissionId, formData, files);
+      return true;
+    } catch (error) {
+      console.error('Failed to queue form submission:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Resend submissions queued while offline
+   * Transient failures throw so the queue keeps the submission; any other
+   * error response is a permanent rejection and the visitor is told about it.
+   */
+  async function flushQueuedSubmissions() {
+    if (!window.SubmissionQueue || !navigator.onLine) {
+      return;
+    }
+
+    const result = await window.SubmissionQueue.flush(async (payload, files) => {
+      // Queued tokens may have expired by the time the visitor is back online
+      const renewed = window.SpamProtection ? await window.SpamProtection.withFreshToken(payload) : payload;
+      const response = await submitFormData(renewed, { files });
+
+      if (response.ok) {
+        dispatchFormEvent('success', { payload: renewed, status: response.status, queued: true });
+        return true;
+      }
+
+      const { status } = response;
+      if (status === 429 || status >= 500 || CONFIG.submission.retryStatuses.includes(status)) {
+        throw new Error(`Queued submission failed with status ${status}`);
+      }
+
+      reportFailure(renewed, 'rejected', { status, fieldErrors: response.fieldErrors, queued: true });
+      return false;
+    });
+
+    if (result.rejected > 0) {
+      showFormStatus(t('queuedRejected'), 'error');
+    } else if (result.sent > 0) {
+      showFormStatus(t('queuedSent'), 'success');
+    }
+  }
+
+  /**
+   * Get the storage used for drafts
+   * @returns {Storage|null} - localStorage, or null if unavailable
+   */
+  function getDraftStorage() {
+    try {
+      return window.localStorage;
+    } catch (_error) {
+      // Access throws when storage is disabled (e.g. blocked cookies)
+      return null;
+    }
+  }
+
+  /**
+   * Get the draft-tracked input for a field name
+   * @param {string} name - Field name
+   * @returns {HTMLElement|null} - Input element
+   */
+  function getDraftField(name) {
+    return elements.form.elements.namedItem(name);
+  }
+
+  /**
+   * Get the names of all fields kept in a draft
+   * @returns {Array<string>} - Field names
+   */
+  function getDraftFieldNames() {
+    const detailNames = [];
+
+    elements.inquiryFieldsets.forEach(fieldset => {
+      getInquiryDetailFields(fieldset).forEach(field => detailNames.push(field.name));
+    });
+
+    return [...CONFIG.drafts.fields, ...detailNames];
+  }
+
+  /**
+   * Save the draft after the visitor pauses typing
+   */
+  function scheduleDraftSave() {
+    clearTimeout(state.draftTimeout);
+    state.draftTimeout = setTimeout(saveDraft, CONFIG.drafts.saveDelay);
+  }
+
+  /**
+   * Save current field values as a draft
+   * Saving is skipped while an older draft is awaiting the visitor's decision,
+   * so it cannot be overwritten before it is restored or discarded.
+   */
+  function saveDraft() {
+    clearTimeout(state.draftTimeout);
+
+    const storage = getDraftStorage();
+    if (!storage || state.pendingDraft) {
+      return;
+    }
+
+    const values = {};
+    let hasContent = false;
+
+    getDraftFieldNames().forEach(name => {
+      const field = getDraftField(name);
+      if (field) {
+        values[name] = field.value;
+        // Select boxes and radio groups always have a value, only typed text makes a draft worth keeping
+        const isText = field.tagName === 'INPUT' || field.tagName === 'TEXTAREA';
+        hasContent = hasContent || (isText && field.value.trim() !== '');
+      }
+    });
+
+    try {
+      if (hasContent) {
+        storage.setItem(CONFIG.drafts.storageKey, JSON.stringify({ values, savedAt: Date.now() }));
+      } else {
+        storage.removeItem(CONFIG.drafts.storageKey);
+      }
+    } catch (error) {
+      console.error('Failed to save contact form draft:', error);
+    }
+  }
+
+  /**
+   * Load the saved draft, discarding it if expired or unreadable
+   * @returns {Object|null} - Draft field values
+   */
+  function loadDraft() {
+    const storage = getDraftStorage();
+    if (!storage) {
+      return null;
+    }
+
+    try {
+      const draft = JSON.parse(storage.getItem(CONFIG.drafts.storageKey));
+
+      if (!draft || !draft.values) {
+        return null;
+      }
+
+      if (Date.now() - draft.savedAt > CONFIG.drafts.ttl) {
+        clearDraft();
+        return null;
+      }
+
+      return draft.values;
+    } catch (_error) {
+      clearDraft();
+      return null;
+    }
+  }
+
+  /**
+   * Remove the saved draft
+   */
+  function clearDraft() {
+    clearTimeout(state.draftTimeout);
+
+    const storage = getDraftStorage();
+    if (storage) {
+      storage.removeItem(CONFIG.drafts.storageKey);
+    }
+  }
+
+  /**
+   * Offer to restore a saved draft
+   */
+  function offerDraftRestore() {
+    const draft = loadDraft();
+    if (!draft) {
+      return;
+    }
+
+    state.pendingDraft = draft;
+
+    const prompt = document.createElement('div');
+    prompt.className = 'draft-prompt';
+    prompt.setAttribute('role', 'region');
+    prompt.setAttribute('aria-label', t('draftRestore'));
+
+    const text = document.createElement('p');
+    text.textContent = t('draftFound');
+
+    const restoreButton = document.createElement('button');
+    restoreButton.type = 'button';
+    restoreButton.className = 'btn btn-primary draft-restore';
+    restoreButton.textContent = t('draftRestore');
+    restoreButton.addEventListener('click', restoreDraft);
+
+    const discardButton = document.createElement('button');
+    discardButton.type = 'button';
+    discardButton.className = 'btn btn-secondary draft-discard';
+    discardButton.textContent = t('draftDiscard');
+    discardButton.addEventListener('click', discardDraft);
+
+    prompt.append(text, restoreButton, discardButton);
+    elements.form.prepend(prompt);
+    elements.draftPrompt = prompt;
+  }
+
+  /**
+   * Fill the form with the pending draft
+   */
+  function restoreDraft() {
+    const draft = state.pendingDraft;
+    closeDraftPrompt();
+
+    if (!draft) {
+      return;
+    }
+
+    applyFieldValues(draft);
+
+    if (elements.messageInput) {
+      elements.messageInput.focus();
+    }
+  }
+
+  /**
+   * Write values into the form's editable fields
+   * Only fields kept in drafts can be set; other names are ignored.
+   * @param {Object} values - Values keyed by field name
+   * @returns {Array<string>} - Names of the fields that were set
+   */
+  function applyFieldValues(values) {
+    const applied = getDraftFieldNames().filter(name => {
+      const field = getDraftField(name);
+      const value = values[name];
+
+      if (!field || (typeof value !== 'string' && typeof value !== 'number')) {
+        return false;
+      }
+
+      // Radio groups come back as a RadioNodeList, whose value selects the matching radio
+      field.value = String(value);
+      return true;
+    });
+
+    updatePhoneRequirement();
+    updateInquiryFields();
+    return applied;
+  }
+
+  /**
+   * Throw away the pending draft
+   */
+  function discardDraft() {
+    closeDraftPrompt();
+    clearDraft();
+
+    if (elements.nameInput) {
+      elements.nameInput.focus();
+    }
+  }
+
+  /**
+   * Remove the draft prompt and resume autosave
+   */
+  function closeDraftPrompt() {
+    state.pendingDraft = null;
+
+    if (elements.draftPrompt) {
+      elements.draftPrompt.remove();
+      elements.draftPrompt = null;
+    }
+  }
+
+  /**
+   * Show form status message
+   * @param {string} message - Status message
+   * @param {string} type - Status type ('success', 'info' or 'error')
+   */
+  function showFormStatus(message, type) {
+    if (!elements.formStatus) {
+      return;
+    }
+
+    elements.formStatus.textContent = message;
+    elements.formStatus.className = 'form-status visible ' + type;
+    elements.formStatus.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+    // Auto-hide after duration
+    setTimeout(() => {
+      hideFormStatus();
+    }, CONFIG.statusDisplayDuration);
+  }
+
+  /**
+   * Hide form status message
+   */
+  function hideFormStatus() {
+    if (!elements.formStatus) {
+      return;
+    }
+
+    elements.formStatus.textContent = '';
+    elements.formStatus.className = 'form-status';
+    elements.formStatus.removeAttribute('role');
+  }
+
+  /**
+   * Clear form fields
+   */
+  function clearForm() {
+    if (elements.form) {
+      elements.form.reset();
+    }
+
+    closeDraftPrompt();
+    clearDraft();
+    resetSubmissionId();
+    hideErrorSummary();
+    hideEmailSuggestion();
+    updatePhoneRequirement();
+    updateInquiryFields();
+    state.prefill = null;
+
+    if (state.photoPicker) {
+      state.photoPicker.clear();
+    }
+
+    // Clear validation states
+    state.validator.reset();
+  }
+
+  /**
+   * Get the visible form fields
+   * @returns {Array<HTMLElement>} - Core fields plus the active inquiry fields
+   */
+  function getFormFields() {
+    return [
+      elements.nameInput,
+      elements.emailInput,
+      elements.phoneInput,
+      elements.inquirySelect,
+      ...getActiveInquiryFields(),
+      elements.messageInput,
+    ].filter(Boolean);
+  }
+
+  /**
+   * Enable or disable form
+   * @param {boolean} disabled - True to disable form
+   */
+  function setFormDisabled(disabled) {
+    if (elements.submitButton) {
+      elements.submitButton.disabled = disabled;
+      elements.submitButton.textContent = disabled ? t('sending') : t('sendButton');
+    }
+
+    if (elements.cancelButton) {
+      elements.cancelButton.hidden = !disabled;
+    }
+
+    if (elements.uploadProgress && !disabled) {
+      elements.uploadProgress.hidden = true;
+      elements.uploadProgress.value = 0;
+    }
+
+    if (state.photoPicker) {
+      state.photoPicker.setDisabled(disabled);
+    }
+
+    if (state.phoneField) {
+      state.phoneField.setDisabled(disabled);
+    }
+
+    elements.contactMethodInputs.forEach(input => {
+      input.disabled = disabled;
+    });
+
+    if (elements.consentInput) {
+      elements.consentInput.disabled = disabled;
+    }
+
+    getFormFields().forEach(field => {
+      field.disabled = disabled;
+    });
+  }
+
+  /**
+   * Check whether the form was found and initialized
+   * @returns {boolean} - True once init() has set up the validator
+   */
+  function isReady() {
+    return Boolean(elements.form && state.validator);
+  }
+
+  /**
+   * Validate the form and show the errors on the fields
+   * Unlike a submit, the error summary is not opened and focus does not move.
+   * @returns {Promise<boolean>} - True if the form is valid
+   */
+  function validate() {
+    return isReady() ? validateForm() : Promise.resolve(false);
+  }
+
+  /**
+   * Submit the form as if the visitor pressed Send
+   * @returns {Promise<Object>} - Outcome with `ok`; when the form was not sent, `reason` is
+   *   'invalid', 'prevented' (beforesubmit cancelled), 'busy', 'unavailable' or a
+   *   `contact:error` reason
+   */
+  function submit() {
+    if (!isReady()) {
+      return Promise.resolve({ ok: false, reason: 'unavailable' });
+    }
+
+    return submitForm();
+  }
+
+  /**
+   * Empty the form, cancelling a submission in progress
+   */
+  function reset() {
+    if (!isReady()) {
+      return;
+    }
+
+    if (state.abortController) {
+      cancelSubmission();
+    }
+
+    hideFormStatus();
+    clearForm();
+  }
+
+  /**
+   * Fill in form fields
+   * @param {Object} values - Values keyed by field name (`name`, `email`, `phone`,
+   *   `preferredContact`, `inquiryType`, `message` or an inquiry detail field)
+   * @returns {Array<string>} - Names of the fields that were set
+   */
+  function setValues(values) {
+    if (!isReady() || !values) {
+      return [];
+    }
+
+    const applied = applyFieldValues(values);
+
+    applied.forEach(name => {
+      const field = getDraftField(name);
+      if (field instanceof HTMLElement) {
+        clearFieldError(field);
+      }
+    });
+
+    if (applied.length > 0) {
+      resetSubmissionId();
+      scheduleDraftSave();
+    }
+
+    return applied;
+  }
+
+  /**
+   * Public API for other scripts on the page, such as analytics and CRM widgets
+   *
+   * Lifecycle events are dispatched on the form and bubble:
+   * - `contact:beforesubmit` (cancelable): `detail.payload` is the data about to be
+   *   sent. Listeners may change it or assign a new object; cancelling the event
+   *   stops the submission. Anti-spam fields are added afterwards.
+   * - `contact:success`: `{ payload, status, queued }`; `queued` is true for a
+   *   submission saved offline and sent later. Not dispatched for submissions
+   *   blocked by spam protection, although the visitor sees the success message.
+   * - `contact:error`: `{ payload, reason, ... }` with `reason` one of 'field-errors',
+   *   'rate-limited', 'server-error', 'rejected' (plus `status`, `fieldErrors` and
+   *   `retryAfter`), or 'timeout', 'network', 'offline' (queued), 'cancelled' and
+   *   'unexpected' (plus `error`). A queued submission the server refuses is reported as
+   *   'rejected' with `queued` set to true.
+   * - `contact:invalid`: `{ errors, fields }`, with messages keyed by field name
+   */
+  window.ContactForm = {
+    validate,
+    submit,
+    reset,
+    setValues,
+  };
+
   // Initialize when DOM is ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
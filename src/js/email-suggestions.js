@@ -0,0 +1,178 @@
+/**
+ * Email Suggestions
+ * Spots likely typos in the domain of an email address ("gmial.com",
+ * "yahoo.con") and proposes a correction. Works offline: common mail domains
+ * are compared by edit distance, and top-level domains are checked against a
+ * bundled list.
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Configuration object for email suggestions
+   */
+  const CONFIG = {
+    // Widely used mail providers, checked first
+    domains: [
+      'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'ymail.com', 'rocketmail.com',
+      'hotmail.com', 'hotmail.co.uk', 'outlook.com', 'live.com', 'msn.com', 'aol.com',
+      'icloud.com', 'me.com', 'mac.com', 'protonmail.com', 'proton.me', 'gmx.com', 'gmx.de',
+      'web.de', 'mail.com', 'zoho.com', 'yandex.com', 'fastmail.com', 'comcast.net',
+      'verizon.net', 'att.net', 'sbcglobal.net', 'bellsouth.net', 'cox.net', 'charter.net',
+      'earthlink.net', 'optonline.net', 'frontier.com', 'btinternet.com', 'sky.com',
+      'shaw.ca', 'rogers.com', 'bigpond.com',
+      // Regional variants, listed so they are not "corrected" to the .com domain
+      'yahoo.ca', 'yahoo.de', 'yahoo.fr', 'yahoo.es', 'yahoo.it', 'hotmail.ca', 'hotmail.de',
+      'hotmail.fr', 'hotmail.es', 'hotmail.it', 'live.ca', 'live.co.uk', 'outlook.de',
+      'outlook.fr', 'gmx.net', 'gmx.at', 'gmx.ch',
+    ],
+    // Top-level domains offered as corrections, most likely first
+    commonTlds: ['com', 'net', 'org', 'edu', 'gov', 'us', 'ca', 'uk', 'de', 'fr', 'io', 'info', 'biz', 'me', 'co'],
+    // Generic top-level domains accepted without a suggestion
+    genericTlds: [
+      'com', 'net', 'org', 'edu', 'gov', 'mil', 'int', 'info', 'biz', 'name', 'pro', 'aero',
+      'asia', 'cat', 'coop', 'jobs', 'mobi', 'museum', 'tel', 'travel', 'app', 'dev', 'page',
+      'io', 'ai', 'xyz', 'online', 'site', 'website', 'store', 'shop', 'tech', 'blog', 'cloud',
+      'email', 'art', 'design', 'life', 'live', 'news', 'today', 'world', 'space', 'club',
+      'agency', 'studio', 'solutions', 'services', 'company', 'digital', 'network', 'group',
+      'media', 'global', 'social', 'family', 'farm', 'house', 'kitchen', 'restaurant', 'bbq',
+      'food', 'coffee', 'pizza', 'catering', 'garden', 'construction', 'contractors',
+      'plumbing', 'repair', 'tools', 'supply', 'equipment', 'build', 'homes', 'realty',
+      'law', 'legal', 'health', 'care', 'dental', 'consulting', 'finance', 'capital',
+      'church', 'school', 'academy', 'university', 'team', 'work', 'works', 'zone', 'one',
+      'top', 'vip', 'win', 'fun', 'icu', 'ltd', 'llc', 'inc', 'gmbh',
+    ],
+    // Country code top-level domains
+    countryTlds: (
+      'ac ad ae af ag ai al am ao aq ar as at au aw ax az ba bb bd be bf bg bh bi bj bm bn bo ' +
+      'br bs bt bw by bz ca cc cd cf cg ch ci ck cl cm cn co cr cu cv cw cx cy cz de dj dk dm ' +
+      'do dz ec ee eg er es et eu fi fj fk fm fo fr ga gd ge gf gg gh gi gl gm gn gp gq gr gs ' +
+      'gt gu gw gy hk hm hn hr ht hu id ie il im in io iq ir is it je jm jo jp ke kg kh ki km ' +
+      'kn kp kr kw ky kz la lb lc li lk lr ls lt lu lv ly ma mc md me mg mh mk ml mm mn mo mp ' +
+      'mq mr ms mt mu mv mw mx my mz na nc ne nf ng ni nl no np nr nu nz om pa pe pf pg ph pk ' +
+      'pl pm pn pr ps pt pw py qa re ro rs ru rw sa sb sc sd se sg sh si sk sl sm sn so sr ss ' +
+      'st su sv sx sy sz tc td tf tg th tj tk tl tm tn to tr tt tv tw tz ua ug uk us uy uz va ' +
+      'vc ve vg vi vn vu wf ws ye yt za zm zw'
+    ).split(' '),
+  };
+
+  const validTlds = new Set([...CONFIG.genericTlds, ...CONFIG.countryTlds]);
+
+  /**
+   * Edit distance between two strings
+   * Counts insertions, deletions, substitutions and swaps of neighbouring
+   * characters (optimal string alignment), so "gmial" is one edit from "gmail".
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} - Number of edits
+   */
+  function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) {
+      rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return rows[a.length][b.length];
+  }
+
+  /**
+   * Find the closest candidate within a distance
+   * Earlier candidates win ties.
+   * @param {string} value - Typed value
+   * @param {Array<string>} candidates - Known values
+   * @param {number} maxDistance - Largest accepted distance
+   * @returns {string|null} - Closest candidate, or null if none is close enough
+   */
+  function findClosest(value, candidates, maxDistance) {
+    let best = null;
+    let bestDistance = maxDistance + 1;
+
+    candidates.forEach((candidate) => {
+      const distance = editDistance(value, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Split a domain into the part before the top-level domain and the TLD
+   * @param {string} domain - Domain name
+   * @returns {{name: string, tld: string}} - Name and top-level domain
+   */
+  function splitDomain(domain) {
+    const index = domain.lastIndexOf('.');
+    return index === -1 ? { name: domain, tld: '' } : { name: domain.slice(0, index), tld: domain.slice(index + 1) };
+  }
+
+  /**
+   * Check whether a top-level domain is in the bundled list
+   * @param {string} tld - Top-level domain, without the dot
+   * @returns {boolean} - True if known
+   */
+  function isKnownTld(tld) {
+    return validTlds.has(String(tld).toLowerCase());
+  }
+
+  /**
+   * Suggest a correction for a mistyped email domain
+   * @param {string} email - Email address
+   * @returns {{email: string, domain: string}|null} - Corrected address, or null if it looks fine
+   */
+  function suggest(email) {
+    const value = String(email || '').trim();
+    const at = value.lastIndexOf('@');
+
+    if (at < 1 || at === value.length - 1) {
+      return null;
+    }
+
+    const local = value.slice(0, at);
+    const domain = value.slice(at + 1).toLowerCase();
+
+    if (CONFIG.domains.includes(domain)) {
+      return null;
+    }
+
+    const { name, tld } = splitDomain(domain);
+
+    // Short domains are only corrected for single typos, very short names not at all
+    const maxDistance = domain.length <= 7 ? 1 : 2;
+    const closestDomain = name.length >= 3 ? findClosest(domain, CONFIG.domains, maxDistance) : null;
+
+    if (closestDomain) {
+      return { email: `${local}@${closestDomain}`, domain: closestDomain };
+    }
+
+    if (name && !isKnownTld(tld)) {
+      const closestTld = findClosest(tld, CONFIG.commonTlds, 1);
+      if (closestTld) {
+        const corrected = `${name}.${closestTld}`;
+        return { email: `${local}@${corrected}`, domain: corrected };
+      }
+    }
+
+    return null;
+  }
+
+  window.EmailSuggestions = {
+    suggest,
+    isKnownTld,
+    editDistance,
+  };
+})();
@@ -0,0 +1,743 @@
+/**
+ * Form Validation
+ * Declarative validation for site forms. Fields list their rules in a
+ * `data-validate` attribute ("required|email|minlength:2"); rules run in
+ * order and the first failing rule's message is shown under the field.
+ * Custom rules can be registered, and asynchronous rules (such as a server
+ * check) are debounced while the visitor types.
+ *
+ * Forms opt in with `data-validate-form`, or from a script with
+ * `FormValidation.attach(form, options)`.
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Configuration object for form validation
+   */
+  const CONFIG = {
+    formSelector: 'form[data-validate-form]',
+    fieldSelector: '[data-validate]',
+    errorSelector: '.error-message',
+    // Delay before asynchronous rules run while the visitor types
+    debounce: 400,
+    emailPattern: /^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/i,
+  };
+
+  /**
+   * Logger utility for structured logging
+   */
+  const Logger = {
+    warn(message, context = {}) {
+      if (typeof console !== 'undefined' && console.warn) {
+        console.warn(`[FormValidation] ${message}`, context);
+      }
+    },
+  };
+
+  // Registered rules by name: { validate, async, debounce }
+  const rules = new Map();
+
+  // Validators by form
+  const validators = new WeakMap();
+
+  /**
+   * Register a validation rule
+   * The validator receives the trimmed value, the parameter after the colon
+   * ("minlength:2" gives "2") and a context with `field`, `form`, `signal`
+   * (aborted when a newer check starts) and `message(key, values)`, which
+   * looks up the message for the field. It returns an error message, or null
+   * if the value is valid. Rules other than `required` are skipped for empty
+   * values.
+   * @param {string} name - Rule name used in `data-validate`
+   * @param {Function} validate - Validator function
+   * @param {Object} [options] - Rule options
+   * @param {boolean} [options.async=false] - The validator returns a promise; it runs after
+   *   every synchronous rule has passed
+   * @param {number} [options.debounce] - Delay before the rule runs while the visitor types
+   */
+  function registerRule(name, validate, options = {}) {
+    rules.set(name, {
+      validate,
+      async: Boolean(options.async),
+      debounce: typeof options.debounce === 'number' ? options.debounce : CONFIG.debounce,
+    });
+  }
+
+  /**
+   * Parse a `data-validate` attribute
+   * @param {string} attribute - Rules separated by "|", each with an optional ":parameter"
+   * @returns {Array<{name: string, param: string}>} - Rules in order
+   */
+  function parseRules(attribute) {
+    return String(attribute || '')
+      .split('|')
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .map((part) => {
+        const index = part.indexOf(':');
+        return index === -1 ? { name: part, param: '' } : { name: part.slice(0, index), param: part.slice(index + 1) };
+      });
+  }
+
+  /**
+   * Replace {placeholders} in a message
+   * @param {string} template - Message template
+   * @param {Object} values - Placeholder values
+   * @returns {string} - Formatted message
+   */
+  function formatMessage(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+      Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : match
+    );
+  }
+
+  /**
+   * Get a validation message in the current locale
+   * Keys without a translation use the generic format message.
+   * @param {string} key - Message key in the `validation` namespace of the locale bundles
+   * @param {Object} values - Placeholder values
+   * @returns {string} - Formatted message
+   */
+  function translate(key, values) {
+    const { I18n } = window;
+    if (!I18n) {
+      return key;
+    }
+
+    return I18n.t(I18n.has(`validation.${key}`) ? `validation.${key}` : 'validation.pattern', values);
+  }
+
+  /**
+   * Get the value a field is validated with
+   * @param {HTMLElement} field - Form field
+   * @returns {string} - Trimmed value; empty for unticked checkboxes
+   */
+  function getValue(field) {
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      return field.checked ? field.value || 'on' : '';
+    }
+
+    return String(field.value || '').trim();
+  }
+
+  /**
+   * Find the element that shows a field's error
+   * `aria-errormessage` points to it when it is not next to the field.
+   * @param {HTMLElement} field - Form field
+   * @returns {HTMLElement|null} - Error element
+   */
+  function getErrorElement(field) {
+    const id = field.getAttribute('aria-errormessage');
+    if (id) {
+      return document.getElementById(id);
+    }
+
+    return field.parentElement ? field.parentElement.querySelector(CONFIG.errorSelector) : null;
+  }
+
+  /**
+   * Show field error state
+   * @param {HTMLElement} field - Form field
+   * @param {string} message - Error message
+   */
+  function showFieldError(field, message) {
+    field.classList.remove('valid');
+    field.classList.add('invalid');
+    field.setAttribute('aria-invalid', 'true');
+
+    const errorElement = getErrorElement(field);
+    if (errorElement) {
+      errorElement.textContent = message;
+      errorElement.classList.add('visible');
+    }
+  }
+
+  /**
+   * Show field success state
+   * @param {HTMLElement} field - Form field
+   */
+  function showFieldSuccess(field) {
+    field.classList.remove('invalid');
+    field.classList.add('valid');
+    field.setAttribute('aria-invalid', 'false');
+
+    const errorElement = getErrorElement(field);
+    if (errorElement) {
+      errorElement.textContent = '';
+      errorElement.classList.remove('visible');
+    }
+  }
+
+  /**
+   * Clear field error state
+   * Also drops a server-reported error, which stands until the field is edited.
+   * @param {HTMLElement} field - Form field
+   */
+  function clearFieldError(field) {
+    field.classList.remove('invalid', 'valid');
+    field.removeAttribute('aria-invalid');
+    delete field.dataset.serverError;
+
+    const errorElement = getErrorElement(field);
+    if (errorElement) {
+      errorElement.textContent = '';
+      errorElement.classList.remove('visible');
+    }
+  }
+
+  /**
+   * Validation for one form
+   */
+  class FormValidator {
+    /**
+     * @param {HTMLFormElement} form - Form to validate
+     * @param {Object} [options] - Validator options
+     * @param {boolean} [options.handleSubmit=true] - Block submissions while fields are invalid;
+     *   turn off when a script validates before its own submit handling
+     * @param {Object} [options.messages] - Message overrides: strings or functions by rule message
+     *   key for every field, or objects of them by field name for one field
+     */
+    constructor(form, options = {}) {
+      this.form = form;
+      this.options = { handleSubmit: true, messages: {}, ...options };
+      this.fieldStates = new WeakMap();
+      this.submitApproved = false;
+
+      this.handleFocusOut = this.handleFocusOut.bind(this);
+      this.handleInput = this.handleInput.bind(this);
+      this.handleChange = this.handleChange.bind(this);
+      this.handleSubmit = this.handleSubmit.bind(this);
+
+      // Errors are shown by the validator; without JavaScript the browser's own checks apply
+      this.form.noValidate = true;
+      this.form.addEventListener('focusout', this.handleFocusOut);
+      this.form.addEventListener('input', this.handleInput);
+      this.form.addEventListener('change', this.handleChange);
+
+      if (this.options.handleSubmit) {
+        // Capture runs before other submit listeners on the form, such as spam protection
+        this.form.addEventListener('submit', this.handleSubmit, true);
+      }
+    }
+
+    /**
+     * Get the fields that take part in validation
+     * @returns {Array<HTMLElement>} - Enabled fields with rules, in form order
+     */
+    getFields() {
+      return Array.from(this.form.querySelectorAll(CONFIG.fieldSelector)).filter((field) => !field.matches(':disabled'));
+    }
+
+    /**
+     * Check whether an event target is a validated field of this form
+     * @param {EventTarget} target - Event target
+     * @returns {boolean} - True for fields with rules
+     */
+    isField(target) {
+      return target instanceof HTMLElement && target.matches(CONFIG.fieldSelector) && !target.matches(':disabled');
+    }
+
+    /**
+     * Get the rules for a field
+     * A field marked `required` in HTML is required even when its rules do not
+     * say so, so scripts can toggle the requirement.
+     * @param {HTMLElement} field - Form field
+     * @returns {Array<{name: string, param: string}>} - Rules in order
+     */
+    getRules(field) {
+      const fieldRules = parseRules(field.dataset.validate);
+
+      if (field.required && !fieldRules.some((rule) => rule.name === 'required')) {
+        fieldRules.unshift({ name: 'required', param: '' });
+      }
+
+      return fieldRules.filter((rule) => {
+        if (!rules.has(rule.name)) {
+          Logger.warn('Unknown validation rule', { rule: rule.name, field: field.name });
+          return false;
+        }
+
+        return true;
+      });
+    }
+
+    /**
+     * Get the per-field validation state
+     * @param {HTMLElement} field - Form field
+     * @returns {Object} - State with the debounce timer, pending check and cached async result
+     */
+    getFieldState(field) {
+      if (!this.fieldStates.has(field)) {
+        this.fieldStates.set(field, { timer: null, controller: null, run: 0, pending: null, cache: null, error: null });
+      }
+
+      return this.fieldStates.get(field);
+    }
+
+    /**
+     * Look up a message for a field
+     * Per-field overrides win over form-wide overrides, which win over the
+     * `data-msg-<key>` attribute and the locale bundles. Overrides may be
+     * functions of the placeholder values, so they can follow the locale.
+     * @param {HTMLElement} field - Form field
+     * @param {string} key - Message key
+     * @param {Object} [values] - Placeholder values
+     * @returns {string} - Formatted message
+     */
+    getMessage(field, key, values = {}) {
+      const { messages } = this.options;
+      const fieldMessages = messages[field.name] && typeof messages[field.name] === 'object' ? messages[field.name] : {};
+      const dataKey = `msg${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+      const override = fieldMessages[key] || messages[key] || field.dataset[dataKey];
+
+      if (typeof override === 'function') {
+        return override(values);
+      }
+
+      return typeof override === 'string' ? formatMessage(override, values) : translate(key, values);
+    }
+
+    /**
+     * Build the context passed to rule validators
+     * @param {HTMLElement} field - Form field
+     * @param {AbortSignal} [signal] - Signal for asynchronous rules
+     * @returns {Object} - Rule context
+     */
+    createContext(field, signal) {
+      return {
+        field,
+        form: this.form,
+        signal,
+        message: (key, values) => this.getMessage(field, key, values),
+      };
+    }
+
+    /**
+     * Run the synchronous rules of a field
+     * @param {HTMLElement} field - Form field
+     * @param {string} [value] - Value to check, the field's current value by default
+     * @returns {string|null} - First error message, or null if every rule passed
+     */
+    checkSync(field, value = getValue(field)) {
+      const context = this.createContext(field);
+
+      for (const { name, param } of this.getRules(field)) {
+        const rule = rules.get(name);
+
+        if (!rule.async && (value !== '' || name === 'required')) {
+          const error = rule.validate(value, param, context);
+          if (error) {
+            return error;
+          }
+        }
+      }
+
+      return null;
+    }
+
+    /**
+     * Run the asynchronous rules of a field
+     * The result is cached per value, so leaving an unchanged field does not
+     * repeat a server check. Failed checks (network errors) let the value pass;
+     * the server validates again on submit.
+     * @param {HTMLElement} field - Form field
+     * @param {string} value - Value to check
+     * @param {Object} fieldState - Per-field validation state
+     * @returns {Promise<string|null>} - First error message, or null if every rule passed
+     */
+    async checkAsync(field, value, fieldState) {
+      const asyncRules = this.getRules(field).filter(({ name }) => rules.get(name).async);
+
+      if (asyncRules.length === 0 || value === '') {
+        return null;
+      }
+
+      if (fieldState.cache && fieldState.cache.value === value) {
+        return fieldState.cache.error;
+      }
+
+      const controller = new AbortController();
+      const context = this.createContext(field, controller.signal);
+      fieldState.controller = controller;
+      field.setAttribute('aria-busy', 'true');
+
+      try {
+        let error = null;
+
+        for (const { name, param } of asyncRules) {
+          error = await rules.get(name).validate(value, param, context);
+          if (error) {
+            break;
+          }
+        }
+
+        if (!controller.signal.aborted) {
+          fieldState.cache = { value, error: error || null };
+        }
+
+        return error || null;
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          Logger.warn('Asynchronous validation failed', { field: field.name, error });
+        }
+
+        return null;
+      } finally {
+        if (fieldState.controller === controller) {
+          fieldState.controller = null;
+          field.removeAttribute('aria-busy');
+        }
+      }
+    }
+
+    /**
+     * Validate a field and show the result
+     * Dispatches a bubbling `validation:field` event with `{ field, valid, error }`.
+     * @param {HTMLElement} field - Form field
+     * @returns {Promise<boolean>} - True if the field is valid
+     */
+    validateField(field) {
+      const fieldState = this.getFieldState(field);
+      const pending = this.runValidation(field, fieldState).then((valid) => {
+        if (valid !== null) {
+          return valid;
+        }
+
+        // Superseded: a newer check's result counts, or the field was edited meanwhile
+        return fieldState.pending !== pending ? fieldState.pending : field.getAttribute('aria-invalid') !== 'true';
+      });
+
+      fieldState.pending = pending;
+      return pending;
+    }
+
+    /**
+     * Stop a field's scheduled or running check
+     * @param {Object} fieldState - Per-field validation state
+     */
+    cancelPending(fieldState) {
+      clearTimeout(fieldState.timer);
+      if (fieldState.controller) {
+        fieldState.controller.abort();
+      }
+
+      fieldState.run += 1;
+    }
+
+    /**
+     * Run the rules of a field, superseding any check still in progress
+     * @param {HTMLElement} field - Form field
+     * @param {Object} fieldState - Per-field validation state
+     * @returns {Promise<boolean|null>} - True if the field is valid, null if the check was superseded
+     */
+    async runValidation(field, fieldState) {
+      this.cancelPending(fieldState);
+
+      const { run } = fieldState;
+      const value = getValue(field);
+      const syncError = this.checkSync(field, value);
+      const asyncError = syncError ? null : await this.checkAsync(field, value, fieldState);
+
+      if (run !== fieldState.run) {
+        return null;
+      }
+
+      // A server-reported error stands until the visitor edits the field
+      const error = syncError || asyncError || field.dataset.serverError || null;
+      fieldState.error = error;
+
+      if (error) {
+        showFieldError(field, error);
+      } else {
+        showFieldSuccess(field);
+      }
+
+      field.dispatchEvent(
+        new CustomEvent('validation:field', { bubbles: true, detail: { field, valid: !error, error } })
+      );
+
+      return !error;
+    }
+
+    /**
+     * Validate every field
+     * @returns {Promise<{valid: boolean, invalidFields: Array<HTMLElement>, errors: Object}>} - Result,
+     *   with invalid fields in form order and their messages keyed by field name
+     */
+    async validateAll() {
+      const fields = this.getFields();
+      const results = await Promise.all(fields.map((field) => this.validateField(field)));
+      const invalidFields = fields.filter((field, index) => !results[index]);
+      const errors = {};
+
+      invalidFields.forEach((field) => {
+        errors[field.name] = this.getFieldState(field).error;
+      });
+
+      return { valid: invalidFields.length === 0, invalidFields, errors };
+    }
+
+    /**
+     * Clear every field's validation state
+     */
+    reset() {
+      Array.from(this.form.querySelectorAll(CONFIG.fieldSelector)).forEach((field) => {
+        const fieldState = this.getFieldState(field);
+        this.cancelPending(fieldState);
+        fieldState.cache = null;
+        fieldState.error = null;
+        clearFieldError(field);
+      });
+    }
+
+    /**
+     * Validate a field when the visitor leaves it
+     * @param {FocusEvent} event - Focusout event
+     */
+    handleFocusOut(event) {
+      const field = event.target;
+
+      // Checkboxes and selects are validated on change
+      if (this.isField(field) && field.type !== 'checkbox' && field.type !== 'radio' && field.tagName !== 'SELECT') {
+        this.validateField(field);
+      }
+    }
+
+    /**
+     * Clear the error while the visitor edits a field
+     * Asynchronous rules run once typing pauses, if the synchronous rules pass.
+     * @param {InputEvent} event - Input event
+     */
+    handleInput(event) {
+      const field = event.target;
+      if (!this.isField(field)) {
+        return;
+      }
+
+      clearFieldError(field);
+
+      // A check of the previous value must not show its result now
+      const fieldState = this.getFieldState(field);
+      this.cancelPending(fieldState);
+
+      const delays = this.getRules(field)
+        .map(({ name }) => rules.get(name))
+        .filter((rule) => rule.async)
+        .map((rule) => rule.debounce);
+
+      if (delays.length === 0 || field.tagName === 'SELECT' || field.type === 'checkbox') {
+        return;
+      }
+
+      fieldState.timer = setTimeout(() => {
+        if (!this.checkSync(field)) {
+          this.validateField(field);
+        }
+      }, Math.max(...delays));
+    }
+
+    /**
+     * Validate selects and checkboxes as soon as they change
+     * @param {Event} event - Change event
+     */
+    handleChange(event) {
+      const field = event.target;
+
+      if (this.isField(field) && (field.tagName === 'SELECT' || field.type === 'checkbox' || field.type === 'radio')) {
+        this.validateField(field);
+      }
+    }
+
+    /**
+     * Hold the submission until every field is valid
+     * Dispatches a `validation:invalid` event on the form with `{ invalidFields }`
+     * and focuses the first invalid field when the submission is blocked.
+     * @param {SubmitEvent} event - Submit event
+     */
+    handleSubmit(event) {
+      // Second pass, after validation approved the submission
+      if (this.submitApproved) {
+        this.submitApproved = false;
+        return;
+      }
+
+      event.preventDefault();
+      const { submitter } = event;
+
+      this.validateAll().then(({ valid, invalidFields }) => {
+        if (!valid) {
+          this.form.dispatchEvent(new CustomEvent('validation:invalid', { detail: { invalidFields } }));
+          invalidFields[0].focus();
+          return;
+        }
+
+        this.submitApproved = true;
+
+        if (typeof this.form.requestSubmit !== 'function') {
+          HTMLFormElement.prototype.submit.call(this.form);
+        } else if (submitter) {
+          this.form.requestSubmit(submitter);
+        } else {
+          this.form.requestSubmit();
+        }
+      });
+    }
+  }
+
+  /**
+   * Turn on validation for a form
+   * A form is only attached once; later calls return the existing validator.
+   * @param {HTMLFormElement} form - Form to validate
+   * @param {Object} [options] - Validator options, see FormValidator
+   * @returns {FormValidator|null} - Validator, or null without a form
+   */
+  function attach(form, options = {}) {
+    if (!form) {
+      return null;
+    }
+
+    if (!validators.has(form)) {
+      validators.set(form, new FormValidator(form, options));
+    }
+
+    return validators.get(form);
+  }
+
+  /**
+   * Get the validator attached to a form
+   * @param {HTMLFormElement} form - Form
+   * @returns {FormValidator|null} - Validator, or null if the form has none
+   */
+  function get(form) {
+    return validators.get(form) || null;
+  }
+
+  /**
+   * Check a date against today
+   * @param {string} value - Date in YYYY-MM-DD format
+   * @param {string} direction - 'past' to forbid future dates, 'future' to forbid past dates
+   * @param {Object} context - Rule context
+   * @returns {string|null} - Error message or null if valid
+   */
+  function validateDate(value, direction, { message }) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+      return message('date');
+    }
+
+    const now = new Date();
+    const today = [
+      now.getFullYear(),
+      String(now.getMonth() + 1).padStart(2, '0'),
+      String(now.getDate()).padStart(2, '0'),
+    ].join('-');
+
+    if (direction === 'past' && value > today) {
+      return message('dateInFuture');
+    }
+
+    if (direction === 'future' && value < today) {
+      return message('dateInPast');
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a value with the server
+   * Sends the value as a query parameter named after the field; the endpoint
+   * answers with `{ valid: boolean, message?: string }`. Unexpected responses
+   * let the value pass.
+   * @param {string} value - Value to check
+   * @param {string} url - Endpoint URL
+   * @param {Object} context - Rule context
+   * @returns {Promise<string|null>} - Error message or null if valid
+   */
+  async function validateRemote(value, url, { field, signal, message }) {
+    const query = new URLSearchParams({ [field.name]: value });
+    const response = await fetch(`${url}${url.includes('?') ? '&' : '?'}${query}`, {
+      headers: { Accept: 'application/json' },
+      signal,
+    });
+
+    if (!response.ok) {
+      return null;
+    }
+
+    const result = await response.json();
+    return result && result.valid === false ? result.message || message('remote') : null;
+  }
+
+  // Built-in rules
+  registerRule('required', (value, param, { field, message }) => {
+    if (value) {
+      return null;
+    }
+
+    if (field.type === 'checkbox') {
+      return message('checked');
+    }
+
+    return message(field.tagName === 'SELECT' ? 'choose' : 'required');
+  });
+
+  registerRule('email', (value, param, { message }) => (CONFIG.emailPattern.test(value) ? null : message('email')));
+
+  registerRule('minlength', (value, param, { field, message }) => {
+    const min = parseInt(param, 10) || field.minLength;
+    return min > 0 && value.length < min ? message('minlength', { min }) : null;
+  });
+
+  registerRule('maxlength', (value, param, { field, message }) => {
+    const max = parseInt(param, 10) || field.maxLength;
+    return max > 0 && value.length > max ? message('maxlength', { max }) : null;
+  });
+
+  // Without a parameter the field's `pattern` attribute is used, with its `title` as the message
+  registerRule('pattern', (value, param, { field, message }) => {
+    const source = param || field.getAttribute('pattern');
+    if (!source || new RegExp(`^(?:${source})$`).test(value)) {
+      return null;
+    }
+
+    return field.title || message('pattern');
+  });
+
+  // The value must be one of the select's enabled options
+  registerRule('option', (value, param, { field, message }) => {
+    if (field.tagName !== 'SELECT') {
+      return null;
+    }
+
+    const known = Array.from(field.options).some((option) => option.value === value && !option.disabled);
+    return known ? null : message('option');
+  });
+
+  registerRule('date', validateDate);
+  registerRule('remote', validateRemote, { async: true });
+
+  /**
+   * Attach validation to forms that opt in with `data-validate-form`
+   */
+  function init() {
+    document.querySelectorAll(CONFIG.formSelector).forEach((form) => {
+      attach(form);
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.FormValidation = {
+    attach,
+    get,
+    registerRule,
+    showFieldError,
+    showFieldSuccess,
+    clearFieldError,
+  };
+})();
@@ -0,0 +1,266 @@
+/**
+ * Internationalization
+ * Message lookup for form text from locale bundles (`src/js/locales/*.js`).
+ * The locale is the visitor's saved choice, otherwise `<html lang>`; keys
+ * missing from a bundle fall back to English.
+ *
+ * Messages may contain {placeholders}. A message can also be an object of
+ * plural forms keyed by `Intl.PluralRules` category ("one", "other", ...);
+ * the form is picked by the `count` value, or by the first number among the
+ * values.
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Configuration object for internationalization
+   */
+  const CONFIG = {
+    defaultLocale: 'en',
+    storageKey: 'grill-business:locale',
+    switcherSelector: '[data-locale-switcher]',
+  };
+
+  /**
+   * Logger utility for structured logging
+   */
+  const Logger = {
+    warn(message, context = {}) {
+      if (typeof console !== 'undefined' && console.warn) {
+        console.warn(`[I18n] ${message}`, context);
+      }
+    },
+  };
+
+  // Registered bundles by lowercase locale tag
+  const bundles = new Map();
+
+  // Plural rules by locale
+  const pluralRules = new Map();
+
+  let currentLocale = null;
+
+  /**
+   * Register a locale bundle
+   * Registering a locale again merges the new messages into it.
+   * @param {string} locale - BCP 47 language tag, such as "es" or "es-MX"
+   * @param {Object} messages - Messages, nested by namespace ("contact", "validation", ...)
+   */
+  function register(locale, messages) {
+    const tag = String(locale).toLowerCase();
+    const existing = bundles.get(tag) || {};
+    const merged = { ...existing };
+
+    Object.keys(messages).forEach((namespace) => {
+      merged[namespace] = { ...existing[namespace], ...messages[namespace] };
+    });
+
+    bundles.set(tag, merged);
+  }
+
+  /**
+   * Match a language tag to a registered bundle
+   * @param {string} locale - Language tag
+   * @returns {string|null} - Registered tag, its base language, or null if neither is registered
+   */
+  function resolve(locale) {
+    if (!locale) {
+      return null;
+    }
+
+    const tag = String(locale).toLowerCase().replace('_', '-');
+    if (bundles.has(tag)) {
+      return tag;
+    }
+
+    const [language] = tag.split('-');
+    return bundles.has(language) ? language : null;
+  }
+
+  /**
+   * Get the saved locale choice
+   * @returns {string|null} - Saved language tag
+   */
+  function getSavedLocale() {
+    try {
+      return window.localStorage.getItem(CONFIG.storageKey);
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the current locale
+   * @returns {string} - Registered language tag
+   */
+  function getLocale() {
+    if (!currentLocale) {
+      currentLocale =
+        resolve(getSavedLocale()) || resolve(document.documentElement.lang) || CONFIG.defaultLocale;
+    }
+
+    return currentLocale;
+  }
+
+  /**
+   * Switch to another locale and remember the choice
+   * Dispatches `i18n:change` on the document with `{ locale }`, so scripts
+   * can redraw text they have already rendered.
+   * @param {string} locale - Language tag
+   * @returns {boolean} - True if a bundle for the locale is registered
+   */
+  function setLocale(locale) {
+    const resolved = resolve(locale);
+    if (!resolved) {
+      Logger.warn('No bundle for locale', { locale });
+      return false;
+    }
+
+    try {
+      window.localStorage.setItem(CONFIG.storageKey, resolved);
+    } catch (_error) {
+      // The choice then only lasts for this page view
+    }
+
+    if (resolved !== getLocale()) {
+      currentLocale = resolved;
+      document.dispatchEvent(new CustomEvent('i18n:change', { detail: { locale: resolved } }));
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the registered locales
+   * @returns {Array<string>} - Language tags
+   */
+  function getLocales() {
+    return Array.from(bundles.keys());
+  }
+
+  /**
+   * Find a message in one bundle
+   * @param {string} locale - Registered language tag
+   * @param {string} key - Dotted key, such as "contact.sendButton"
+   * @returns {string|Object|undefined} - Message or plural forms
+   */
+  function lookup(locale, key) {
+    const [namespace, name] = key.split('.');
+    const bundle = bundles.get(locale);
+    return bundle && bundle[namespace] ? bundle[namespace][name] : undefined;
+  }
+
+  /**
+   * Find a message, falling back to the base language and then English
+   * @param {string} key - Dotted key
+   * @returns {{message: (string|Object), locale: string}|null} - Message and the locale it came from
+   */
+  function find(key) {
+    const locale = getLocale();
+    const candidates = [locale, locale.split('-')[0], CONFIG.defaultLocale];
+
+    for (const candidate of candidates) {
+      const message = lookup(candidate, key);
+      if (message !== undefined) {
+        return { message, locale: candidate };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a message exists in the current locale or English
+   * @param {string} key - Dotted key
+   * @returns {boolean} - True if the key can be translated
+   */
+  function has(key) {
+    return find(key) !== null;
+  }
+
+  /**
+   * Pick the plural form of a message
+   * @param {Object} forms - Messages keyed by plural category
+   * @param {string} locale - Locale the message came from
+   * @param {Object} values - Placeholder values
+   * @returns {string} - Message template
+   */
+  function selectPlural(forms, locale, values) {
+    const count = typeof values.count === 'number' ? values.count : Object.values(values).find((value) => typeof value === 'number');
+
+    if (typeof count !== 'number') {
+      return forms.other;
+    }
+
+    if (!pluralRules.has(locale)) {
+      pluralRules.set(locale, new Intl.PluralRules(locale));
+    }
+
+    return forms[pluralRules.get(locale).select(count)] || forms.other;
+  }
+
+  /**
+   * Replace {placeholders} in a message
+   * @param {string} template - Message template
+   * @param {Object} values - Placeholder values
+   * @returns {string} - Formatted message
+   */
+  function formatMessage(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+      Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : match
+    );
+  }
+
+  /**
+   * Translate a message
+   * @param {string} key - Dotted key, such as "contact.sendButton"
+   * @param {Object} [values] - Placeholder values
+   * @returns {string} - Message in the current locale; the key itself if no bundle has it
+   */
+  function t(key, values = {}) {
+    const found = find(key);
+
+    if (!found) {
+      Logger.warn('Missing message', { key, locale: getLocale() });
+      return key;
+    }
+
+    const template =
+      typeof found.message === 'string' ? found.message : selectPlural(found.message, found.locale, values);
+
+    return formatMessage(template, values);
+  }
+
+  /**
+   * Connect language selectors marked with `data-locale-switcher`
+   * They are hidden in the markup, since they need JavaScript.
+   */
+  function initSwitchers() {
+    document.querySelectorAll(CONFIG.switcherSelector).forEach((element) => {
+      const select = element.tagName === 'SELECT' ? element : element.querySelector('select');
+      if (!select) {
+        return;
+      }
+
+      select.value = getLocale();
+      select.addEventListener('change', () => setLocale(select.value));
+      element.hidden = false;
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initSwitchers);
+  } else {
+    initSwitchers();
+  }
+
+  window.I18n = {
+    register,
+    t,
+    has,
+    getLocale,
+    setLocale,
+    getLocales,
+  };
+})();
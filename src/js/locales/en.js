@@ -0,0 +1,130 @@
+/**
+ * English messages
+ * The fallback bundle: every key used by the site's scripts is defined here.
+ */
+
+(function () {
+  'use strict';
+
+  window.I18n.register('en', {
+    validation: {
+      required: 'This field is required',
+      choose: 'Please choose an option',
+      checked: 'Please tick this box to continue',
+      email: 'Please enter a valid email address',
+      minlength: {
+        one: 'Please enter at least {min} character',
+        other: 'Please enter at least {min} characters',
+      },
+      maxlength: {
+        one: 'This field must not exceed {max} character',
+        other: 'This field must not exceed {max} characters',
+      },
+      pattern: 'Please check the format of this field',
+      option: 'Please choose an option',
+      date: 'Please check the format of this field',
+      dateInPast: 'Please choose a date that is not in the past',
+      dateInFuture: 'Please choose a date that is not in the future',
+      remote: 'This value was not accepted',
+    },
+    contact: {
+      emailSuggestion: 'Did you mean {email}?',
+      emailSuggestionApplied: 'Email address changed to {email}',
+      invalidPhone: 'Please enter a valid phone number',
+      invalidPhoneForCountry: 'Please enter a valid {country} phone number',
+      phoneTooShort: 'This number is too short for {country}',
+      phoneTooLong: 'This number is too long for {country}',
+      unknownCountryCode: 'We do not recognize that country code. Please choose your country from the list.',
+      nameTooShort: {
+        one: 'Name must be at least {min} character long',
+        other: 'Name must be at least {min} characters long',
+      },
+      nameTooLong: 'Name must not exceed {max} characters',
+      messageTooShort: {
+        one: 'Message must be at least {min} character long',
+        other: 'Message must be at least {min} characters long',
+      },
+      messageTooLong: 'Message must not exceed {max} characters',
+      consentRequired: 'Please agree to the privacy policy so we can store your details',
+      errorSummaryTitle: 'There is a problem',
+      submitSuccess: 'Thank you for your message! We will get back to you soon.',
+      submitError: 'Sorry, there was an error submitting your form. Please try again or contact us directly.',
+      networkError: 'Network error. Please check your connection and try again.',
+      fieldErrors: 'Please correct the highlighted fields and try again.',
+      rateLimited: 'You have sent several messages in a short time. Please try again in {wait}.',
+      rateLimitedNoDelay: 'You have sent several messages in a short time. Please try again later.',
+      serverError:
+        'Our server is having trouble right now. Please try again in a few minutes or call us at +1 (555) 123-4567.',
+      submitQueued: "You appear to be offline. Your message has been saved and will be sent when you're back online.",
+      queuedSent: 'Your saved message has now been sent. We will get back to you soon.',
+      queuedRejected: 'Your saved message could not be sent. Please check it and submit the form again.',
+      waitSeconds: {
+        one: '{count} second',
+        other: '{count} seconds',
+      },
+      waitMinutes: {
+        one: '{count} minute',
+        other: '{count} minutes',
+      },
+      draftFound: 'You have an unsent message from a previous visit.',
+      draftRestore: 'Restore draft',
+      draftDiscard: 'Discard',
+      starterInfo: "Hi, I'm interested in the {product}. Could you tell me more about it?",
+      starterQuote: "Hi, I'd like a quote for the {product}. Please let me know the price and availability.",
+      sendButton: 'Send Message',
+      sending: 'Sending...',
+      retrying: 'Retrying ({attempt} of {total})...',
+      preparingPhotos: 'Preparing photos...',
+      uploading: 'Uploading photos ({percent}%)...',
+      uploadProgress: 'Photo upload progress',
+      cancelButton: 'Cancel sending',
+      submitCancelled: 'Sending was cancelled. Your message is still in the form, so you can try again.',
+      submitTimeout: 'The server took too long to respond. Please try again in a moment.',
+    },
+    photos: {
+      invalidType: '{name} is not a supported photo. Please use JPEG, PNG, HEIC or WebP.',
+      fileTooLarge: '{name} is larger than {max}.',
+      tooManyFiles: 'You can attach up to {max} photos.',
+      totalTooLarge: 'Photos can be at most {max} in total.',
+      removePhoto: 'Remove {name}',
+      noPreview: 'No preview',
+      photosAttached: '{count} of {max} photos attached.',
+      photoRemoved: '{name} removed. {count} of {max} photos attached.',
+    },
+    phone: {
+      countryLabel: 'Country code',
+    },
+    newsletter: {
+      subscribe: 'Subscribe',
+      subscribing: 'Subscribing...',
+      pending: 'Almost done! We sent a confirmation link to {email}. Open it to start receiving the newsletter.',
+      subscribed: "You're subscribed. Thanks for joining!",
+      alreadySubscribed: '{email} is already subscribed.',
+      error: "We couldn't subscribe you right now. Please try again later.",
+      networkError: 'Could not reach the server. Please check your connection and try again.',
+      timeout: 'The server took too long to respond. Please try again in a moment.',
+      rateLimited: 'Too many attempts. Please wait a few minutes and try again.',
+      consentRequired: 'Please agree to the privacy policy to subscribe',
+      confirmTitle: 'Newsletter subscription',
+      confirming: 'Confirming your subscription...',
+      confirmed: 'Your subscription is confirmed. Welcome to the newsletter!',
+      confirmExpired: 'This confirmation link has expired. Please subscribe again to get a new one.',
+      confirmInvalid: 'This confirmation link is not valid. Please check the link in your email.',
+      confirmError: "We couldn't confirm your subscription right now. Please try the link again later.",
+    },
+    preferences: {
+      loading: 'Loading your preferences...',
+      managing: 'Managing emails for {email}',
+      saved: 'Your preferences have been saved.',
+      noTopics: 'Choose at least one topic, or unsubscribe from all emails.',
+      unsubscribed: '{email} has been unsubscribed from all emails. Changed your mind?',
+      undo: 'Undo',
+      resubscribe: 'Resubscribe',
+      resubscribed: "Welcome back! You're subscribed again.",
+      linkInvalid: 'This preferences link is not valid. Please use the link in your latest newsletter.',
+      linkExpired: 'This preferences link has expired. Please use the link in your latest newsletter.',
+      error: "We couldn't update your preferences right now. Please try again later.",
+      networkError: 'Could not reach the server. Please check your connection and try again.',
+    },
+  });
+})();
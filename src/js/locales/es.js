@@ -0,0 +1,134 @@
+/**
+ * Spanish messages
+ * Keys missing here fall back to the English bundle.
+ */
+
+(function () {
+  'use strict';
+
+  window.I18n.register('es', {
+    validation: {
+      required: 'Este campo es obligatorio',
+      choose: 'Elige una opción',
+      checked: 'Marca esta casilla para continuar',
+      email: 'Introduce una dirección de correo electrónico válida',
+      minlength: {
+        one: 'Introduce al menos {min} carácter',
+        other: 'Introduce al menos {min} caracteres',
+      },
+      maxlength: {
+        one: 'Este campo no puede superar {max} carácter',
+        other: 'Este campo no puede superar {max} caracteres',
+      },
+      pattern: 'Revisa el formato de este campo',
+      option: 'Elige una opción',
+      date: 'Revisa el formato de este campo',
+      dateInPast: 'Elige una fecha que no esté en el pasado',
+      dateInFuture: 'Elige una fecha que no esté en el futuro',
+      remote: 'Este valor no es válido',
+    },
+    contact: {
+      emailSuggestion: '¿Quisiste decir {email}?',
+      emailSuggestionApplied: 'Correo electrónico cambiado a {email}',
+      invalidPhone: 'Introduce un número de teléfono válido',
+      invalidPhoneForCountry: 'Introduce un número de teléfono válido de {country}',
+      phoneTooShort: 'Este número es demasiado corto para {country}',
+      phoneTooLong: 'Este número es demasiado largo para {country}',
+      unknownCountryCode: 'No reconocemos ese prefijo internacional. Elige tu país en la lista.',
+      nameTooShort: {
+        one: 'El nombre debe tener al menos {min} carácter',
+        other: 'El nombre debe tener al menos {min} caracteres',
+      },
+      nameTooLong: 'El nombre no puede superar {max} caracteres',
+      messageTooShort: {
+        one: 'El mensaje debe tener al menos {min} carácter',
+        other: 'El mensaje debe tener al menos {min} caracteres',
+      },
+      messageTooLong: 'El mensaje no puede superar {max} caracteres',
+      consentRequired: 'Acepta la política de privacidad para que podamos guardar tus datos',
+      errorSummaryTitle: 'Hay un problema',
+      submitSuccess: '¡Gracias por tu mensaje! Te responderemos pronto.',
+      submitError:
+        'Lo sentimos, se produjo un error al enviar el formulario. Inténtalo de nuevo o ponte en contacto con nosotros directamente.',
+      networkError: 'Error de red. Comprueba tu conexión e inténtalo de nuevo.',
+      fieldErrors: 'Corrige los campos marcados e inténtalo de nuevo.',
+      rateLimited: 'Has enviado varios mensajes en poco tiempo. Inténtalo de nuevo dentro de {wait}.',
+      rateLimitedNoDelay: 'Has enviado varios mensajes en poco tiempo. Inténtalo de nuevo más tarde.',
+      serverError:
+        'Nuestro servidor tiene problemas en este momento. Inténtalo de nuevo en unos minutos o llámanos al +1 (555) 123-4567.',
+      submitQueued: 'Parece que no tienes conexión. Hemos guardado tu mensaje y lo enviaremos cuando vuelvas a estar en línea.',
+      queuedSent: 'Tu mensaje guardado ya se ha enviado. Te responderemos pronto.',
+      queuedRejected: 'No hemos podido enviar tu mensaje guardado. Revísalo y vuelve a enviar el formulario.',
+      waitSeconds: {
+        one: '{count} segundo',
+        other: '{count} segundos',
+      },
+      waitMinutes: {
+        one: '{count} minuto',
+        other: '{count} minutos',
+      },
+      draftFound: 'Tienes un mensaje sin enviar de una visita anterior.',
+      draftRestore: 'Recuperar borrador',
+      draftDiscard: 'Descartar',
+      starterInfo: 'Hola, me interesa el producto {product}. ¿Podrían darme más información?',
+      starterQuote: 'Hola, me gustaría un presupuesto para el producto {product}. Indíquenme el precio y la disponibilidad.',
+      sendButton: 'Enviar mensaje',
+      sending: 'Enviando...',
+      retrying: 'Reintentando ({attempt} de {total})...',
+      preparingPhotos: 'Preparando fotos...',
+      uploading: 'Subiendo fotos ({percent} %)...',
+      uploadProgress: 'Progreso de la subida de fotos',
+      cancelButton: 'Cancelar envío',
+      submitCancelled: 'Se canceló el envío. Tu mensaje sigue en el formulario, así que puedes intentarlo de nuevo.',
+      submitTimeout: 'El servidor tardó demasiado en responder. Inténtalo de nuevo en un momento.',
+    },
+    photos: {
+      invalidType: '{name} no es una foto compatible. Usa JPEG, PNG, HEIC o WebP.',
+      fileTooLarge: '{name} ocupa más de {max}.',
+      tooManyFiles: 'Puedes adjuntar hasta {max} fotos.',
+      totalTooLarge: 'Las fotos pueden ocupar como máximo {max} en total.',
+      removePhoto: 'Quitar {name}',
+      noPreview: 'Sin vista previa',
+      photosAttached: {
+        one: '{count} foto adjunta de {max}.',
+        other: '{count} fotos adjuntas de {max}.',
+      },
+      photoRemoved: 'Se quitó {name}. Fotos adjuntas: {count} de {max}.',
+    },
+    phone: {
+      countryLabel: 'Prefijo del país',
+    },
+    newsletter: {
+      subscribe: 'Suscribirse',
+      subscribing: 'Suscribiendo...',
+      pending: '¡Casi listo! Enviamos un enlace de confirmación a {email}. Ábrelo para empezar a recibir el boletín.',
+      subscribed: 'Ya estás suscrito. ¡Gracias por unirte!',
+      alreadySubscribed: '{email} ya está suscrito.',
+      error: 'No pudimos suscribirte en este momento. Inténtalo de nuevo más tarde.',
+      networkError: 'No se pudo conectar con el servidor. Revisa tu conexión e inténtalo de nuevo.',
+      timeout: 'El servidor tardó demasiado en responder. Inténtalo de nuevo en un momento.',
+      rateLimited: 'Demasiados intentos. Espera unos minutos e inténtalo de nuevo.',
+      consentRequired: 'Acepta la política de privacidad para suscribirte',
+      confirmTitle: 'Suscripción al boletín',
+      confirming: 'Confirmando tu suscripción...',
+      confirmed: 'Tu suscripción está confirmada. ¡Bienvenido al boletín!',
+      confirmExpired: 'Este enlace de confirmación ha caducado. Suscríbete de nuevo para recibir uno nuevo.',
+      confirmInvalid: 'Este enlace de confirmación no es válido. Revisa el enlace de tu correo.',
+      confirmError: 'No pudimos confirmar tu suscripción en este momento. Vuelve a abrir el enlace más tarde.',
+    },
+    preferences: {
+      loading: 'Cargando tus preferencias...',
+      managing: 'Gestionando los correos de {email}',
+      saved: 'Tus preferencias se han guardado.',
+      noTopics: 'Elige al menos un tema o cancela la suscripción a todos los correos.',
+      unsubscribed: 'Se canceló la suscripción de {email} a todos los correos. ¿Cambiaste de opinión?',
+      undo: 'Deshacer',
+      resubscribe: 'Volver a suscribirse',
+      resubscribed: '¡Bienvenido de nuevo! Vuelves a estar suscrito.',
+      linkInvalid: 'Este enlace de preferencias no es válido. Usa el enlace de tu boletín más reciente.',
+      linkExpired: 'Este enlace de preferencias ha caducado. Usa el enlace de tu boletín más reciente.',
+      error: 'No pudimos actualizar tus preferencias en este momento. Inténtalo de nuevo más tarde.',
+      networkError: 'No se pudo conectar con el servidor. Revisa tu conexión e inténtalo de nuevo.',
+    },
+  });
+})();
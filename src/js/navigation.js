@@ -1,7 +1,29 @@
 /**
  * Navigation Module
  * Handles mobile menu toggle, smooth scrolling, active section highlighting,
- * and keyboard accessibility for the navigation system.
+ * and keyboard accessibility for the navigation system. On mobile the open
+ * menu is modal: focus stays in it, the rest of the page is inert and does
+ * not scroll.
+ *
+ * The URL hash follows the navigation: clicking a link adds a history entry,
+ * the active section replaces it while scrolling, Back and Forward scroll to
+ * the section in the URL, and a shared link opens at its section.
+ *
+ * With `data-headroom` on the `<nav>`, the navigation hides while the visitor
+ * scrolls down and comes back on scroll up. It stays in view near the top of
+ * the page, while the menu is open and while it has focus. State classes:
+ * `headroom`, `headroom--pinned` / `headroom--unpinned` and
+ * `headroom--top` / `headroom--not-top`.
+ *
+ * The module starts itself with the defaults when the page loads. Pages with
+ * other markup call `Navigation.init(options)` (see DEFAULTS); calling it
+ * again replaces the previous setup.
+ *
+ * Public API (`window.Navigation`):
+ * - `init(options)`: set up (again) with custom selectors, breakpoint and offsets
+ * - `destroy()`: remove every listener, observer and class the module added
+ * - `refresh()`: pick up sections and links added after init
+ * - `openMenu()`, `closeMenu()`, `getActiveSection()`
  * 
  * @module navigation
  */
@@ -11,13 +33,45 @@
 
   // Configuration constants
   const CONFIG = {
-    MOBILE_BREAKPOINT: 768,
-    SCROLL_OFFSET: 100,
     INTERSECTION_THRESHOLD: 0.5,
     SCROLL_DEBOUNCE_DELAY: 100,
     ANIMATION_DURATION: 300,
+    SCROLL_LOCK_CLASS: 'nav-scroll-locked',
+    HEADROOM_CLASSES: ['headroom', 'headroom--pinned', 'headroom--unpinned', 'headroom--top', 'headroom--not-top'],
   };
 
+  // Default options for Navigation.init()
+  const DEFAULTS = {
+    selectors: {
+      nav: 'nav',
+      hamburger: '.hamburger',
+      navMenu: '.nav-menu',
+      navLinks: '.nav-menu a',
+      sections: 'section[id]',
+    },
+    // Below this width the menu is behind the hamburger and opens as a modal
+    mobileBreakpoint: 768,
+    // Scroll position after which the nav counts as scrolled
+    scrollOffset: 100,
+    // Space left above a section scrolled to; null uses the nav height
+    headerOffset: null,
+    // Scroll-spy band, as an IntersectionObserver root margin
+    rootMargin: '-20% 0px -70% 0px',
+    // Auto-hiding header; null follows `data-headroom` on the nav
+    headroom: null,
+    // Distance in px to scroll in one direction before the header hides or shows
+    headroomTolerance: {
+      down: 10,
+      up: 5,
+    },
+  };
+
+  // Options of the current setup
+  let options = mergeOptions();
+
+  // The URL hash is only scrolled to once per page load, not on every init
+  let hasScrolledToInitialHash = false;
+
   // DOM element cache
   const elements = {
     hamburger: null,
@@ -28,39 +82,157 @@
   };
 
   // State management
-  const state = {
-    isMenuOpen: false,
-    activeSection: null,
-    isScrolling: false,
-    scrollTimeout: null,
-  };
+  const state = createState();
+
+  /**
+   * Create the state of a fresh setup
+   * @returns {Object} - State
+   */
+  function createState() {
+    return {
+      isInitialized: false,
+      isMenuOpen: false,
+      activeSection: null,
+      isScrolling: false,
+      scrollTimeout: null,
+      focusTimeout: null,
+      isModal: false,
+      inertElements: [],
+      lockedScrollY: 0,
+      pendingSection: null,
+      isHeadroomEnabled: false,
+      isHeadroomTicking: false,
+      headroomFrame: null,
+      lastScrollY: 0,
+      observer: null,
+      // Aborting these removes the listeners added with their signal
+      listeners: null,
+      linkListeners: null,
+    };
+  }
+
+  /**
+   * Merge options over the defaults
+   * @param {Object} [overrides] - Options, see DEFAULTS
+   * @returns {Object} - Complete options
+   */
+  function mergeOptions(overrides = {}) {
+    return {
+      ...DEFAULTS,
+      ...overrides,
+      selectors: { ...DEFAULTS.selectors, ...overrides.selectors },
+      headroomTolerance: { ...DEFAULTS.headroomTolerance, ...overrides.headroomTolerance },
+    };
+  }
 
   /**
    * Initialize the navigation module
-   * Sets up event listeners and observers
+   * Sets up event listeners and observers. An earlier setup is destroyed
+   * first, so calling this again does not stack listeners.
+   * @param {Object} [overrides] - Options, see DEFAULTS
+   * @returns {boolean} - True if the navigation was set up
    */
-  function init() {
+  function init(overrides = {}) {
+    destroy();
+    options = mergeOptions(overrides);
+
     try {
       cacheElements();
       validateElements();
+      state.isInitialized = true;
       setupEventListeners();
+      bindLinks();
       setupIntersectionObserver();
+      setupHeadroom();
+      scrollToInitialHash();
       updateActiveSection();
       logInfo('Navigation module initialized successfully');
+      return true;
     } catch (error) {
       logError('Failed to initialize navigation module', error);
+      destroy();
+      return false;
     }
   }
 
+  /**
+   * Remove every listener, observer and class the module added
+   * The menu is closed first, which unlocks the page behind it.
+   */
+  function destroy() {
+    if (!state.isInitialized) {
+      return;
+    }
+
+    if (state.isMenuOpen) {
+      state.isMenuOpen = false;
+      updateMenuState();
+    }
+
+    // Missing when init failed part way
+    [state.listeners, state.linkListeners].forEach((controller) => {
+      if (controller) {
+        controller.abort();
+      }
+    });
+
+    if (state.observer) {
+      state.observer.disconnect();
+    }
+
+    clearTimeout(state.scrollTimeout);
+    clearTimeout(state.focusTimeout);
+    window.cancelAnimationFrame(state.headroomFrame);
+
+    elements.navMenu.classList.remove('active');
+    elements.hamburger.setAttribute('aria-expanded', 'false');
+    clearActiveLinks();
+
+    if (elements.nav) {
+      elements.nav.classList.remove('scrolled', ...CONFIG.HEADROOM_CLASSES);
+    }
+
+    Object.keys(elements).forEach((key) => {
+      elements[key] = null;
+    });
+    Object.assign(state, createState());
+
+    logInfo('Navigation module destroyed');
+  }
+
+  /**
+   * Pick up sections and links added since init
+   * Rebinds the links, observes the current sections and updates the active one.
+   * The hamburger, menu and nav are not looked up again; call init() after
+   * replacing them.
+   */
+  function refresh() {
+    if (!state.isInitialized) {
+      return;
+    }
+
+    const { selectors } = options;
+    elements.navLinks = document.querySelectorAll(selectors.navLinks);
+    elements.sections = document.querySelectorAll(selectors.sections);
+
+    bindLinks();
+    setupIntersectionObserver();
+    updateActiveSection();
+
+    logInfo('Navigation module refreshed');
+  }
+
   /**
    * Cache DOM elements for performance
    */
   function cacheElements() {
-    elements.hamburger = document.querySelector('.hamburger');
-    elements.navMenu = document.querySelector('.nav-menu');
-    elements.navLinks = document.querySelectorAll('.nav-menu a');
-    elements.sections = document.querySelectorAll('section[id]');
-    elements.nav = document.querySelector('nav');
+    const { selectors } = options;
+
+    elements.hamburger = document.querySelector(selectors.hamburger);
+    elements.navMenu = document.querySelector(selectors.navMenu);
+    elements.navLinks = document.querySelectorAll(selectors.navLinks);
+    elements.sections = document.querySelectorAll(selectors.sections);
+    elements.nav = document.querySelector(selectors.nav);
   }
 
   /**
@@ -86,29 +258,47 @@
    * Set up all event listeners
    */
   function setupEventListeners() {
-    // Hamburger menu toggle
-    elements.hamburger.addEventListener('click', handleMenuToggle);
+    state.listeners = new AbortController();
+    const { signal } = state.listeners;
 
-    // Navigation link clicks
-    elements.navLinks.forEach((link) => {
-      link.addEventListener('click', handleLinkClick);
-    });
+    // Hamburger menu toggle
+    elements.hamburger.addEventListener('click', handleMenuToggle, { signal });
 
     // Close menu on escape key
-    document.addEventListener('keydown', handleEscapeKey);
+    document.addEventListener('keydown', handleEscapeKey, { signal });
 
     // Close menu when clicking outside
-    document.addEventListener('click', handleOutsideClick);
+    document.addEventListener('click', handleOutsideClick, { signal });
 
     // Handle window resize
-    window.addEventListener('resize', handleResize);
+    window.addEventListener('resize', handleResize, { signal });
 
     // Handle scroll for sticky navigation
-    window.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('scroll', handleScroll, { passive: true, signal });
+
+    // Scroll to the section in the URL on Back and Forward
+    window.addEventListener('popstate', handlePopState, { signal });
+  }
+
+  /**
+   * Set up the navigation link listeners, replacing earlier ones
+   */
+  function bindLinks() {
+    if (state.linkListeners) {
+      state.linkListeners.abort();
+    }
+
+    state.linkListeners = new AbortController();
+    const { signal } = state.linkListeners;
+
+    // Navigation link clicks
+    elements.navLinks.forEach((link) => {
+      link.addEventListener('click', handleLinkClick, { signal });
+    });
 
     // Keyboard navigation support
     elements.navLinks.forEach((link, index) => {
-      link.addEventListener('keydown', (e) => handleKeyboardNavigation(e, index));
+      link.addEventListener('keydown', (e) => handleKeyboardNavigation(e, index), { signal });
     });
   }
 
@@ -130,20 +320,151 @@
     elements.navMenu.classList.toggle('active', state.isMenuOpen);
     elements.hamburger.setAttribute('aria-expanded', state.isMenuOpen.toString());
 
-    // Prevent body scroll when menu is open on mobile
-    if (window.innerWidth < CONFIG.MOBILE_BREAKPOINT) {
-      document.body.style.overflow = state.isMenuOpen ? 'hidden' : '';
+    if (state.isMenuOpen) {
+      pinHeader();
+    }
+
+    // The open mobile menu is modal: the page behind it is locked
+    if (state.isMenuOpen && window.innerWidth < options.mobileBreakpoint) {
+      enterModalMode();
+    } else if (!state.isMenuOpen) {
+      exitModalMode();
     }
 
     // Focus management
+    clearTimeout(state.focusTimeout);
     if (state.isMenuOpen) {
       const firstLink = elements.navLinks[0];
       if (firstLink) {
-        setTimeout(() => firstLink.focus(), CONFIG.ANIMATION_DURATION);
+        state.focusTimeout = setTimeout(() => firstLink.focus(), CONFIG.ANIMATION_DURATION);
+      }
+    }
+  }
+
+  /**
+   * Make the open mobile menu modal
+   * Locks scrolling, marks the rest of the page inert and keeps Tab inside
+   * the menu and hamburger.
+   */
+  function enterModalMode() {
+    if (state.isModal) {
+      return;
+    }
+
+    state.isModal = true;
+    lockScroll();
+    setPageInert(true);
+    document.addEventListener('keydown', handleFocusTrap);
+  }
+
+  /**
+   * Leave modal mode and return focus to the hamburger
+   */
+  function exitModalMode() {
+    if (!state.isModal) {
+      return;
+    }
+
+    state.isModal = false;
+    document.removeEventListener('keydown', handleFocusTrap);
+    setPageInert(false);
+    unlockScroll();
+    elements.hamburger.focus({ preventScroll: true });
+  }
+
+  /**
+   * Mark everything outside the menu and hamburger inert, or undo it
+   * Walks up from both to the body, marking the siblings that contain neither.
+   * Elements that were already inert are left alone.
+   * @param {boolean} isInert - True to mark the page inert
+   */
+  function setPageInert(isInert) {
+    if (!isInert) {
+      state.inertElements.forEach((element) => element.removeAttribute('inert'));
+      state.inertElements = [];
+      return;
+    }
+
+    const kept = [elements.hamburger, elements.navMenu];
+
+    kept.forEach((element) => {
+      let node = element;
+
+      while (node.parentElement && node !== document.body) {
+        Array.from(node.parentElement.children).forEach((sibling) => {
+          const containsKept = kept.some((keptElement) => sibling.contains(keptElement));
+
+          if (!containsKept && !sibling.hasAttribute('inert')) {
+            sibling.setAttribute('inert', '');
+            state.inertElements.push(sibling);
+          }
+        });
+        node = node.parentElement;
       }
+    });
+  }
+
+  /**
+   * Keep Tab focus cycling between the hamburger and the menu links
+   * Backs up `inert`, which older browsers ignore.
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  function handleFocusTrap(event) {
+    if (event.key !== 'Tab') {
+      return;
+    }
+
+    const focusable = [elements.hamburger, ...elements.navLinks];
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+
+    if (!focusable.includes(active)) {
+      event.preventDefault();
+      first.focus();
+    } else if (event.shiftKey && active === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && active === last) {
+      event.preventDefault();
+      first.focus();
     }
   }
 
+  /**
+   * Stop the page from scrolling behind the menu
+   * `overflow: hidden` on the body is ignored by iOS Safari, so the body is
+   * fixed in place at the current scroll position instead.
+   */
+  function lockScroll() {
+    state.lockedScrollY = window.scrollY;
+    document.body.style.top = `-${state.lockedScrollY}px`;
+    document.body.classList.add(CONFIG.SCROLL_LOCK_CLASS);
+  }
+
+  /**
+   * Let the page scroll again, back at the position it was locked at
+   */
+  function unlockScroll() {
+    document.body.classList.remove(CONFIG.SCROLL_LOCK_CLASS);
+    document.body.style.top = '';
+
+    // Jump straight back rather than smooth scrolling from the top
+    jumpTo(state.lockedScrollY);
+  }
+
+  /**
+   * Scroll to a position without the smooth scrolling set on the page
+   * @param {number} top - Scroll position
+   */
+  function jumpTo(top) {
+    const root = document.documentElement;
+
+    root.style.scrollBehavior = 'auto';
+    window.scrollTo(0, top);
+    root.style.scrollBehavior = '';
+  }
+
   /**
    * Handle navigation link clicks
    * @param {Event} event - Click event
@@ -178,17 +499,28 @@
 
     // Update active state
     updateActiveLink(link);
+    pushSectionHash(targetId);
 
     logInfo(`Navigated to section: ${targetId}`);
   }
 
   /**
    * Scroll to a section with offset for fixed navigation
+   * Until the scroll ends, the scroll-spy leaves the URL alone.
    * @param {HTMLElement} section - Target section element
+   * @param {boolean} [smooth=true] - Smooth scroll, or jump straight there
    */
-  function scrollToSection(section) {
+  function scrollToSection(section, smooth = true) {
     const navHeight = elements.nav ? elements.nav.offsetHeight : 0;
-    const targetPosition = section.offsetTop - navHeight;
+    const targetPosition = section.offsetTop - (options.headerOffset ?? navHeight);
+
+    // No scroll event follows when the section is already in place
+    state.pendingSection = Math.abs(window.scrollY - targetPosition) > 1 ? section.id : null;
+
+    if (!smooth) {
+      jumpTo(targetPosition);
+      return;
+    }
 
     window.scrollTo({
       top: targetPosition,
@@ -196,6 +528,95 @@
     });
   }
 
+  /**
+   * Find the section a URL hash points to
+   * @param {string} hash - URL hash, with the leading #
+   * @returns {HTMLElement|null} - Section, or null if the hash is not a section
+   */
+  function getSectionFromHash(hash) {
+    let id;
+
+    try {
+      id = decodeURIComponent(hash.substring(1));
+    } catch (_error) {
+      return null;
+    }
+
+    return Array.from(elements.sections).find((section) => section.id === id) || null;
+  }
+
+  /**
+   * Build the page URL for a section, keeping the current path and query
+   * @param {string|null} sectionId - Section ID, or null for no hash
+   * @returns {string} - URL
+   */
+  function getSectionUrl(sectionId) {
+    const hash = sectionId ? `#${encodeURIComponent(sectionId)}` : '';
+    return `${window.location.pathname}${window.location.search}${hash}`;
+  }
+
+  /**
+   * Add a history entry for a section the visitor navigated to
+   * @param {string} sectionId - Section ID
+   */
+  function pushSectionHash(sectionId) {
+    const url = getSectionUrl(sectionId);
+
+    if (url !== getSectionUrl(null) + window.location.hash) {
+      window.history.pushState(null, '', url);
+    }
+  }
+
+  /**
+   * Point the current history entry at the section scrolled to
+   * At the top of the page the hash is dropped, so plain visits keep a clean URL.
+   * @param {string} sectionId - Section ID
+   */
+  function replaceSectionHash(sectionId) {
+    const url = getSectionUrl(window.scrollY < options.scrollOffset ? null : sectionId);
+
+    if (url !== getSectionUrl(null) + window.location.hash) {
+      window.history.replaceState(window.history.state, '', url);
+    }
+  }
+
+  /**
+   * Scroll to the section in the URL when the page loads
+   * The browser's own jump ignores the fixed navigation, which covers the heading.
+   */
+  function scrollToInitialHash() {
+    if (hasScrolledToInitialHash) {
+      return;
+    }
+
+    const section = getSectionFromHash(window.location.hash);
+    hasScrolledToInitialHash = true;
+
+    if (section) {
+      scrollToSection(section, false);
+      updateActiveSectionById(section.id);
+    }
+  }
+
+  /**
+   * Scroll to the section in the URL after Back or Forward
+   */
+  function handlePopState() {
+    const section = getSectionFromHash(window.location.hash);
+
+    if (state.isMenuOpen) {
+      state.isMenuOpen = false;
+      updateMenuState();
+    }
+
+    if (section) {
+      scrollToSection(section);
+      updateActiveSectionById(section.id);
+    } else if (!window.location.hash) {
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+  }
+
   /**
    * Handle escape key to close mobile menu
    * @param {KeyboardEvent} event - Keyboard event
@@ -233,41 +654,110 @@
    */
   function handleResize() {
     // Close mobile menu when resizing to desktop
-    if (window.innerWidth >= CONFIG.MOBILE_BREAKPOINT && state.isMenuOpen) {
+    if (window.innerWidth >= options.mobileBreakpoint && state.isMenuOpen) {
       state.isMenuOpen = false;
       updateMenuState();
     }
-
-    // Reset body overflow
-    if (window.innerWidth >= CONFIG.MOBILE_BREAKPOINT) {
-      document.body.style.overflow = '';
-    }
   }
 
   /**
    * Handle scroll events for sticky navigation
    */
   function handleScroll() {
-    if (!elements.nav) {
+    // The scroll position reads 0 while the menu locks it
+    if (!elements.nav || state.isModal) {
       return;
     }
 
     // Add scrolled class for styling
-    if (window.scrollY > CONFIG.SCROLL_OFFSET) {
+    if (window.scrollY > options.scrollOffset) {
       elements.nav.classList.add('scrolled');
     } else {
       elements.nav.classList.remove('scrolled');
     }
 
+    // Update the auto-hiding header once per frame
+    if (state.isHeadroomEnabled && !state.isHeadroomTicking) {
+      state.isHeadroomTicking = true;
+      state.headroomFrame = window.requestAnimationFrame(updateHeadroom);
+    }
+
     // Debounce scroll event for performance
     clearTimeout(state.scrollTimeout);
     state.scrollTimeout = setTimeout(() => {
       state.isScrolling = false;
+      state.pendingSection = null;
     }, CONFIG.SCROLL_DEBOUNCE_DELAY);
 
     state.isScrolling = true;
   }
 
+  /**
+   * Set up the auto-hiding header when the options or the nav ask for it
+   */
+  function setupHeadroom() {
+    const isEnabled = options.headroom ?? (elements.nav !== null && elements.nav.hasAttribute('data-headroom'));
+
+    if (!elements.nav || !isEnabled) {
+      return;
+    }
+
+    state.isHeadroomEnabled = true;
+    state.lastScrollY = window.scrollY;
+    elements.nav.classList.add('headroom');
+    elements.nav.addEventListener('focusin', pinHeader, { signal: state.listeners.signal });
+    updateHeadroom();
+
+    logInfo('Auto-hiding header enabled');
+  }
+
+  /**
+   * Hide or show the header for the distance scrolled since it last changed
+   * Scrolling less than the tolerance in one direction changes nothing, so
+   * small movements and the bounce at the page ends do not make it flicker.
+   */
+  function updateHeadroom() {
+    state.isHeadroomTicking = false;
+
+    const scrollY = Math.max(window.scrollY, 0);
+    const distance = scrollY - state.lastScrollY;
+    const isTop = scrollY <= options.scrollOffset;
+
+    elements.nav.classList.toggle('headroom--top', isTop);
+    elements.nav.classList.toggle('headroom--not-top', !isTop);
+
+    if (isTop || state.isMenuOpen || elements.nav.contains(document.activeElement)) {
+      pinHeader();
+      state.lastScrollY = scrollY;
+    } else if (distance > options.headroomTolerance.down) {
+      unpinHeader();
+      state.lastScrollY = scrollY;
+    } else if (distance < -options.headroomTolerance.up) {
+      pinHeader();
+      state.lastScrollY = scrollY;
+    }
+  }
+
+  /**
+   * Show the auto-hiding header
+   */
+  function pinHeader() {
+    if (!state.isHeadroomEnabled) {
+      return;
+    }
+
+    elements.nav.classList.add('headroom--pinned');
+    elements.nav.classList.remove('headroom--unpinned');
+  }
+
+  /**
+   * Hide the auto-hiding header
+   */
+  function unpinHeader() {
+    elements.nav.classList.add('headroom--unpinned');
+    elements.nav.classList.remove('headroom--pinned');
+  }
+
   /**
    * Handle keyboard navigation within menu
    * @param {KeyboardEvent} event - Keyboard event
@@ -305,15 +795,21 @@
 
   /**
    * Set up Intersection Observer for active section detection
+   * Replaces the observer of an earlier call.
    */
   function setupIntersectionObserver() {
+    if (state.observer) {
+      state.observer.disconnect();
+      state.observer = null;
+    }
+
     if (!elements.sections || elements.sections.length === 0) {
       return;
     }
 
     const observerOptions = {
       root: null,
-      rootMargin: '-20% 0px -70% 0px',
+      rootMargin: options.rootMargin,
       threshold: CONFIG.INTERSECTION_THRESHOLD,
     };
 
@@ -329,6 +825,7 @@
     elements.sections.forEach((section) => {
       observer.observe(section);
     });
+    state.observer = observer;
 
     logInfo('Intersection Observer initialized for active section detection');
   }
@@ -351,6 +848,11 @@
       }
     });
 
+    // Leave the URL alone while scrolling to a section the visitor chose
+    if (!state.pendingSection) {
+      replaceSectionHash(sectionId);
+    }
+
     logInfo(`Active section updated: ${sectionId}`);
   }
 
@@ -359,13 +861,20 @@
    * @param {HTMLElement} activeLink - Link to mark as active
    */
   function updateActiveLink(activeLink) {
+    clearActiveLinks();
+
+    activeLink.classList.add('active');
+    activeLink.setAttribute('aria-current', 'page');
+  }
+
+  /**
+   * Remove the active styling from every link
+   */
+  function clearActiveLinks() {
     elements.navLinks.forEach((link) => {
       link.classList.remove('active');
       link.removeAttribute('aria-current');
     });
-
-    activeLink.classList.add('active');
-    activeLink.setAttribute('aria-current', 'page');
   }
 
   /**
@@ -420,23 +929,19 @@
     }
   }
 
-  // Initialize when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
-  }
-
   // Expose public API for testing and external access
   window.Navigation = {
+    init,
+    destroy,
+    refresh,
     closeMenu: function () {
-      if (state.isMenuOpen) {
+      if (state.isInitialized && state.isMenuOpen) {
         state.isMenuOpen = false;
         updateMenuState();
       }
     },
     openMenu: function () {
-      if (!state.isMenuOpen) {
+      if (state.isInitialized && !state.isMenuOpen) {
         state.isMenuOpen = true;
         updateMenuState();
       }
@@ -445,4 +950,15 @@
       return state.activeSection;
     },
   };
+
+  // Initialize when DOM is ready, unless the page already did with its own options
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+      if (!state.isInitialized) {
+        init();
+      }
+    });
+  } else {
+    init();
+  }
 })();
\ No newline at end of file
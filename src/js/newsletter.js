@@ -0,0 +1,418 @@
+/**
+ * Newsletter Subscription
+ * Submits the footer newsletter form in the background with inline
+ * validation, topic preferences and pending, subscribed, already-subscribed
+ * and error states. Subscriptions use double opt-in: the confirmation email
+ * links to `/subscribe/confirm?token=...`, which this page confirms with the
+ * server. Without JavaScript the form posts to `/subscribe` as usual.
+ *
+ * Request contract: POST `/subscribe` with JSON
+ * `{ email, topics, locale, consent, attribution, website, formElapsedMs, powToken }`
+ * (`consent` from consent.js; `attribution` from attribution.js, null without
+ * consent to it). The server
+ * answers `{ status: 'pending' | 'subscribed' | 'already-subscribed' }`
+ * (409 also means already subscribed), or `{ errors: { email, consent } }` with a 4xx.
+ * Confirmation: POST `/subscribe/confirm` with `{ token }`; 410 means the
+ * link expired, 400 or 404 that it is not valid.
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Configuration object for the newsletter form
+   */
+  const CONFIG = {
+    formSelector: '.newsletter-form',
+    confirmationSelector: '.newsletter-confirmation',
+    confirmPath: '/subscribe/confirm',
+    tokenParam: 'token',
+    timeout: 10000,
+  };
+
+  /**
+   * Logger utility for structured logging
+   */
+  const Logger = {
+    warn(message, context = {}) {
+      if (typeof console !== 'undefined' && console.warn) {
+        console.warn(`[Newsletter] ${message}`, context);
+      }
+    },
+    error(message, error, context = {}) {
+      if (typeof console !== 'undefined' && console.error) {
+        console.error(`[Newsletter] ${message}`, { error, ...context });
+      }
+    },
+  };
+
+  // DOM element references
+  const elements = {
+    form: null,
+    emailInput: null,
+    consentInput: null,
+    topicInputs: [],
+    submitButton: null,
+    status: null,
+    confirmation: null,
+    confirmationTitle: null,
+    confirmationMessage: null,
+  };
+
+  // Form state
+  const state = {
+    validator: null,
+    submitting: false,
+  };
+
+  /**
+   * Get a newsletter message in the current locale
+   * @param {string} key - Message key in the `newsletter` namespace of the locale bundles
+   * @param {Object} [values] - Placeholder values
+   * @returns {string} - Formatted message
+   */
+  function t(key, values = {}) {
+    return window.I18n.t(`newsletter.${key}`, values);
+  }
+
+  /**
+   * Initialize the newsletter form and the confirmation landing state
+   */
+  function init() {
+    cacheElements();
+
+    if (!window.I18n) {
+      Logger.warn('i18n.js is not loaded; the newsletter form submits without JavaScript');
+      return;
+    }
+
+    if (window.location.pathname === CONFIG.confirmPath) {
+      confirmSubscription();
+    }
+
+    if (!elements.form) {
+      return;
+    }
+
+    if (!window.FormValidation) {
+      Logger.warn('form-validation.js is not loaded; the newsletter form submits without JavaScript');
+      return;
+    }
+
+    state.validator = window.FormValidation.attach(elements.form, {
+      handleSubmit: false,
+      // Looked up when shown, so it follows the current locale
+      messages: { consent: { checked: () => t('consentRequired') } },
+    });
+
+    if (window.SpamProtection) {
+      window.SpamProtection.protect(elements.form);
+    }
+
+    elements.form.addEventListener('submit', handleSubmit);
+    document.addEventListener('i18n:change', applyLocale);
+    applyLocale();
+  }
+
+  /**
+   * Cache DOM element references
+   */
+  function cacheElements() {
+    elements.form = document.querySelector(CONFIG.formSelector);
+    elements.confirmation = document.querySelector(CONFIG.confirmationSelector);
+
+    if (elements.confirmation) {
+      elements.confirmationTitle = elements.confirmation.querySelector('h2');
+      elements.confirmationMessage = elements.confirmation.querySelector('p');
+    }
+
+    if (!elements.form) {
+      return;
+    }
+
+    elements.emailInput = elements.form.querySelector('input[type="email"]');
+    elements.topicInputs = Array.from(elements.form.querySelectorAll('input[name="topics"]'));
+    elements.consentInput = elements.form.querySelector('input[name="consent"]');
+    elements.submitButton = elements.form.querySelector('button[type="submit"]');
+    elements.status = elements.form.querySelector('.newsletter-status');
+  }
+
+  /**
+   * Redraw rendered text in the current locale
+   */
+  function applyLocale() {
+    if (elements.submitButton && !state.submitting) {
+      elements.submitButton.textContent = t('subscribe');
+    }
+
+    if (elements.confirmationTitle) {
+      elements.confirmationTitle.textContent = t('confirmTitle');
+    }
+  }
+
+  /**
+   * Validate and submit the form in the background
+   * @param {SubmitEvent} event - Submit event
+   */
+  async function handleSubmit(event) {
+    event.preventDefault();
+
+    if (state.submitting) {
+      return;
+    }
+
+    // Claimed before validation, so a double click sends one request
+    state.submitting = true;
+    hideStatus();
+
+    try {
+      const { valid, invalidFields } = await state.validator.validateAll();
+      if (!valid) {
+        invalidFields[0].focus();
+        return;
+      }
+
+      const email = elements.emailInput.value.trim();
+      setSubmitting(true);
+
+      const antiSpam = await prepareAntiSpam();
+
+      if (antiSpam.isBot) {
+        // Report success so bots learn nothing from the response
+        Logger.warn('Subscription blocked by spam protection');
+        showStatus(t('pending', { email }), 'success');
+        elements.form.reset();
+        return;
+      }
+
+      const result = await subscribe({
+        email,
+        topics: getTopics(),
+        locale: window.I18n.getLocale(),
+        consent: window.Consent ? window.Consent.getRecord(elements.form) : null,
+        attribution: window.Attribution ? window.Attribution.getData() : null,
+        ...antiSpam.fields,
+      });
+
+      handleResult(result, email);
+    } catch (error) {
+      Logger.error('Subscription request failed', error);
+      showStatus(t(error.name === 'TimeoutError' ? 'timeout' : 'networkError'), 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  /**
+   * Collect anti-spam fields
+   * @returns {Promise<{isBot: boolean, fields: Object}>} - Anti-spam result
+   */
+  function prepareAntiSpam() {
+    if (!window.SpamProtection) {
+      return Promise.resolve({ isBot: false, fields: {} });
+    }
+
+    return window.SpamProtection.prepare(elements.form);
+  }
+
+  /**
+   * Get the selected topics
+   * @returns {Array<string>} - Topic values
+   */
+  function getTopics() {
+    return elements.topicInputs.filter((input) => input.checked).map((input) => input.value);
+  }
+
+  /**
+   * Send a JSON request, giving up after `CONFIG.timeout`
+   * @param {string} url - Endpoint
+   * @param {Object} payload - Request body
+   * @returns {Promise<{ok: boolean, status: number, body: Object}>} - Response status and JSON body
+   * @throws {Error} - `TimeoutError` when the server does not answer in time, or a network error
+   */
+  async function postJson(url, payload) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+        body: JSON.stringify(payload),
+        signal: controller.signal,
+      });
+
+      const contentType = response.headers.get('Content-Type') || '';
+      const body = contentType.includes('application/json') ? await response.json().catch(() => ({})) : {};
+
+      return { ok: response.ok, status: response.status, body: body || {} };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        const timeoutError = new Error(`No response within ${CONFIG.timeout} ms`);
+        timeoutError.name = 'TimeoutError';
+        throw timeoutError;
+      }
+
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Send the subscription
+   * @param {Object} payload - Subscription data
+   * @returns {Promise<Object>} - Response status and JSON body
+   */
+  function subscribe(payload) {
+    return postJson(elements.form.action, payload);
+  }
+
+  /**
+   * Show the outcome of a subscription request
+   * @param {Object} result - Result from subscribe()
+   * @param {string} email - Subscribed address
+   */
+  function handleResult(result, email) {
+    const { status, errors } = result.body;
+
+    if (result.status === 409 || status === 'already-subscribed') {
+      showStatus(t('alreadySubscribed', { email }), 'info');
+      return;
+    }
+
+    if (result.ok) {
+      showStatus(t(status === 'subscribed' ? 'subscribed' : 'pending', { email }), 'success');
+      elements.form.reset();
+      state.validator.reset();
+      return;
+    }
+
+    const fields = [
+      [elements.emailInput, errors && (errors.email || errors[elements.emailInput.name])],
+      [elements.consentInput, errors && errors.consent],
+    ].filter(([field, error]) => field && error);
+
+    if (fields.length > 0) {
+      fields.forEach(([field, error]) => {
+        const message = Array.isArray(error) ? error[0] : error;
+        // Stands until the visitor edits the field
+        field.dataset.serverError = message;
+        window.FormValidation.showFieldError(field, message);
+      });
+      fields[0][0].focus();
+      return;
+    }
+
+    showStatus(t(result.status === 429 ? 'rateLimited' : 'error'), 'error');
+  }
+
+  /**
+   * Confirm a double opt-in subscription from the emailed link
+   * The confirmation is a POST from the page, so link scanners that fetch
+   * the emailed URL do not confirm on the visitor's behalf. The token is
+   * removed from the address bar, so reloading does not send it again.
+   */
+  async function confirmSubscription() {
+    const token = new URLSearchParams(window.location.search).get(CONFIG.tokenParam);
+
+    window.history.replaceState(window.history.state, '', `/${window.location.hash}`);
+
+    if (!token) {
+      showConfirmation(t('confirmInvalid'), 'error');
+      return;
+    }
+
+    showConfirmation(t('confirming'), 'info');
+
+    try {
+      const result = await postJson(CONFIG.confirmPath, { token });
+
+      if (result.ok) {
+        showConfirmation(t('confirmed'), 'success');
+      } else if (result.status === 410) {
+        showConfirmation(t('confirmExpired'), 'error');
+      } else if (result.status === 400 || result.status === 404) {
+        showConfirmation(t('confirmInvalid'), 'error');
+      } else {
+        showConfirmation(t('confirmError'), 'error');
+      }
+    } catch (error) {
+      Logger.error('Subscription confirmation failed', error);
+      showConfirmation(t('confirmError'), 'error');
+    }
+  }
+
+  /**
+   * Show the confirmation landing state at the top of the page
+   * Focus moves to it the first time, so screen reader users hear it first.
+   * @param {string} message - Message text
+   * @param {string} type - 'info', 'success' or 'error'
+   */
+  function showConfirmation(message, type) {
+    const container = elements.confirmation;
+    if (!container) {
+      return;
+    }
+
+    const firstShow = container.hidden;
+
+    container.classList.remove('info', 'success', 'error');
+    container.classList.add(type);
+    elements.confirmationTitle.textContent = t('confirmTitle');
+    elements.confirmationMessage.textContent = message;
+    container.hidden = false;
+
+    if (firstShow) {
+      container.focus();
+    }
+  }
+
+  /**
+   * Show a status message below the form
+   * @param {string} message - Message text
+   * @param {string} type - 'info', 'success' or 'error'
+   */
+  function showStatus(message, type) {
+    if (!elements.status) {
+      return;
+    }
+
+    elements.status.classList.remove('info', 'success', 'error');
+    elements.status.classList.add('visible', type);
+    elements.status.textContent = message;
+  }
+
+  /**
+   * Hide the status message
+   */
+  function hideStatus() {
+    if (elements.status) {
+      elements.status.classList.remove('visible', 'info', 'success', 'error');
+      elements.status.textContent = '';
+    }
+  }
+
+  /**
+   * Disable the form while a subscription is sent
+   * @param {boolean} submitting - True while sending
+   */
+  function setSubmitting(submitting) {
+    state.submitting = submitting;
+    elements.form.setAttribute('aria-busy', String(submitting));
+
+    if (elements.submitButton) {
+      elements.submitButton.disabled = submitting;
+      elements.submitButton.textContent = submitting ? t('subscribing') : t('subscribe');
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,438 @@
+/**
+ * International Phone Input
+ * Adds a country-code selector to a phone field, formats the number as the
+ * visitor types and parses it into E.164 using the bundled per-country rules
+ * from `phone-metadata.js`.
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Configuration object for phone inputs
+   */
+  const CONFIG = {
+    defaultCountry: 'US',
+    selectClass: 'phone-country',
+  };
+
+  /**
+   * Get the bundled country metadata
+   * @returns {Object} - Metadata keyed by country code
+   */
+  function getCountries() {
+    return (window.PhoneMetadata && window.PhoneMetadata.countries) || {};
+  }
+
+  /**
+   * Get the metadata for one country
+   * @param {string} code - ISO 3166-1 alpha-2 code
+   * @returns {Object|null} - Country metadata, or null if it is not bundled
+   */
+  function getCountry(code) {
+    const countries = getCountries();
+    return Object.prototype.hasOwnProperty.call(countries, code) ? countries[code] : null;
+  }
+
+  /**
+   * Read the region of a language tag
+   * Tags without a region (such as "de") use their likely region.
+   * @param {string} language - BCP 47 language tag
+   * @returns {string|null} - Region code, or null if unknown
+   */
+  function getRegion(language) {
+    if (!language) {
+      return null;
+    }
+
+    if (typeof Intl !== 'undefined' && typeof Intl.Locale === 'function') {
+      try {
+        const locale = new Intl.Locale(language);
+        return locale.region || locale.maximize().region || null;
+      } catch (_error) {
+        // Fall through to the pattern below for malformed tags
+      }
+    }
+
+    const match = /[-_]([a-z]{2})(?:[-_]|$)/i.exec(language);
+    return match ? match[1].toUpperCase() : null;
+  }
+
+  /**
+   * Pick the default country from the browser languages
+   * @returns {string} - Country code
+   */
+  function detectCountry() {
+    const languages = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+
+    for (const language of languages) {
+      const region = getRegion(language);
+      if (region && getCountry(region)) {
+        return region;
+      }
+    }
+
+    return CONFIG.defaultCountry;
+  }
+
+  /**
+   * Find the country an international number belongs to
+   * Calling codes are prefix-free, so the first match is the only one. When
+   * several countries share the code, the preferred country wins, then the
+   * country marked `main`.
+   * @param {string} digits - Digits after the "+"
+   * @param {string} preferred - Currently selected country
+   * @returns {string|null} - Country code, or null if no bundled country matches
+   */
+  function findCountryByDialCode(digits, preferred) {
+    const countries = getCountries();
+
+    for (let length = 1; length <= 3; length++) {
+      const dialCode = digits.slice(0, length);
+      const matches = Object.keys(countries).filter((code) => countries[code].dialCode === dialCode);
+
+      if (matches.length > 0) {
+        if (matches.includes(preferred)) {
+          return preferred;
+        }
+
+        return matches.find((code) => countries[code].main) || matches[0];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Split a typed number into country and national significant number
+   * @param {string} value - Number as typed
+   * @param {string} countryCode - Selected country
+   * @returns {{country: string|null, national: string, international: boolean, trunk: string}}
+   */
+  function split(value, countryCode) {
+    const raw = String(value || '').trim();
+    const international = raw.startsWith('+') || raw.startsWith('00');
+    let digits = raw.replace(/\D/g, '');
+    let code = countryCode;
+
+    if (international) {
+      if (raw.startsWith('00')) {
+        digits = digits.slice(2);
+      }
+
+      code = findCountryByDialCode(digits, countryCode);
+      if (!code) {
+        return { country: null, national: digits, international, trunk: '' };
+      }
+
+      digits = digits.slice(getCountry(code).dialCode.length);
+    }
+
+    const country = getCountry(code);
+    const prefix = country ? country.nationalPrefix : null;
+    let trunk = '';
+
+    // A trunk prefix is also dropped after "+<code>" when the number is too long with it
+    if (prefix && digits.startsWith(prefix) && (!international || !country.lengths.includes(digits.length))) {
+      trunk = prefix;
+      digits = digits.slice(prefix.length);
+    }
+
+    return { country: country ? code : null, national: digits, international, trunk };
+  }
+
+  /**
+   * Parse and validate a phone number
+   * @param {string} value - Number as typed, national or international
+   * @param {string} countryCode - Selected country, used for national numbers
+   * @returns {{valid: boolean, reason: string|null, country: string|null, national: string, e164: string|null}}
+   *   `reason` is one of 'unknown-country', 'too-short', 'too-long', 'invalid-length' or 'invalid-number'
+   */
+  function parse(value, countryCode) {
+    const { country: code, national } = split(value, countryCode);
+    const result = { valid: false, reason: null, country: code, national, e164: null };
+
+    if (!code) {
+      return { ...result, reason: 'unknown-country' };
+    }
+
+    const country = getCountry(code);
+    const minLength = Math.min(...country.lengths);
+    const maxLength = Math.max(...country.lengths);
+
+    if (national.length < minLength) {
+      return { ...result, reason: 'too-short' };
+    }
+
+    if (national.length > maxLength) {
+      return { ...result, reason: 'too-long' };
+    }
+
+    if (!country.lengths.includes(national.length)) {
+      return { ...result, reason: 'invalid-length' };
+    }
+
+    if (country.pattern && !new RegExp(`^(?:${country.pattern})$`).test(national)) {
+      return { ...result, reason: 'invalid-number' };
+    }
+
+    return { ...result, valid: true, e164: `+${country.dialCode}${national}` };
+  }
+
+  /**
+   * Fill a display template with digits
+   * Separators are only added once a digit follows them; digits beyond the
+   * template are appended unformatted.
+   * @param {string} digits - Digits to place
+   * @param {string} template - Template with one "X" per digit
+   * @returns {string} - Formatted digits
+   */
+  function applyTemplate(digits, template) {
+    let output = '';
+    let index = 0;
+    let pending = '';
+
+    for (const char of template) {
+      if (index >= digits.length) {
+        break;
+      }
+
+      if (char === 'X') {
+        output += pending + digits[index];
+        pending = '';
+        index++;
+      } else {
+        pending += char;
+      }
+    }
+
+    return output + digits.slice(index);
+  }
+
+  /**
+   * Pick the display template for a number of digits
+   * @param {Object} country - Country metadata
+   * @param {number} length - Digits typed so far
+   * @returns {string} - Template
+   */
+  function getTemplate(country, length) {
+    const sizeOf = (template) => template.split('X').length - 1;
+    const templates = [...country.formats].sort((a, b) => sizeOf(a) - sizeOf(b));
+
+    return templates.find((template) => sizeOf(template) >= length) || templates[templates.length - 1];
+  }
+
+  /**
+   * Format a number for display
+   * @param {string} value - Number as typed
+   * @param {string} countryCode - Selected country
+   * @returns {{text: string, country: string|null}} - Formatted number and the country it belongs to
+   */
+  function format(value, countryCode) {
+    const { country: code, national, international, trunk } = split(value, countryCode);
+    const country = code ? getCountry(code) : null;
+
+    if (!country) {
+      const digits = String(value || '').replace(/\D/g, '');
+      return { text: international ? `+${digits}` : digits, country: null };
+    }
+
+    const formatted = national ? applyTemplate(national, getTemplate(country, national.length)) : '';
+
+    if (international) {
+      return { text: `+${country.dialCode}${formatted ? ` ${formatted}` : ''}`, country: code };
+    }
+
+    return { text: `${trunk}${formatted}`, country: code };
+  }
+
+  /**
+   * Find the caret position after a number of digits
+   * @param {string} text - Formatted text
+   * @param {number} digitCount - Digits that should precede the caret
+   * @returns {number} - Caret position
+   */
+  function caretAfterDigits(text, digitCount) {
+    if (digitCount === 0) {
+      return text.startsWith('+') ? 1 : 0;
+    }
+
+    let seen = 0;
+    for (let position = 0; position < text.length; position++) {
+      if (/\d/.test(text[position])) {
+        seen++;
+        if (seen === digitCount) {
+          return position + 1;
+        }
+      }
+    }
+
+    return text.length;
+  }
+
+  /**
+   * Phone field enhanced with a country selector
+   */
+  class PhoneField {
+    /**
+     * @param {HTMLInputElement} input - Phone input
+     * @param {Object} [options] - Field options
+     * @param {string} [options.country] - Initial country, detected from the browser locale by default
+     */
+    constructor(input, options = {}) {
+      this.input = input;
+      this.select = this.createSelect(options.country || detectCountry());
+
+      this.handleInput = this.handleInput.bind(this);
+      this.handleBlur = this.handleBlur.bind(this);
+      this.handleCountryChange = this.handleCountryChange.bind(this);
+
+      this.input.addEventListener('input', this.handleInput);
+      this.input.addEventListener('blur', this.handleBlur);
+      this.select.addEventListener('change', this.handleCountryChange);
+    }
+
+    /**
+     * Create the country selector in front of the input
+     * @param {string} initialCountry - Country to select
+     * @returns {HTMLSelectElement} - Selector
+     */
+    createSelect(initialCountry) {
+      const countries = getCountries();
+      const selected = getCountry(initialCountry) ? initialCountry : CONFIG.defaultCountry;
+      const select = document.createElement('select');
+      select.className = CONFIG.selectClass;
+      select.name = `${this.input.name}Country`;
+      select.setAttribute('aria-label', window.I18n ? window.I18n.t('phone.countryLabel') : 'Country code');
+      select.setAttribute('autocomplete', 'tel-country-code');
+
+      Object.keys(countries)
+        .sort((a, b) => countries[a].name.localeCompare(countries[b].name))
+        .forEach((code) => {
+          const option = document.createElement('option');
+          option.value = code;
+          option.textContent = `${countries[code].name} (+${countries[code].dialCode})`;
+          // Marked as default so a form reset returns to it
+          option.defaultSelected = code === selected;
+          select.appendChild(option);
+        });
+
+      this.input.before(select);
+      return select;
+    }
+
+    /**
+     * Reformat while typing or pasting
+     * Deletions are left alone, so backspacing over a separator works as
+     * expected; the number is tidied up on blur instead.
+     * @param {InputEvent} event - Input event
+     */
+    handleInput(event) {
+      if (event.inputType && !event.inputType.startsWith('insert')) {
+        return;
+      }
+
+      this.reformat(true);
+    }
+
+    /**
+     * Reformat once the visitor leaves the field
+     */
+    handleBlur() {
+      this.reformat(false);
+    }
+
+    /**
+     * Reformat for the newly selected country
+     */
+    handleCountryChange() {
+      this.reformat(false);
+    }
+
+    /**
+     * Format the current value, keeping the caret after the same digit
+     * @param {boolean} keepCaret - Restore the caret position
+     */
+    reformat(keepCaret) {
+      const { value } = this.input;
+      if (value.trim() === '') {
+        return;
+      }
+
+      const caret = this.input.selectionStart === null ? value.length : this.input.selectionStart;
+      const digitsBeforeCaret = value.slice(0, caret).replace(/\D/g, '').length;
+      const { text, country } = format(value, this.select.value);
+
+      // "+<code>" picks the matching country
+      if (country && country !== this.select.value) {
+        this.select.value = country;
+      }
+
+      if (text === value) {
+        return;
+      }
+
+      this.input.value = text;
+
+      if (keepCaret && document.activeElement === this.input) {
+        const position = caretAfterDigits(text, digitsBeforeCaret);
+        this.input.setSelectionRange(position, position);
+      }
+    }
+
+    /**
+     * Get the selected country
+     * @returns {string} - Country code
+     */
+    getCountry() {
+      return this.select.value;
+    }
+
+    /**
+     * Get the display name of a country
+     * @param {string} [code] - Country code, the selected country by default
+     * @returns {string} - Country name
+     */
+    getCountryName(code = this.select.value) {
+      const country = getCountry(code);
+      return country ? country.name : code;
+    }
+
+    /**
+     * Parse the current value
+     * @returns {Object} - Result of PhoneInput.parse
+     */
+    parse() {
+      return parse(this.input.value, this.select.value);
+    }
+
+    /**
+     * Enable or disable the country selector
+     * @param {boolean} disabled - True to disable
+     */
+    setDisabled(disabled) {
+      this.select.disabled = disabled;
+    }
+  }
+
+  /**
+   * Enhance a phone input
+   * @param {HTMLInputElement} input - Phone input
+   * @param {Object} [options] - Field options, see PhoneField
+   * @returns {PhoneField|null} - Enhanced field, or null without an input or metadata
+   */
+  function attach(input, options = {}) {
+    if (!input || Object.keys(getCountries()).length === 0) {
+      return null;
+    }
+
+    return new PhoneField(input, options);
+  }
+
+  window.PhoneInput = {
+    attach,
+    parse,
+    format,
+    detectCountry,
+  };
+})();
@@ -0,0 +1,243 @@
+/**
+ * Phone Number Metadata
+ * Per-country dialing rules used by `phone-input.js`, keyed by ISO 3166-1
+ * alpha-2 code.
+ *
+ * - `dialCode`: country calling code, without "+"
+ * - `nationalPrefix`: trunk prefix dialed before national numbers, dropped in E.164
+ * - `lengths`: allowed lengths of the national significant number
+ * - `pattern`: optional regular expression the national significant number must match
+ * - `formats`: display templates, one "X" per digit; the shortest template that
+ *   fits the digits typed so far is used
+ * - `main`: preferred country when several share a calling code
+ */
+
+(function () {
+  'use strict';
+
+  const countries = {
+    US: {
+      name: 'United States',
+      dialCode: '1',
+      nationalPrefix: '1',
+      lengths: [10],
+      pattern: '[2-9]\\d{9}',
+      formats: ['(XXX) XXX-XXXX'],
+      main: true,
+    },
+    CA: {
+      name: 'Canada',
+      dialCode: '1',
+      nationalPrefix: '1',
+      lengths: [10],
+      pattern: '[2-9]\\d{9}',
+      formats: ['(XXX) XXX-XXXX'],
+    },
+    MX: {
+      name: 'Mexico',
+      dialCode: '52',
+      nationalPrefix: null,
+      lengths: [10],
+      formats: ['XX XXXX XXXX'],
+    },
+    BR: {
+      name: 'Brazil',
+      dialCode: '55',
+      nationalPrefix: '0',
+      lengths: [10, 11],
+      formats: ['XX XXXX XXXX', 'XX XXXXX XXXX'],
+    },
+    GB: {
+      name: 'United Kingdom',
+      dialCode: '44',
+      nationalPrefix: '0',
+      lengths: [9, 10],
+      pattern: '[1-9]\\d{8,9}',
+      formats: ['XXXX XXXXX', 'XXXX XXXXXX'],
+    },
+    IE: {
+      name: 'Ireland',
+      dialCode: '353',
+      nationalPrefix: '0',
+      lengths: [7, 8, 9],
+      formats: ['XX XXXXX', 'XX XXX XXX', 'XX XXX XXXX'],
+    },
+    FR: {
+      name: 'France',
+      dialCode: '33',
+      nationalPrefix: '0',
+      lengths: [9],
+      pattern: '[1-9]\\d{8}',
+      formats: ['X XX XX XX XX'],
+    },
+    DE: {
+      name: 'Germany',
+      dialCode: '49',
+      nationalPrefix: '0',
+      lengths: [6, 7, 8, 9, 10, 11, 12, 13],
+      pattern: '[1-9]\\d{5,12}',
+      formats: ['XXX XXXXXXXXXX'],
+    },
+    ES: {
+      name: 'Spain',
+      dialCode: '34',
+      nationalPrefix: null,
+      lengths: [9],
+      pattern: '[5-9]\\d{8}',
+      formats: ['XXX XX XX XX'],
+    },
+    IT: {
+      name: 'Italy',
+      dialCode: '39',
+      // Italian landline numbers keep their leading 0 in international format
+      nationalPrefix: null,
+      lengths: [6, 7, 8, 9, 10, 11],
+      formats: ['XXX XXX XXXXX'],
+    },
+    PT: {
+      name: 'Portugal',
+      dialCode: '351',
+      nationalPrefix: null,
+      lengths: [9],
+      formats: ['XXX XXX XXX'],
+    },
+    NL: {
+      name: 'Netherlands',
+      dialCode: '31',
+      nationalPrefix: '0',
+      lengths: [9],
+      formats: ['XX XXX XXXX'],
+    },
+    BE: {
+      name: 'Belgium',
+      dialCode: '32',
+      nationalPrefix: '0',
+      lengths: [8, 9],
+      formats: ['X XXX XX XX', 'XXX XX XX XX'],
+    },
+    LU: {
+      name: 'Luxembourg',
+      dialCode: '352',
+      nationalPrefix: null,
+      lengths: [4, 5, 6, 7, 8, 9, 10, 11],
+      formats: ['XXX XXX XXX XX'],
+    },
+    CH: {
+      name: 'Switzerland',
+      dialCode: '41',
+      nationalPrefix: '0',
+      lengths: [9],
+      formats: ['XX XXX XX XX'],
+    },
+    AT: {
+      name: 'Austria',
+      dialCode: '43',
+      nationalPrefix: '0',
+      lengths: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13],
+      formats: ['XXX XXXXXXXXXX'],
+    },
+    DK: {
+      name: 'Denmark',
+      dialCode: '45',
+      nationalPrefix: null,
+      lengths: [8],
+      formats: ['XX XX XX XX'],
+    },
+    NO: {
+      name: 'Norway',
+      dialCode: '47',
+      nationalPrefix: null,
+      lengths: [8],
+      formats: ['XXX XX XXX'],
+    },
+    SE: {
+      name: 'Sweden',
+      dialCode: '46',
+      nationalPrefix: '0',
+      lengths: [7, 8, 9],
+      formats: ['XX XXX XX', 'XX XXX XXX', 'XX XXX XX XX'],
+    },
+    FI: {
+      name: 'Finland',
+      dialCode: '358',
+      nationalPrefix: '0',
+      lengths: [5, 6, 7, 8, 9, 10],
+      formats: ['XX XXX XXXXX'],
+    },
+    IS: {
+      name: 'Iceland',
+      dialCode: '354',
+      nationalPrefix: null,
+      lengths: [7],
+      formats: ['XXX XXXX'],
+    },
+    PL: {
+      name: 'Poland',
+      dialCode: '48',
+      nationalPrefix: null,
+      lengths: [9],
+      formats: ['XXX XXX XXX'],
+    },
+    ZA: {
+      name: 'South Africa',
+      dialCode: '27',
+      nationalPrefix: '0',
+      lengths: [9],
+      formats: ['XX XXX XXXX'],
+    },
+    AE: {
+      name: 'United Arab Emirates',
+      dialCode: '971',
+      nationalPrefix: '0',
+      lengths: [8, 9],
+      formats: ['X XXX XXXX', 'XX XXX XXXX'],
+    },
+    IN: {
+      name: 'India',
+      dialCode: '91',
+      nationalPrefix: '0',
+      lengths: [10],
+      pattern: '[1-9]\\d{9}',
+      formats: ['XXXXX XXXXX'],
+    },
+    SG: {
+      name: 'Singapore',
+      dialCode: '65',
+      nationalPrefix: null,
+      lengths: [8],
+      formats: ['XXXX XXXX'],
+    },
+    HK: {
+      name: 'Hong Kong',
+      dialCode: '852',
+      nationalPrefix: null,
+      lengths: [8],
+      formats: ['XXXX XXXX'],
+    },
+    JP: {
+      name: 'Japan',
+      dialCode: '81',
+      nationalPrefix: '0',
+      lengths: [9, 10],
+      formats: ['X XXXX XXXX', 'XX XXXX XXXX'],
+    },
+    AU: {
+      name: 'Australia',
+      dialCode: '61',
+      nationalPrefix: '0',
+      lengths: [9],
+      formats: ['X XXXX XXXX'],
+    },
+    NZ: {
+      name: 'New Zealand',
+      dialCode: '64',
+      nationalPrefix: '0',
+      lengths: [8, 9, 10],
+      formats: ['X XXX XXXX', 'XX XXX XXXX', 'XX XXXX XXXX'],
+    },
+  };
+
+  window.PhoneMetadata = {
+    countries,
+  };
+})();
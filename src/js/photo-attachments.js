@@ -0,0 +1,451 @@
+/**
+ * Photo Attachments
+ * Accessible photo picker with drag-and-drop, client-side validation,
+ * thumbnail previews and canvas downscaling before upload.
+ * The native file input stays in place, so the picker works with the keyboard
+ * and assistive technology; the surrounding drop zone only adds drag-and-drop.
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Configuration object for photo attachments
+   */
+  const CONFIG = {
+    acceptedTypes: ['image/jpeg', 'image/png', 'image/heic', 'image/heif', 'image/webp'],
+    // Some browsers report an empty type for HEIC files
+    acceptedExtensions: ['jpg', 'jpeg', 'png', 'heic', 'heif', 'webp'],
+    // Types the browser can decode into a canvas
+    resizableTypes: ['image/jpeg', 'image/png', 'image/webp'],
+    maxFiles: 5,
+    maxFileSize: 10 * 1024 * 1024,
+    maxTotalSize: 25 * 1024 * 1024,
+    maxDimension: 2048,
+    outputQuality: 0.85,
+    selectors: {
+      input: 'input[type="file"]',
+      dropZone: '.photo-dropzone',
+      previews: '.photo-previews',
+      status: '.photo-status',
+      error: '.error-message',
+    },
+  };
+
+  /**
+   * Logger utility for structured logging
+   */
+  const Logger = {
+    warn(message, context = {}) {
+      if (typeof console !== 'undefined' && console.warn) {
+        console.warn(`[PhotoAttachments] ${message}`, context);
+      }
+    },
+  };
+
+  /**
+   * Get a photo picker message in the current locale
+   * @param {string} key - Message key in the `photos` namespace of the locale bundles
+   * @param {Object} [values] - Placeholder values
+   * @returns {string} - Formatted message
+   */
+  function t(key, values = {}) {
+    return window.I18n ? window.I18n.t(`photos.${key}`, values) : key;
+  }
+
+  /**
+   * Describe a byte size in words
+   * @param {number} bytes - Size in bytes
+   * @returns {string} - Human readable size
+   */
+  function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+      return `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+    }
+
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+
+  /**
+   * Check whether a file is an accepted photo type
+   * @param {File} file - Selected file
+   * @returns {boolean} - True if the type or extension is accepted
+   */
+  function isAcceptedType(file) {
+    if (CONFIG.acceptedTypes.includes(file.type)) {
+      return true;
+    }
+
+    const extension = file.name.split('.').pop().toLowerCase();
+    return file.type === '' && CONFIG.acceptedExtensions.includes(extension);
+  }
+
+  /**
+   * Shrink a photo so its longest side is at most `maxDimension`
+   * Files the browser cannot decode (such as HEIC in most browsers) and files
+   * that would not get smaller are returned unchanged.
+   * @param {File} file - Original photo
+   * @returns {Promise<File>} - Downscaled photo or the original
+   */
+  async function downscale(file) {
+    if (!CONFIG.resizableTypes.includes(file.type) || typeof createImageBitmap !== 'function') {
+      return file;
+    }
+
+    let bitmap = null;
+
+    try {
+      bitmap = await createImageBitmap(file);
+    } catch (error) {
+      Logger.warn('Could not decode photo, uploading original', { name: file.name, error });
+      return file;
+    }
+
+    const scale = CONFIG.maxDimension / Math.max(bitmap.width, bitmap.height);
+    if (scale >= 1) {
+      bitmap.close();
+      return file;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    // PNG screenshots and photos are re-encoded as JPEG, which is far smaller
+    const type = file.type === 'image/webp' ? 'image/webp' : 'image/jpeg';
+    const blob = await new Promise((resolve) => {
+      canvas.toBlob(resolve, type, CONFIG.outputQuality);
+    });
+
+    if (!blob || blob.size >= file.size) {
+      return file;
+    }
+
+    const extension = type === 'image/webp' ? 'webp' : 'jpg';
+    const name = file.name.replace(/\.[^.]*$/, '') || 'photo';
+    return new File([blob], `${name}.${extension}`, { type, lastModified: file.lastModified });
+  }
+
+  /**
+   * Photo picker bound to one form group
+   */
+  class PhotoPicker {
+    /**
+     * @param {HTMLElement} container - Element holding the file input, drop zone and preview list
+     */
+    constructor(container) {
+      this.container = container;
+      this.input = container.querySelector(CONFIG.selectors.input);
+      this.dropZone = container.querySelector(CONFIG.selectors.dropZone);
+      this.previews = container.querySelector(CONFIG.selectors.previews);
+      this.status = container.querySelector(CONFIG.selectors.status);
+      this.errorElement = container.querySelector(CONFIG.selectors.error);
+      this.items = [];
+      this.dragDepth = 0;
+
+      this.handleChange = this.handleChange.bind(this);
+      this.handleDragEnter = this.handleDragEnter.bind(this);
+      this.handleDragOver = this.handleDragOver.bind(this);
+      this.handleDragLeave = this.handleDragLeave.bind(this);
+      this.handleDrop = this.handleDrop.bind(this);
+
+      this.input.addEventListener('change', this.handleChange);
+
+      if (this.dropZone) {
+        this.dropZone.addEventListener('dragenter', this.handleDragEnter);
+        this.dropZone.addEventListener('dragover', this.handleDragOver);
+        this.dropZone.addEventListener('dragleave', this.handleDragLeave);
+        this.dropZone.addEventListener('drop', this.handleDrop);
+      }
+    }
+
+    /**
+     * Add files chosen with the file input
+     * The input is emptied afterwards; the picker keeps its own list so files
+     * can be added in several rounds and removed one by one.
+     */
+    handleChange() {
+      this.addFiles(Array.from(this.input.files));
+      this.input.value = '';
+    }
+
+    /**
+     * Highlight the drop zone while files are dragged over it
+     * @param {DragEvent} event - Drag event
+     */
+    handleDragEnter(event) {
+      if (this.input.matches(':disabled')) {
+        return;
+      }
+
+      event.preventDefault();
+      this.dragDepth++;
+      this.dropZone.classList.add('is-dragover');
+    }
+
+    /**
+     * Allow dropping on the drop zone
+     * @param {DragEvent} event - Drag event
+     */
+    handleDragOver(event) {
+      if (this.input.matches(':disabled')) {
+        return;
+      }
+
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+    }
+
+    /**
+     * Remove the highlight once the drag leaves the drop zone
+     */
+    handleDragLeave() {
+      this.dragDepth = Math.max(0, this.dragDepth - 1);
+      if (this.dragDepth === 0) {
+        this.dropZone.classList.remove('is-dragover');
+      }
+    }
+
+    /**
+     * Add dropped files
+     * @param {DragEvent} event - Drop event
+     */
+    handleDrop(event) {
+      event.preventDefault();
+      this.dragDepth = 0;
+      this.dropZone.classList.remove('is-dragover');
+
+      if (this.input.matches(':disabled')) {
+        return;
+      }
+
+      this.addFiles(Array.from(event.dataTransfer.files));
+    }
+
+    /**
+     * Validate and add files, reporting the first rejected one
+     * @param {Array<File>} files - Files to add
+     */
+    addFiles(files) {
+      const errors = [];
+      let totalSize = this.getTotalSize();
+
+      files.forEach((file) => {
+        if (!isAcceptedType(file)) {
+          errors.push(t('invalidType', { name: file.name }));
+          return;
+        }
+
+        if (file.size > CONFIG.maxFileSize) {
+          errors.push(
+            t('fileTooLarge', { name: file.name, max: formatSize(CONFIG.maxFileSize) })
+          );
+          return;
+        }
+
+        if (this.items.length >= CONFIG.maxFiles) {
+          errors.push(t('tooManyFiles', { max: CONFIG.maxFiles }));
+          return;
+        }
+
+        if (totalSize + file.size > CONFIG.maxTotalSize) {
+          errors.push(t('totalTooLarge', { max: formatSize(CONFIG.maxTotalSize) }));
+          return;
+        }
+
+        totalSize += file.size;
+        this.addItem(file);
+      });
+
+      if (errors.length > 0) {
+        this.showError(errors[0]);
+      } else {
+        this.clearError();
+      }
+
+      if (files.length > errors.length) {
+        this.announce(t('photosAttached', { count: this.items.length, max: CONFIG.maxFiles }));
+      }
+
+      this.container.dispatchEvent(new CustomEvent('photos:change', { bubbles: true }));
+    }
+
+    /**
+     * Add a file and its preview
+     * @param {File} file - Accepted file
+     */
+    addItem(file) {
+      const item = { file, url: null, element: document.createElement('li') };
+      item.element.className = 'photo-preview';
+
+      if (CONFIG.resizableTypes.includes(file.type)) {
+        item.url = URL.createObjectURL(file);
+
+        const img = document.createElement('img');
+        img.src = item.url;
+        img.alt = file.name;
+        img.addEventListener('error', () => img.replaceWith(this.createPlaceholder(file)), { once: true });
+        item.element.appendChild(img);
+      } else {
+        item.element.appendChild(this.createPlaceholder(file));
+      }
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'photo-remove';
+      remove.setAttribute('aria-label', t('removePhoto', { name: file.name }));
+      remove.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+      remove.addEventListener('click', () => this.removeItem(item));
+      item.element.appendChild(remove);
+
+      this.items.push(item);
+      this.previews.appendChild(item.element);
+    }
+
+    /**
+     * Create the stand-in shown for photos the browser cannot preview
+     * @param {File} file - Photo without preview
+     * @returns {HTMLElement} - Placeholder element
+     */
+    createPlaceholder(file) {
+      const placeholder = document.createElement('span');
+      placeholder.className = 'photo-placeholder';
+      placeholder.textContent = `${t('noPreview')}: ${file.name}`;
+      return placeholder;
+    }
+
+    /**
+     * Remove one file
+     * Focus moves to the file input so keyboard users are not left on a removed button.
+     * @param {Object} item - Item to remove
+     */
+    removeItem(item) {
+      this.releaseItem(item);
+      this.items = this.items.filter((entry) => entry !== item);
+      this.clearError();
+      this.input.focus();
+      this.announce(
+        t('photoRemoved', {
+          name: item.file.name,
+          count: this.items.length,
+          max: CONFIG.maxFiles,
+        })
+      );
+      this.container.dispatchEvent(new CustomEvent('photos:change', { bubbles: true }));
+    }
+
+    /**
+     * Remove an item's preview and free its object URL
+     * @param {Object} item - Item to release
+     */
+    releaseItem(item) {
+      if (item.url) {
+        URL.revokeObjectURL(item.url);
+      }
+      item.element.remove();
+    }
+
+    /**
+     * Get the combined size of the selected files
+     * @returns {number} - Size in bytes
+     */
+    getTotalSize() {
+      return this.items.reduce((total, item) => total + item.file.size, 0);
+    }
+
+    /**
+     * Get the selected files
+     * @returns {Array<File>} - Original files
+     */
+    getFiles() {
+      return this.items.map((item) => item.file);
+    }
+
+    /**
+     * Get the selected files ready for upload, downscaled where possible
+     * @returns {Promise<Array<File>>} - Files to upload
+     */
+    prepareFiles() {
+      return Promise.all(this.getFiles().map(downscale));
+    }
+
+    /**
+     * Remove all files and messages
+     */
+    clear() {
+      this.items.forEach((item) => this.releaseItem(item));
+      this.items = [];
+      this.input.value = '';
+      this.clearError();
+      this.announce('');
+    }
+
+    /**
+     * Enable or disable the picker and its remove buttons
+     * @param {boolean} disabled - True to disable
+     */
+    setDisabled(disabled) {
+      this.input.disabled = disabled;
+      this.previews.querySelectorAll('.photo-remove').forEach((button) => {
+        button.disabled = disabled;
+      });
+    }
+
+    /**
+     * Show a validation error in the form group
+     * @param {string} message - Error message
+     */
+    showError(message) {
+      this.input.setAttribute('aria-invalid', 'true');
+      this.input.classList.add('invalid');
+
+      if (this.errorElement) {
+        this.errorElement.textContent = message;
+        this.errorElement.classList.add('visible');
+      }
+    }
+
+    /**
+     * Clear the validation error
+     */
+    clearError() {
+      this.input.removeAttribute('aria-invalid');
+      this.input.classList.remove('invalid');
+
+      if (this.errorElement) {
+        this.errorElement.textContent = '';
+        this.errorElement.classList.remove('visible');
+      }
+    }
+
+    /**
+     * Announce a change to screen readers
+     * @param {string} message - Message for the live region
+     */
+    announce(message) {
+      if (this.status) {
+        this.status.textContent = message;
+      }
+    }
+  }
+
+  /**
+   * Create a photo picker for a form group
+   * @param {HTMLElement} container - Element holding the file input
+   * @returns {PhotoPicker|null} - Picker, or null if the container has no file input
+   */
+  function create(container) {
+    if (!container || !container.querySelector(CONFIG.selectors.input)) {
+      return null;
+    }
+
+    return new PhotoPicker(container);
+  }
+
+  window.PhotoAttachments = {
+    create,
+    downscale,
+  };
+})();
@@ -0,0 +1,462 @@
+/**
+ * Newsletter Preference Center
+ * Lets subscribers change their topics and email frequency, or unsubscribe
+ * in one click with an undo, from the signed link in every newsletter:
+ * `/subscribe/preferences?token=...`. The token is kept for the browser
+ * session and removed from the address bar.
+ *
+ * API contract (every request sends `Authorization: Bearer <token>`):
+ * - GET `/subscription` returns `{ email, topics, frequency, status }`, where
+ *   `status` is 'subscribed' or 'unsubscribed'
+ * - PUT `/subscription` with `{ topics, frequency, status }` saves and
+ *   returns the same shape; 422 with `{ errors: { topics } }` when invalid
+ * - DELETE `/subscription` unsubscribes and returns the same shape
+ * 401, 403 and 404 mean the token is not valid; 410 that it has expired.
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Configuration object for the preference center
+   */
+  const CONFIG = {
+    path: '/subscribe/preferences',
+    apiUrl: '/subscription',
+    tokenParam: 'token',
+    storageKey: 'grill-business:preferences-token',
+    containerSelector: '.preference-center',
+    timeout: 10000,
+  };
+
+  /**
+   * Logger utility for structured logging
+   */
+  const Logger = {
+    warn(message, context = {}) {
+      if (typeof console !== 'undefined' && console.warn) {
+        console.warn(`[PreferenceCenter] ${message}`, context);
+      }
+    },
+    error(message, error, context = {}) {
+      if (typeof console !== 'undefined' && console.error) {
+        console.error(`[PreferenceCenter] ${message}`, { error, ...context });
+      }
+    },
+  };
+
+  // DOM element references
+  const elements = {
+    container: null,
+    email: null,
+    form: null,
+    topicInputs: [],
+    frequencyInputs: [],
+    saveButton: null,
+    unsubscribeButton: null,
+    status: null,
+    unsubscribed: null,
+    unsubscribedMessage: null,
+    undoButton: null,
+  };
+
+  // Preference center state
+  const state = {
+    token: null,
+    preferences: null,
+    // Preferences before the last unsubscribe, restored by undo
+    previousPreferences: null,
+    busy: false,
+  };
+
+  /**
+   * Get a preference center message in the current locale
+   * @param {string} key - Message key in the `preferences` namespace of the locale bundles
+   * @param {Object} [values] - Placeholder values
+   * @returns {string} - Formatted message
+   */
+  function t(key, values = {}) {
+    return window.I18n.t(`preferences.${key}`, values);
+  }
+
+  /**
+   * Open the preference center when the page is reached through its link
+   */
+  function init() {
+    if (window.location.pathname !== CONFIG.path) {
+      return;
+    }
+
+    cacheElements();
+
+    if (!elements.container || !window.I18n || !window.FormValidation) {
+      Logger.warn('Preference center markup or its scripts are missing');
+      return;
+    }
+
+    state.token = readToken();
+
+    elements.form.addEventListener('submit', handleSave);
+    elements.form.addEventListener('change', handleChange);
+    elements.unsubscribeButton.addEventListener('click', handleUnsubscribe);
+    elements.undoButton.addEventListener('click', handleUndo);
+    document.addEventListener('i18n:change', applyLocale);
+
+    elements.container.hidden = false;
+    elements.container.focus();
+
+    loadPreferences();
+  }
+
+  /**
+   * Cache DOM element references
+   */
+  function cacheElements() {
+    const container = document.querySelector(CONFIG.containerSelector);
+    if (!container) {
+      return;
+    }
+
+    elements.container = container;
+    elements.email = container.querySelector('.preference-email');
+    elements.form = container.querySelector('.preference-form');
+    elements.topicInputs = Array.from(container.querySelectorAll('input[name="topics"]'));
+    elements.frequencyInputs = Array.from(container.querySelectorAll('input[name="frequency"]'));
+    elements.saveButton = container.querySelector('.preference-save');
+    elements.unsubscribeButton = container.querySelector('.preference-unsubscribe');
+    elements.status = container.querySelector('.preference-status');
+    elements.unsubscribed = container.querySelector('.preference-unsubscribed');
+    elements.unsubscribedMessage = container.querySelector('.preference-unsubscribed-message');
+    elements.undoButton = container.querySelector('.preference-undo');
+  }
+
+  /**
+   * Read the token from the link, or from earlier in the session
+   * @returns {string|null} - Signed token
+   */
+  function readToken() {
+    const fromUrl = new URLSearchParams(window.location.search).get(CONFIG.tokenParam);
+
+    if (fromUrl) {
+      try {
+        window.sessionStorage.setItem(CONFIG.storageKey, fromUrl);
+      } catch (_error) {
+        // Reloading the page then needs the link again
+      }
+
+      window.history.replaceState(window.history.state, '', CONFIG.path + window.location.hash);
+      return fromUrl;
+    }
+
+    try {
+      return window.sessionStorage.getItem(CONFIG.storageKey);
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  /**
+   * Redraw rendered text in the current locale
+   */
+  function applyLocale() {
+    if (state.preferences) {
+      render();
+    }
+  }
+
+  /**
+   * Send a request to the subscription API
+   * @param {string} method - HTTP method
+   * @param {Object} [payload] - JSON body
+   * @returns {Promise<{ok: boolean, status: number, body: Object}>} - Response status and JSON body
+   * @throws {Error} - `TimeoutError` when the server does not answer in time, or a network error
+   */
+  async function request(method, payload) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
+    const headers = {
+      Accept: 'application/json',
+      Authorization: `Bearer ${state.token}`,
+    };
+
+    if (payload) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    try {
+      const response = await fetch(CONFIG.apiUrl, {
+        method,
+        headers,
+        body: payload ? JSON.stringify(payload) : undefined,
+        signal: controller.signal,
+      });
+
+      const contentType = response.headers.get('Content-Type') || '';
+      const body = contentType.includes('application/json') ? await response.json().catch(() => ({})) : {};
+
+      return { ok: response.ok, status: response.status, body: body || {} };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        const timeoutError = new Error(`No response within ${CONFIG.timeout} ms`);
+        timeoutError.name = 'TimeoutError';
+        throw timeoutError;
+      }
+
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Get the message for a failed request
+   * @param {Object|null} result - Result from request(), or null after a network error
+   * @returns {string} - Error message
+   */
+  function getFailureMessage(result) {
+    if (!result) {
+      return t('networkError');
+    }
+
+    if (result.status === 410) {
+      return t('linkExpired');
+    }
+
+    if ([401, 403, 404].includes(result.status)) {
+      return t('linkInvalid');
+    }
+
+    return t('error');
+  }
+
+  /**
+   * Run a request with the controls disabled
+   * @param {string} method - HTTP method
+   * @param {Object} [payload] - JSON body
+   * @returns {Promise<Object|null>} - Result from request(), or null after a network error
+   */
+  async function send(method, payload) {
+    setBusy(true);
+
+    try {
+      return await request(method, payload);
+    } catch (error) {
+      Logger.error('Subscription request failed', error, { method });
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  /**
+   * Load the subscriber's current preferences
+   */
+  async function loadPreferences() {
+    if (!state.token) {
+      showFatal(t('linkInvalid'));
+      return;
+    }
+
+    showStatus(t('loading'), 'info');
+
+    const result = await send('GET');
+    if (!result || !result.ok) {
+      showFatal(getFailureMessage(result));
+      return;
+    }
+
+    hideStatus();
+    showPreferences(result.body);
+  }
+
+  /**
+   * Store and show preferences returned by the API
+   * @param {Object} preferences - Subscriber preferences
+   * @param {Object|null} [previous] - Preferences to restore with undo
+   */
+  function showPreferences(preferences, previous = null) {
+    state.preferences = preferences;
+    state.previousPreferences = previous;
+    render();
+  }
+
+  /**
+   * Show the form or the unsubscribed state for the loaded preferences
+   */
+  function render() {
+    const { email, topics = [], frequency, status } = state.preferences;
+
+    elements.email.textContent = t('managing', { email });
+    elements.email.hidden = false;
+
+    elements.topicInputs.forEach((input) => {
+      input.checked = topics.includes(input.value);
+    });
+
+    elements.frequencyInputs.forEach((input) => {
+      input.checked = input.value === frequency;
+    });
+
+    const unsubscribed = status === 'unsubscribed';
+    elements.form.hidden = unsubscribed;
+    elements.unsubscribed.hidden = !unsubscribed;
+
+    if (unsubscribed) {
+      elements.unsubscribedMessage.textContent = t('unsubscribed', { email });
+      elements.undoButton.textContent = state.previousPreferences ? t('undo') : t('resubscribe');
+    }
+  }
+
+  /**
+   * Collect the preferences chosen in the form
+   * @returns {{topics: Array<string>, frequency: string}} - Chosen preferences
+   */
+  function getFormPreferences() {
+    const selected = elements.frequencyInputs.find((input) => input.checked);
+
+    return {
+      topics: elements.topicInputs.filter((input) => input.checked).map((input) => input.value),
+      frequency: selected ? selected.value : state.preferences.frequency,
+    };
+  }
+
+  /**
+   * Clear messages once the visitor changes a preference
+   */
+  function handleChange() {
+    hideStatus();
+    window.FormValidation.clearFieldError(elements.topicInputs[0]);
+  }
+
+  /**
+   * Save topics and frequency
+   * @param {SubmitEvent} event - Submit event
+   */
+  async function handleSave(event) {
+    event.preventDefault();
+
+    if (state.busy) {
+      return;
+    }
+
+    const preferences = getFormPreferences();
+
+    if (preferences.topics.length === 0) {
+      window.FormValidation.showFieldError(elements.topicInputs[0], t('noTopics'));
+      elements.topicInputs[0].focus();
+      return;
+    }
+
+    const result = await send('PUT', { ...preferences, status: 'subscribed' });
+
+    if (result && result.ok) {
+      showPreferences(result.body);
+      showStatus(t('saved'), 'success');
+      return;
+    }
+
+    const topicsError = result && result.body.errors ? result.body.errors.topics : null;
+    if (topicsError) {
+      window.FormValidation.showFieldError(
+        elements.topicInputs[0],
+        Array.isArray(topicsError) ? topicsError[0] : topicsError
+      );
+      return;
+    }
+
+    showStatus(getFailureMessage(result), 'error');
+  }
+
+  /**
+   * Unsubscribe from all emails, keeping the preferences for undo
+   */
+  async function handleUnsubscribe() {
+    if (state.busy) {
+      return;
+    }
+
+    const previous = { ...state.preferences };
+    const result = await send('DELETE');
+
+    if (!result || !result.ok) {
+      showStatus(getFailureMessage(result), 'error');
+      return;
+    }
+
+    hideStatus();
+    showPreferences({ ...previous, ...result.body, status: 'unsubscribed' }, previous);
+    elements.undoButton.focus();
+  }
+
+  /**
+   * Resubscribe, restoring the preferences from before unsubscribing
+   */
+  async function handleUndo() {
+    if (state.busy) {
+      return;
+    }
+
+    const restore = state.previousPreferences || state.preferences;
+    const result = await send('PUT', {
+      topics: restore.topics,
+      frequency: restore.frequency,
+      status: 'subscribed',
+    });
+
+    if (!result || !result.ok) {
+      showStatus(getFailureMessage(result), 'error');
+      return;
+    }
+
+    showPreferences(result.body);
+    showStatus(t('resubscribed'), 'success');
+    elements.saveButton.focus();
+  }
+
+  /**
+   * Show an error that leaves nothing to manage
+   * @param {string} message - Error message
+   */
+  function showFatal(message) {
+    elements.form.hidden = true;
+    elements.unsubscribed.hidden = true;
+    showStatus(message, 'error');
+  }
+
+  /**
+   * Show a status message
+   * @param {string} message - Message text
+   * @param {string} type - 'info', 'success' or 'error'
+   */
+  function showStatus(message, type) {
+    elements.status.classList.remove('info', 'success', 'error');
+    elements.status.classList.add('visible', type);
+    elements.status.textContent = message;
+  }
+
+  /**
+   * Hide the status message
+   */
+  function hideStatus() {
+    elements.status.classList.remove('visible', 'info', 'success', 'error');
+    elements.status.textContent = '';
+  }
+
+  /**
+   * Disable the controls while a request is sent
+   * @param {boolean} busy - True while sending
+   */
+  function setBusy(busy) {
+    state.busy = busy;
+    elements.container.setAttribute('aria-busy', String(busy));
+    [elements.saveButton, elements.unsubscribeButton, elements.undoButton].forEach((button) => {
+      button.disabled = busy;
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,60 @@
+/**
+ * Proof-of-Work Worker
+ * Finds a nonce such that the SHA-256 hash of `${prefix}:${nonce}` starts with
+ * the requested number of zero bits. Runs off the main thread so the page stays
+ * responsive while the token is computed.
+ */
+
+(function () {
+  'use strict';
+
+  const encoder = new TextEncoder();
+
+  /**
+   * Count leading zero bits of a hash
+   * @param {Uint8Array} bytes - Hash bytes
+   * @returns {number} - Number of leading zero bits
+   */
+  function countLeadingZeroBits(bytes) {
+    let bits = 0;
+
+    for (const byte of bytes) {
+      if (byte === 0) {
+        bits += 8;
+        continue;
+      }
+
+      bits += Math.clz32(byte) - 24;
+      break;
+    }
+
+    return bits;
+  }
+
+  /**
+   * Search for a nonce that satisfies the difficulty
+   * @param {string} prefix - Token prefix
+   * @param {number} difficulty - Required leading zero bits
+   * @returns {Promise<number>} - Matching nonce
+   */
+  async function solve(prefix, difficulty) {
+    for (let nonce = 0; ; nonce++) {
+      const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${prefix}:${nonce}`));
+
+      if (countLeadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+        return nonce;
+      }
+    }
+  }
+
+  self.addEventListener('message', async (event) => {
+    const { id, prefix, difficulty } = event.data;
+
+    try {
+      const nonce = await solve(prefix, difficulty);
+      self.postMessage({ id, token: `${prefix}:${nonce}` });
+    } catch (error) {
+      self.postMessage({ id, error: error.message });
+    }
+  });
+})();
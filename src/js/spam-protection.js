@@ -0,0 +1,281 @@
+/**
+ * Spam Protection
+ * Self-contained anti-spam layer for site forms: a honeypot field, a minimum
+ * time-to-submit and a proof-of-work token computed in a Web Worker.
+ * Tokens are checked on the server with `server/spam-protection.js`.
+ * Without `crypto.subtle` (insecure contexts) or when the token is late, the
+ * form is sent without one and the server falls back to the other checks.
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Configuration object for spam protection
+   * `difficulty` and `minSubmitTime` must match the server verifier settings.
+   */
+  const CONFIG = {
+    tokenVersion: 1,
+    difficulty: 15,
+    minSubmitTime: 3000,
+    tokenTimeout: 10000,
+    honeypotField: 'website',
+    elapsedField: 'formElapsedMs',
+    tokenField: 'powToken',
+    nativeFormSelector: 'form[data-spam-protect="native"]',
+    workerUrl: new URL(
+      'proof-of-work-worker.js',
+      (document.currentScript && document.currentScript.src) || window.location.href
+    ).href,
+  };
+
+  /**
+   * Logger utility for structured logging
+   */
+  const Logger = {
+    warn(message, context = {}) {
+      if (typeof console !== 'undefined' && console.warn) {
+        console.warn(`[SpamProtection] ${message}`, context);
+      }
+    },
+    error(message, error, context = {}) {
+      if (typeof console !== 'undefined' && console.error) {
+        console.error(`[SpamProtection] ${message}`, { error, ...context });
+      }
+    },
+  };
+
+  // Per-form protection state: { startedAt, tokenPromise }
+  const protectedForms = new WeakMap();
+
+  // Pending worker requests by ID
+  const pendingTokens = new Map();
+  let worker = null;
+  let nextRequestId = 1;
+
+  /**
+   * Get the shared proof-of-work worker
+   * @returns {Worker|null} - Worker, or null if workers are unavailable
+   */
+  function getWorker() {
+    if (worker) {
+      return worker;
+    }
+
+    if (typeof Worker === 'undefined' || !window.crypto || !window.crypto.subtle) {
+      return null;
+    }
+
+    try {
+      const instance = new Worker(CONFIG.workerUrl);
+      instance.addEventListener('message', handleWorkerMessage);
+      instance.addEventListener('error', (event) => {
+        Logger.error('Proof-of-work worker failed', event.message);
+        // Start a fresh worker on the next request instead of reusing the broken one
+        instance.terminate();
+        worker = null;
+        pendingTokens.forEach((resolve) => resolve(null));
+        pendingTokens.clear();
+      });
+      worker = instance;
+      return worker;
+    } catch (error) {
+      Logger.error('Could not start proof-of-work worker', error);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the request a worker message answers
+   * @param {MessageEvent} event - Worker message
+   */
+  function handleWorkerMessage(event) {
+    const { id, token, error } = event.data;
+    const resolve = pendingTokens.get(id);
+
+    if (!resolve) {
+      return;
+    }
+
+    pendingTokens.delete(id);
+
+    if (error) {
+      Logger.error('Proof-of-work computation failed', error);
+    }
+
+    resolve(token || null);
+  }
+
+  /**
+   * Create a random salt for a token
+   * @returns {string} - Hex salt
+   */
+  function createSalt() {
+    const bytes = new Uint8Array(8);
+    window.crypto.getRandomValues(bytes);
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Compute a new proof-of-work token
+   * Token format: `version:difficulty:issuedAt:salt:nonce`
+   * @returns {Promise<string|null>} - Token, or null if it could not be computed
+   */
+  function issueToken() {
+    const tokenWorker = getWorker();
+    if (!tokenWorker) {
+      return Promise.resolve(null);
+    }
+
+    const id = nextRequestId++;
+    const prefix = [CONFIG.tokenVersion, CONFIG.difficulty, Date.now(), createSalt()].join(':');
+
+    return new Promise((resolve) => {
+      pendingTokens.set(id, resolve);
+      tokenWorker.postMessage({ id, prefix, difficulty: CONFIG.difficulty });
+    });
+  }
+
+  /**
+   * Wait for a token, giving up after `tokenTimeout`
+   * @param {Promise<string|null>} tokenPromise - Token being computed
+   * @returns {Promise<string|null>} - Token, or null on timeout
+   */
+  function awaitToken(tokenPromise) {
+    return new Promise((resolve) => {
+      const timeoutId = setTimeout(() => {
+        Logger.warn('Proof-of-work token not ready in time, sending without it');
+        resolve(null);
+      }, CONFIG.tokenTimeout);
+
+      tokenPromise.then((token) => {
+        clearTimeout(timeoutId);
+        resolve(token);
+      });
+    });
+  }
+
+  /**
+   * Start protecting a form
+   * The time-to-submit clock starts now and the first token is computed in the
+   * background so it is usually ready by the time the visitor submits.
+   * @param {HTMLFormElement} form - Form to protect
+   * @param {Object} [options] - Protection options
+   * @param {boolean} [options.native=false] - The form submits without JavaScript handling;
+   *   anti-spam values are written to hidden inputs before it is sent
+   */
+  function protect(form, options = {}) {
+    if (!form || protectedForms.has(form)) {
+      return;
+    }
+
+    protectedForms.set(form, {
+      startedAt: Date.now(),
+      tokenPromise: issueToken(),
+    });
+
+    if (options.native) {
+      [CONFIG.elapsedField, CONFIG.tokenField].forEach((name) => {
+        if (!form.elements.namedItem(name)) {
+          const input = document.createElement('input');
+          input.type = 'hidden';
+          input.name = name;
+          form.appendChild(input);
+        }
+      });
+
+      form.addEventListener('submit', handleNativeSubmit);
+    }
+  }
+
+  /**
+   * Collect anti-spam values for a submission
+   * Waits until the minimum time-to-submit has passed, so fast (autofilled)
+   * human submissions are delayed rather than rejected. The form gets a fresh
+   * token for its next submission.
+   * @param {HTMLFormElement} form - Protected form
+   * @returns {Promise<{isBot: boolean, fields: Object}>} - `isBot` is true when the honeypot is filled
+   */
+  async function prepare(form) {
+    protect(form);
+
+    const formState = protectedForms.get(form);
+    const honeypot = form.elements.namedItem(CONFIG.honeypotField);
+    const honeypotValue = honeypot ? honeypot.value : '';
+
+    const remaining = CONFIG.minSubmitTime - (Date.now() - formState.startedAt);
+    if (remaining > 0) {
+      await new Promise((resolve) => {
+        setTimeout(resolve, remaining);
+      });
+    }
+
+    const token = await awaitToken(formState.tokenPromise);
+    formState.tokenPromise = issueToken();
+
+    return {
+      isBot: honeypotValue !== '',
+      fields: {
+        [CONFIG.honeypotField]: honeypotValue,
+        [CONFIG.elapsedField]: Date.now() - formState.startedAt,
+        [CONFIG.tokenField]: token,
+      },
+    };
+  }
+
+  /**
+   * Replace the token in a stored payload with a fresh one
+   * Used when a queued submission is resent after the original token expired.
+   * @param {Object} payload - Submission payload
+   * @returns {Promise<Object>} - Payload copy with a new token
+   */
+  async function withFreshToken(payload) {
+    const token = await awaitToken(issueToken());
+    return { ...payload, [CONFIG.tokenField]: token };
+  }
+
+  /**
+   * Fill anti-spam inputs before a native form submission goes out
+   * @param {SubmitEvent} event - Submit event
+   */
+  function handleNativeSubmit(event) {
+    const form = event.currentTarget;
+
+    if (event.defaultPrevented) {
+      return;
+    }
+
+    event.preventDefault();
+
+    prepare(form).then(({ fields }) => {
+      form.elements.namedItem(CONFIG.elapsedField).value = String(fields[CONFIG.elapsedField]);
+      form.elements.namedItem(CONFIG.tokenField).value = fields[CONFIG.tokenField] || '';
+
+      // Bypasses submit listeners, so this handler does not run again
+      HTMLFormElement.prototype.submit.call(form);
+    });
+  }
+
+  /**
+   * Protect forms that opt in with `data-spam-protect="native"`
+   * Forms submitted by their own script call protect() and prepare() instead.
+   */
+  function init() {
+    document.querySelectorAll(CONFIG.nativeFormSelector).forEach((form) => {
+      protect(form, { native: true });
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.SpamProtection = {
+    protect,
+    prepare,
+    issueToken,
+    withFreshToken,
+  };
+})();
@@ -0,0 +1,229 @@
+/**
+ * Offline Submission Queue
+ * Persists form submissions that failed because of network errors in IndexedDB
+ * and resends them once the browser is back online or the page is reopened.
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Configuration object for the queue database
+   */
+  const CONFIG = {
+    dbName: 'grill-business',
+    dbVersion: 1,
+    storeName: 'pending-submissions',
+    lockName: 'grill-business-submission-queue',
+  };
+
+  /**
+   * Logger utility for structured logging
+   */
+  const Logger = {
+    warn(message, context = {}) {
+      if (typeof console !== 'undefined' && console.warn) {
+        console.warn(`[SubmissionQueue] ${message}`, context);
+      }
+    },
+    error(message, error, context = {}) {
+      if (typeof console !== 'undefined' && console.error) {
+        console.error(`[SubmissionQueue] ${message}`, { error, ...context });
+      }
+    },
+  };
+
+  let dbPromise = null;
+  let flushPromise = null;
+
+  /**
+   * Check whether IndexedDB is available
+   * @returns {boolean} - True if submissions can be queued
+   */
+  function isSupported() {
+    return typeof window !== 'undefined' && 'indexedDB' in window && window.indexedDB !== null;
+  }
+
+  /**
+   * Open (and upgrade if needed) the queue database
+   * @returns {Promise<IDBDatabase>} - Open database connection
+   */
+  function openDatabase() {
+    if (dbPromise) {
+      return dbPromise;
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(CONFIG.dbName, CONFIG.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CONFIG.storeName)) {
+          db.createObjectStore(CONFIG.storeName, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+
+    return dbPromise;
+  }
+
+  /**
+   * Run a request against the queue store
+   * @param {IDBTransactionMode} mode - Transaction mode
+   * @param {Function} callback - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} - Result of the request once the transaction completes
+   */
+  async function withStore(mode, callback) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(CONFIG.storeName, mode);
+      const request = callback(transaction.objectStore(CONFIG.storeName));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Store a submission for later delivery
+   * Records are keyed by submission ID, so queueing the same submission twice
+   * keeps a single entry.
+   * @param {string} id - Unique submission ID
+   * @param {Object} payload - Submission payload
+   * @param {Array<File>} [files] - Attached files, stored alongside the payload
+   * @returns {Promise<void>}
+   */
+  async function enqueue(id, payload, files = []) {
+    await withStore('readwrite', (store) =>
+      store.put({
+        id,
+        payload,
+        files,
+        queuedAt: new Date().toISOString(),
+      })
+    );
+  }
+
+  /**
+   * Get all queued submissions, oldest first
+   * @returns {Promise<Array<Object>>} - Queued records
+   */
+  async function getAll() {
+    const records = await withStore('readonly', (store) => store.getAll());
+    return (records || []).sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+  }
+
+  /**
+   * Remove a submission from the queue
+   * @param {string} id - Submission ID
+   * @returns {Promise<void>}
+   */
+  async function remove(id) {
+    await withStore('readwrite', (store) => store.delete(id));
+  }
+
+  /**
+   * Get number of queued submissions
+   * @returns {Promise<number>} - Queue size
+   */
+  function size() {
+    if (!isSupported()) {
+      return Promise.resolve(0);
+    }
+
+    return withStore('readonly', (store) => store.count());
+  }
+
+  /**
+   * Send every queued submission
+   * The sender resolves true once a submission is delivered and false when the
+   * server rejects it for good (e.g. 400 or 422); both remove it from the queue.
+   * Transient failures (offline, 429, 5xx) must throw, which keeps the record
+   * and stops draining until the next flush.
+   * @param {Function} sender - Async function receiving the payload and files
+   * @returns {Promise<{sent: number, rejected: number, remaining: number}>}
+   */
+  async function drain(sender) {
+    const records = await getAll();
+    let sent = 0;
+    let rejected = 0;
+
+    for (const record of records) {
+      let delivered = false;
+
+      try {
+        delivered = await sender(record.payload, record.files || []);
+      } catch (error) {
+        // Offline or server trouble: keep the rest of the queue for the next attempt
+        Logger.warn('Queued submission could not be sent, will retry later', {
+          id: record.id,
+          error,
+        });
+        break;
+      }
+
+      if (delivered) {
+        sent++;
+      } else {
+        Logger.error('Dropping queued submission rejected by the server', null, { id: record.id });
+        rejected++;
+      }
+
+      await remove(record.id);
+    }
+
+    return { sent, rejected, remaining: await size() };
+  }
+
+  /**
+   * Flush the queue, making sure a submission is never sent by two callers at once
+   * Concurrent calls in the same page share one flush; other tabs are excluded
+   * with the Web Locks API where it is available.
+   * @param {Function} sender - Async function receiving the payload and files, see `drain`
+   * @returns {Promise<{sent: number, rejected: number, remaining: number}>}
+   */
+  function flush(sender) {
+    if (!isSupported()) {
+      return Promise.resolve({ sent: 0, rejected: 0, remaining: 0 });
+    }
+
+    if (flushPromise) {
+      return flushPromise;
+    }
+
+    const run = () => drain(sender);
+    const task =
+      navigator.locks && navigator.locks.request
+        ? navigator.locks.request(CONFIG.lockName, run)
+        : run();
+
+    flushPromise = task
+      .catch((error) => {
+        Logger.error('Failed to flush submission queue', error);
+        return { sent: 0, rejected: 0, remaining: 0 };
+      })
+      .finally(() => {
+        flushPromise = null;
+      });
+
+    return flushPromise;
+  }
+
+  window.SubmissionQueue = {
+    isSupported,
+    enqueue,
+    getAll,
+    remove,
+    size,
+    flush,
+  };
+})();
@@ -1,4 +1,10 @@
 import { test, expect } from '@playwright/test';
+import { Buffer } from 'node:buffer';
+import { mkdtemp, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createNotifier } from '../../server/notifications.js';
+import { startSmtpCatcher, startWebhookReceiver } from '../../server/notification-sinks.js';
 
 /**
  * E2E Test Suite for Grill Business Landing Page
@@ -75,15 +81,17 @@ const selectors = {
     emailInput: '#email',
     phoneInput: '#phone',
     messageInput: '#message',
+    consentCheckbox: '#contact-consent',
     submitButton: '.contact-form button[type="submit"]',
     errorMessages: '.error-message',
-    formStatus: '.form-status',
+    formStatus: '.contact-form .form-status',
     socialLinks: '.social-links a'
   },
   footer: {
     section: 'footer',
     newsletterForm: '.newsletter-form',
     newsletterInput: '#newsletter-email',
+    newsletterConsent: '#newsletter-consent',
     newsletterButton: '.newsletter-form button',
     socialLinks: '.footer-section .social-links a',
     quickLinks: '.footer-section nav a',
@@ -91,6 +99,39 @@ const selectors = {
   }
 };
 
+/**
+ * Fill the contact form fields
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @param {Object} data - Contact data
+ */
+async function fillContactForm(page, data) {
+  await page.fill(selectors.contact.nameInput, data.name);
+  await page.fill(selectors.contact.emailInput, data.email);
+  await page.fill(selectors.contact.phoneInput, data.phone);
+  await page.fill(selectors.contact.messageInput, data.message);
+  await page.check(selectors.contact.consentCheckbox);
+}
+
+// Lead inbox sign-in, set for the test server in playwright.config.js
+const leadsAdminCredentials = {
+  username: 'admin',
+  password: 'playwright-leads'
+};
+
+/**
+ * Read everything the mock backend stored
+ * @param {import('@playwright/test').APIRequestContext} request - Request context
+ * @returns {Promise<Object>} - `{ contacts, subscribers }`
+ */
+async function readMockData(request) {
+  const { username, password } = leadsAdminCredentials;
+  const response = await request.get('/__mock-backend/data', {
+    headers: { Authorization: `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}` }
+  });
+
+  return response.json();
+}
+
 // ============================================================================
 // 🎭 TEST HOOKS & SETUP
 // ============================================================================
@@ -151,6 +192,39 @@ test.describe('Navigation & Routing', () => {
     expect(finalPosition).toBeGreaterThan(initialPosition);
   });
 
+  test('should add a history entry for each section link', async ({ page }) => {
+    const menu = page.locator(selectors.navigation.navMenu);
+
+    await menu.locator(selectors.navigation.productsLink).click();
+    await expect(page).toHaveURL(/#products$/);
+
+    await menu.locator(selectors.navigation.contactLink).click();
+    await expect(page).toHaveURL(/#contact$/);
+
+    await page.goBack();
+    await expect(page).toHaveURL(/#products$/);
+    await expect(menu.locator(selectors.navigation.productsLink)).toHaveAttribute('aria-current', 'page');
+    await expect(page.locator(selectors.products.section)).toBeInViewport();
+  });
+
+  test('should open a shared link at its section below the fixed navigation', async ({ page }) => {
+    await page.goto('/#services');
+
+    // Distance between the bottom of the navigation and the top of the section
+    await expect
+      .poll(() =>
+        page.evaluate(() => {
+          const section = document.getElementById('services');
+          return section.offsetTop - document.querySelector('nav').offsetHeight - window.scrollY;
+        })
+      )
+      .toBe(0);
+    await expect(
+      page.locator(selectors.navigation.navMenu).locator(selectors.navigation.servicesLink)
+    ).toHaveAttribute('aria-current', 'page');
+    await expect(page).toHaveURL(/#services$/);
+  });
+
   test('should toggle mobile menu on hamburger click', async ({ page }) => {
     // Arrange
     await page.setViewportSize({ width: 375, height: 667 }); // iPhone SE
@@ -170,6 +244,113 @@ test.describe('Navigation & Routing', () => {
     await expect(hamburger).toHaveAttribute('aria-expanded', 'false');
   });
 
+  test('should trap focus in the open mobile menu and make the page inert', async ({ page }) => {
+    await page.setViewportSize({ width: 375, height: 667 });
+    const hamburger = page.locator(selectors.navigation.hamburger);
+    const lastLink = page.locator(`${selectors.navigation.navMenu} a`).last();
+
+    await hamburger.click();
+    await expect(page.locator(`${selectors.navigation.navMenu} a`).first()).toBeFocused();
+    await expect(page.locator('main')).toHaveAttribute('inert', '');
+    await expect(page.locator('.logo')).toHaveAttribute('inert', '');
+
+    await lastLink.focus();
+    await page.keyboard.press('Tab');
+    await expect(hamburger).toBeFocused();
+
+    await page.keyboard.press('Shift+Tab');
+    await expect(lastLink).toBeFocused();
+
+    await page.keyboard.press('Escape');
+    await expect(hamburger).toBeFocused();
+    await expect(page.locator('main')).not.toHaveAttribute('inert', '');
+    await expect(page.locator('.logo')).not.toHaveAttribute('inert', '');
+  });
+
+  test('should keep the scroll position while the mobile menu is open', async ({ page }) => {
+    await page.setViewportSize({ width: 375, height: 667 });
+    await page.evaluate(() => window.scrollTo({ top: 1200, behavior: 'instant' }));
+    const hamburger = page.locator(selectors.navigation.hamburger);
+
+    await hamburger.click();
+    await expect(page.locator('body')).toHaveClass(/nav-scroll-locked/);
+    await expect(page.locator('body')).toHaveCSS('top', '-1200px');
+
+    await hamburger.click();
+    await expect(page.locator('body')).not.toHaveClass(/nav-scroll-locked/);
+    expect(await page.evaluate(() => window.scrollY)).toBe(1200);
+    await expect(hamburger).toBeFocused();
+  });
+
+  test('should hide the header on scroll down and show it on scroll up', async ({ page }) => {
+    const nav = page.locator('nav');
+    const scrollTo = top => page.evaluate(y => window.scrollTo({ top: y, behavior: 'instant' }), top);
+
+    // Opt-in: the shipped markup keeps the header in place
+    await expect(nav).not.toHaveClass(/headroom/);
+    await page.evaluate(() => window.Navigation.init({ headroom: true }));
+
+    await expect(nav).toHaveClass(/headroom--pinned/);
+    await expect(nav).toHaveClass(/headroom--top/);
+
+    await scrollTo(800);
+    await expect(nav).toHaveClass(/headroom--unpinned/);
+    await expect(nav).toHaveClass(/headroom--not-top/);
+
+    // Less than the tolerance changes nothing
+    await scrollTo(797);
+    await page.waitForTimeout(100);
+    await expect(nav).toHaveClass(/headroom--unpinned/);
+
+    await scrollTo(600);
+    await expect(nav).toHaveClass(/headroom--pinned/);
+
+    await scrollTo(1400);
+    await expect(nav).toHaveClass(/headroom--unpinned/);
+    await page.locator(selectors.navigation.logo).focus();
+    await expect(nav).toHaveClass(/headroom--pinned/);
+    await expect(nav).toBeInViewport();
+  });
+
+  test('should re-initialize, refresh and destroy through the public API', async ({ page }) => {
+    await page.setViewportSize({ width: 900, height: 700 });
+    const hamburger = page.locator(selectors.navigation.hamburger);
+
+    // A wider breakpoint makes the menu modal at this width; repeated init does not stack listeners
+    const initialized = await page.evaluate(() =>
+      [1, 2, 3].map(() => window.Navigation.init({ mobileBreakpoint: 1000, headroom: false })).every(Boolean)
+    );
+    expect(initialized).toBe(true);
+    await expect(page.locator('nav')).not.toHaveClass(/headroom/);
+
+    await page.evaluate(() => window.Navigation.openMenu());
+    await expect(page.locator('main')).toHaveAttribute('inert', '');
+    await hamburger.evaluate(button => button.click());
+    await expect(hamburger).toHaveAttribute('aria-expanded', 'false');
+
+    // Sections added later are picked up by refresh()
+    await page.evaluate(() => {
+      const section = document.createElement('section');
+      section.id = 'gallery';
+      section.style.height = '600px';
+      document.querySelector('main').append(section);
+      window.scrollTo({ top: section.offsetTop - 100, behavior: 'instant' });
+      window.Navigation.refresh();
+    });
+    await expect.poll(() => page.evaluate(() => window.Navigation.getActiveSection())).toBe('gallery');
+    // The hamburger keeps working after refresh()
+    await hamburger.evaluate(button => button.click());
+    await expect(hamburger).toHaveAttribute('aria-expanded', 'true');
+    await hamburger.evaluate(button => button.click());
+    await expect(hamburger).toHaveAttribute('aria-expanded', 'false');
+
+    await page.evaluate(() => window.Navigation.destroy());
+    await hamburger.evaluate(button => button.click());
+    await expect(hamburger).toHaveAttribute('aria-expanded', 'false');
+    await expect(page.locator(`${selectors.navigation.navMenu} a.active`)).toHaveCount(0);
+    expect(await page.evaluate(() => window.Navigation.getActiveSection())).toBeNull();
+  });
+
   test('should have correct ARIA labels for navigation', async ({ page }) => {
     const hamburger = page.locator(selectors.navigation.hamburger);
     const navMenu = page.locator(selectors.navigation.navMenu);
@@ -351,7 +532,7 @@ test.describe('Contact Form - Validation', () => {
   test('should validate phone number format', async ({ page }) => {
     const phoneInput = page.locator(selectors.contact.phoneInput);
     
-    await expect(phoneInput).toHaveAttribute('pattern', '[\\d\\s\\-\\+\\(\\)]{10,}');
+    await expect(phoneInput).toHaveAttribute('pattern', '\\+?[\\d\\s\\-\\.\\(\\)]{4,}');
   });
 
   test('should validate name length constraints', async ({ page }) => {
@@ -369,6 +550,298 @@ test.describe('Contact Form - Validation', () => {
   });
 });
 
+test.describe('Form Validation Engine', () => {
+  test('should validate the newsletter form before it is sent', async ({ page }) => {
+    let requests = 0;
+    await page.route('/subscribe', async route => {
+      requests++;
+      await route.fulfill({ status: 200, body: '' });
+    });
+
+    const newsletterInput = page.locator(selectors.footer.newsletterInput);
+    await newsletterInput.fill('not-an-email');
+    await page.click(selectors.footer.newsletterButton);
+
+    await expect(page.locator('#newsletter-email-error')).toHaveText('Please enter a valid email address');
+    await expect(newsletterInput).toHaveAttribute('aria-invalid', 'true');
+    await expect(newsletterInput).toBeFocused();
+    expect(requests).toBe(0);
+
+    await newsletterInput.fill(testData.validNewsletter.email);
+    await expect(page.locator('#newsletter-email-error')).toBeEmpty();
+  });
+
+  test('should interpolate rule parameters into messages', async ({ page }) => {
+    await page.fill(selectors.contact.nameInput, 'J');
+    await page.locator(selectors.contact.nameInput).blur();
+
+    await expect(page.locator('.form-group:has(#name) .error-message')).toHaveText(
+      'Name must be at least 2 characters long'
+    );
+  });
+
+  test('should run custom rules registered from a script', async ({ page }) => {
+    await page.evaluate(() => {
+      window.FormValidation.registerRule('no-digits', (value, param, { message }) =>
+        /\d/.test(value) ? message('noDigits') : null
+      );
+
+      const name = document.querySelector('#name');
+      name.dataset.validate = 'required|no-digits';
+      name.dataset.msgNoDigits = 'Names cannot contain digits';
+    });
+
+    await page.fill(selectors.contact.nameInput, 'R2D2');
+    await page.locator(selectors.contact.nameInput).blur();
+
+    await expect(page.locator('.form-group:has(#name) .error-message')).toHaveText('Names cannot contain digits');
+  });
+
+  test('should debounce asynchronous rules while typing', async ({ page }) => {
+    const checked = [];
+    await page.route('**/check-email?*', async route => {
+      checked.push(new URL(route.request().url()).searchParams.get('newsletter-email'));
+      await route.fulfill({
+        status: 200,
+        contentType: 'application/json',
+        body: JSON.stringify({ valid: false, message: 'This address is already subscribed' }),
+      });
+    });
+
+    await page.evaluate(() => {
+      document.querySelector('#newsletter-email').dataset.validate = 'required|email|remote:/check-email';
+    });
+
+    await page.locator(selectors.footer.newsletterInput).pressSequentially('fan@example.com', { delay: 30 });
+
+    await expect(page.locator('#newsletter-email-error')).toHaveText('This address is already subscribed');
+    expect(checked).toEqual(['fan@example.com']);
+  });
+});
+
+test.describe('Forms - Localization', () => {
+  test('should use the Spanish bundle when the page language is Spanish', async ({ page }) => {
+    await page.route('/', async route => {
+      const response = await route.fetch();
+      const body = (await response.text()).replace('<html lang="en">', '<html lang="es-MX">');
+      await route.fulfill({ response, body });
+    });
+    await page.reload();
+
+    await expect(page.locator(selectors.contact.submitButton)).toHaveText('Enviar mensaje');
+
+    await page.fill(selectors.contact.nameInput, 'J');
+    await page.locator(selectors.contact.nameInput).blur();
+    await expect(page.locator('.form-group:has(#name) .error-message')).toHaveText(
+      'El nombre debe tener al menos 2 caracteres'
+    );
+  });
+
+  test('should switch language from the footer and remember the choice', async ({ page }) => {
+    const switcher = page.locator('#language-select');
+    await expect(switcher).toHaveValue('en');
+
+    await switcher.selectOption('es');
+    await expect(page.locator(selectors.contact.submitButton)).toHaveText('Enviar mensaje');
+
+    await page.reload();
+    await expect(page.locator('#language-select')).toHaveValue('es');
+    await expect(page.locator(selectors.contact.submitButton)).toHaveText('Enviar mensaje');
+  });
+
+  test('should pick plural forms and fall back to English', async ({ page }) => {
+    const messages = await page.evaluate(() => {
+      window.I18n.register('en', { test: { englishOnly: 'Only in English, {count} left' } });
+      window.I18n.setLocale('es');
+
+      return [
+        window.I18n.t('contact.waitSeconds', { count: 1 }),
+        window.I18n.t('contact.waitSeconds', { count: 30 }),
+        window.I18n.t('validation.minlength', { min: 1 }),
+        window.I18n.t('test.englishOnly', { count: 3 }),
+      ];
+    });
+
+    expect(messages).toEqual([
+      '1 segundo',
+      '30 segundos',
+      'Introduce al menos 1 carácter',
+      'Only in English, 3 left',
+    ]);
+  });
+});
+
+test.describe('Contact Form - Email Suggestions', () => {
+  test('should suggest a correction for a mistyped domain', async ({ page }) => {
+    await page.fill(selectors.contact.emailInput, 'john@gmial.com');
+    await page.locator(selectors.contact.emailInput).blur();
+
+    const suggestion = page.locator('.email-suggestion');
+    await expect(suggestion).toHaveAttribute('role', 'status');
+    await expect(suggestion).toHaveText('Did you mean john@gmail.com?');
+  });
+
+  test('should suggest a known top-level domain', async ({ page }) => {
+    await page.fill(selectors.contact.emailInput, 'pitmaster@bbqclub.con');
+    await page.locator(selectors.contact.emailInput).blur();
+
+    await expect(page.locator('.email-suggestion-accept')).toHaveText('pitmaster@bbqclub.com');
+  });
+
+  test('should not suggest anything for a correct address', async ({ page }) => {
+    await page.fill(selectors.contact.emailInput, testData.validContact.email);
+    await page.locator(selectors.contact.emailInput).blur();
+
+    await expect(page.locator('.email-suggestion')).toBeEmpty();
+  });
+
+  test('should accept the suggestion with a click', async ({ page }) => {
+    await page.fill(selectors.contact.emailInput, 'john@yahoo.con');
+    await page.locator(selectors.contact.emailInput).blur();
+    await page.click('.email-suggestion-accept');
+
+    const emailInput = page.locator(selectors.contact.emailInput);
+    await expect(emailInput).toHaveValue('john@yahoo.com');
+    await expect(emailInput).toBeFocused();
+    await expect(page.locator('.email-suggestion')).toHaveText('Email address changed to john@yahoo.com');
+  });
+
+  test('should accept the suggestion with the keyboard', async ({ page }) => {
+    await page.fill(selectors.contact.emailInput, 'john@hotmial.com');
+    await page.keyboard.press('Tab');
+
+    await expect(page.locator('.email-suggestion-accept')).toBeFocused();
+    await page.keyboard.press('Enter');
+
+    await expect(page.locator(selectors.contact.emailInput)).toHaveValue('john@hotmail.com');
+  });
+
+  test('should clear the suggestion when the address is edited', async ({ page }) => {
+    await page.fill(selectors.contact.emailInput, 'john@gmial.com');
+    await page.locator(selectors.contact.emailInput).blur();
+    await page.fill(selectors.contact.emailInput, 'john@gmail.com');
+
+    await expect(page.locator('.email-suggestion')).toBeEmpty();
+  });
+});
+
+test.describe('Contact Form - International Phone Numbers', () => {
+  test.use({ locale: 'en-US' });
+
+  test('should add a country code selector defaulting from the locale', async ({ page }) => {
+    const countrySelect = page.locator('.phone-group .phone-country');
+
+    await expect(countrySelect).toBeVisible();
+    await expect(countrySelect).toHaveAttribute('aria-label', 'Country code');
+    await expect(countrySelect).toHaveValue('US');
+  });
+
+  test('should format the number while typing', async ({ page }) => {
+    await page.locator(selectors.contact.phoneInput).pressSequentially('5551234567');
+
+    await expect(page.locator(selectors.contact.phoneInput)).toHaveValue('(555) 123-4567');
+  });
+
+  test('should switch country from an international prefix', async ({ page }) => {
+    await page.locator(selectors.contact.phoneInput).pressSequentially('+447911123456');
+
+    await expect(page.locator('.phone-country')).toHaveValue('GB');
+    await expect(page.locator(selectors.contact.phoneInput)).toHaveValue('+44 7911 123456');
+  });
+
+  test('should accept short numbers that are valid for the selected country', async ({ page }) => {
+    await page.selectOption('.phone-country', 'IS');
+    await page.fill(selectors.contact.phoneInput, '555 1234');
+    await page.locator(selectors.contact.phoneInput).blur();
+
+    await expect(page.locator(selectors.contact.phoneInput)).toHaveAttribute('aria-invalid', 'false');
+  });
+
+  test('should reject numbers with the wrong length for the country', async ({ page }) => {
+    await page.selectOption('.phone-country', 'GB');
+    await page.fill(selectors.contact.phoneInput, '0791112');
+    await page.locator(selectors.contact.phoneInput).blur();
+
+    const errorMessage = page.locator('.phone-group .error-message');
+    await expect(errorMessage).toHaveText('This number is too short for United Kingdom');
+  });
+
+  test('should submit the number in E.164 format', async ({ page }) => {
+    let payload = null;
+
+    await page.route('/submit-contact', async route => {
+      payload = route.request().postDataJSON();
+      await route.fulfill({ status: 200, contentType: 'application/json', body: '{"success":true}' });
+    });
+
+    await fillContactForm(page, testData.validContact);
+    await page.click(selectors.contact.submitButton);
+
+    await expect(page.locator(selectors.contact.formStatus)).toHaveClass(/success/, { timeout: 15000 });
+    expect(payload.phone).toBe('+15551234567');
+    expect(payload.preferredContact).toBe('phone');
+  });
+
+  test('should make the phone optional when email is preferred', async ({ page }) => {
+    const phoneInput = page.locator(selectors.contact.phoneInput);
+
+    await page.check('input[name="preferredContact"][value="email"]');
+
+    await expect(phoneInput).not.toHaveAttribute('required');
+    await expect(phoneInput).toHaveAttribute('aria-required', 'false');
+    await expect(page.locator('label[for="phone"] [aria-label="required"]')).toBeHidden();
+
+    await fillContactForm(page, { ...testData.validContact, phone: '' });
+    await page.click(selectors.contact.submitButton);
+
+    await expect(phoneInput).not.toHaveAttribute('aria-invalid', 'true');
+    await expect(page.locator('.error-summary')).toBeHidden();
+  });
+});
+
+test.describe('Contact Form - Error Summary', () => {
+  test('should list invalid fields and move focus to the summary', async ({ page }) => {
+    await page.fill(selectors.contact.emailInput, testData.invalidContact.email);
+    await page.click(selectors.contact.submitButton);
+
+    const summary = page.locator('.error-summary');
+    await expect(summary).toBeVisible();
+    await expect(summary).toBeFocused();
+
+    const links = summary.locator('.error-summary-list a');
+    await expect(links).toHaveCount(5);
+    await expect(links.first()).toHaveAttribute('href', '#name');
+    await expect(links.nth(1)).toContainText('Email Address');
+  });
+
+  test('should focus the field when a summary link is followed', async ({ page }) => {
+    await page.click(selectors.contact.submitButton);
+    await page.click('.error-summary-list a[href="#email"]');
+
+    await expect(page.locator(selectors.contact.emailInput)).toBeFocused();
+  });
+
+  test('should update as fields are corrected', async ({ page }) => {
+    await page.click(selectors.contact.submitButton);
+
+    const links = page.locator('.error-summary-list a');
+    await expect(links).toHaveCount(5);
+
+    await page.fill(selectors.contact.nameInput, testData.validContact.name);
+    await page.locator(selectors.contact.nameInput).blur();
+    await expect(links).toHaveCount(4);
+    await expect(page.locator('.error-summary-list a[href="#name"]')).toHaveCount(0);
+
+    for (const field of ['emailInput', 'phoneInput', 'messageInput']) {
+      await page.fill(selectors.contact[field], testData.validContact[field.replace('Input', '')]);
+      await page.locator(selectors.contact[field]).blur();
+    }
+    await page.check(selectors.contact.consentCheckbox);
+
+    await expect(page.locator('.error-summary')).toBeHidden();
+  });
+});
+
 test.describe('Contact Form - Submission', () => {
   test('should successfully submit valid contact form', async ({ page }) => {
     // Arrange - Mock form submission
@@ -428,30 +901,1277 @@ test.describe('Contact Form - Submission', () => {
   });
 });
 
-test.describe('Contact Form - Social Media Links', () => {
-  test('should display all social media links', async ({ page }) => {
-    const socialLinks = page.locator(selectors.contact.socialLinks);
-    
-    await expect(socialLinks).toHaveCount(4);
+test.describe('Contact Form - Inquiry Types', () => {
+  test('should reveal only the fields for the selected inquiry type', async ({ page }) => {
+    const warrantyFields = page.locator('.inquiry-fields[data-inquiry="warranty"]');
+    const productFields = page.locator('.inquiry-fields[data-inquiry="product"]');
+
+    await expect(productFields).toBeVisible();
+    await expect(warrantyFields).toBeHidden();
+
+    await page.selectOption('#inquiry-type', 'warranty');
+
+    await expect(warrantyFields).toBeVisible();
+    await expect(productFields).toBeHidden();
+    await expect(page.locator('#warranty-serial-number')).toBeVisible();
   });
 
-  test('should have proper attributes for external links', async ({ page }) => {
-    const socialLinks = page.locator(selectors.contact.socialLinks);
-    const count = await socialLinks.count();
-    
-    for (let i = 0; i < count; i++) {
-      const link = socialLinks.nth(i);
-      await expect(link).toHaveAttribute('target', '_blank');
-      await expect(link).toHaveAttribute('rel', 'noopener noreferrer');
-    }
+  test('should validate the visible conditional fields only', async ({ page }) => {
+    await fillContactForm(page, testData.validContact);
+    await page.selectOption('#inquiry-type', 'warranty');
+    await page.click(selectors.contact.submitButton);
+
+    await expect(page.locator('#warranty-model-number')).toHaveAttribute('aria-invalid', 'true');
+    await expect(page.locator('#warranty-purchase-date')).toHaveAttribute('aria-invalid', 'true');
+    await expect(page.locator('#design-budget')).not.toHaveAttribute('aria-invalid', 'true');
   });
 
-  test('should have accessible ARIA labels for social links', async ({ page }) => {
-    const facebookLink = page.locator('a[href="https://facebook.com/grillbusiness"]');
-    const instagramLink = page.locator('a[href="https://instagram.com/grillbusiness"]');
-    
-    await expect(facebookLink).toHaveAttribute('aria-label', 'Visit our Facebook page');
-    await expect(instagramLink).toHaveAttribute('aria-label', 'Visit our Instagram profile');
+  test('should send a structured inquiry payload', async ({ page }) => {
+    let payload = null;
+
+    await page.route('/submit-contact', async route => {
+      payload = route.request().postDataJSON();
+      await route.fulfill({ status: 200, contentType: 'application/json', body: '{"success":true}' });
+    });
+
+    await fillContactForm(page, testData.validContact);
+    await page.selectOption('#inquiry-type', 'design');
+    await page.selectOption('#design-budget', '25k-50k');
+    await page.click(selectors.contact.submitButton);
+
+    await expect(page.locator(selectors.contact.formStatus)).toHaveClass(/success/, { timeout: 15000 });
+    expect(payload.inquiry).toEqual({
+      type: 'design',
+      details: { designBudget: '25k-50k', designTimeline: '' }
+    });
+  });
+});
+
+test.describe('Contact Form - Product Prefill', () => {
+  test('should prefill the form from a product link', async ({ page }) => {
+    await page.click('.product-link[data-product="smart-pellet-grill"]');
+
+    await expect(page.locator(selectors.contact.section)).toBeInViewport();
+    await expect(page.locator('#inquiry-type')).toHaveValue('product');
+    await expect(page.locator('#product-interest')).toHaveValue('smart-pellet-grill');
+    await expect(page.locator(selectors.contact.messageInput)).toHaveValue(/Smart Pellet Grill/);
+  });
+
+  test('should replace the starter message but keep a message the visitor wrote', async ({ page }) => {
+    await page.click('.product-link[data-product="smart-pellet-grill"]');
+    await page.click('.product-link[data-product="charcoal-smoker"]');
+
+    const messageInput = page.locator(selectors.contact.messageInput);
+    await expect(messageInput).toHaveValue(/Charcoal Smoker/);
+
+    await page.fill(selectors.contact.messageInput, testData.validContact.message);
+    await page.click('.product-link[data-product="premium-grill-cover"]');
+
+    await expect(messageInput).toHaveValue(testData.validContact.message);
+    await expect(page.locator('#product-interest')).toHaveValue('premium-grill-cover');
+  });
+
+  test('should prefill from query parameters', async ({ page }) => {
+    await page.goto('/?product=smart-pellet-grill&inquiry=quote');
+
+    await expect(page.locator(selectors.contact.section)).toBeInViewport();
+    await expect(page.locator('#product-interest')).toHaveValue('smart-pellet-grill');
+    await expect(page.locator(selectors.contact.messageInput)).toHaveValue(/quote for the Smart Pellet Grill/);
+  });
+
+  test('should ignore unknown products in query parameters', async ({ page }) => {
+    await page.goto('/?product=flux-capacitor');
+
+    await expect(page.locator('#product-interest')).toHaveValue('');
+    await expect(page.locator(selectors.contact.messageInput)).toHaveValue('');
+  });
+
+  test('should include the product as a structured field', async ({ page }) => {
+    let payload = null;
+
+    await page.route('/submit-contact', async route => {
+      payload = route.request().postDataJSON();
+      await route.fulfill({ status: 200, contentType: 'application/json', body: '{"success":true}' });
+    });
+
+    await page.goto('/?product=smart-pellet-grill&inquiry=quote');
+    await page.fill(selectors.contact.nameInput, testData.validContact.name);
+    await page.fill(selectors.contact.emailInput, testData.validContact.email);
+    await page.fill(selectors.contact.phoneInput, testData.validContact.phone);
+    await page.click(selectors.contact.submitButton);
+
+    await expect(page.locator(selectors.contact.formStatus)).toHaveClass(/success/, { timeout: 15000 });
+    expect(payload.product).toEqual({ id: 'smart-pellet-grill', name: 'Smart Pellet Grill', source: 'url' });
+    expect(payload.inquiry.details.productInterest).toBe('smart-pellet-grill');
+  });
+});
+
+test.describe('Contact Form - Photo Attachments', () => {
+  // 1x1 transparent PNG
+  const pngBuffer = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+    'base64'
+  );
+  const photo = name => ({ name, mimeType: 'image/png', buffer: pngBuffer });
+
+  test.beforeEach(async ({ page }) => {
+    await page.selectOption('#inquiry-type', 'maintenance');
+    await page.fill('#repair-grill-model', 'Weber Genesis II');
+    await page.selectOption('#repair-fuel-type', 'gas');
+  });
+
+  test('should show a thumbnail for each accepted photo', async ({ page }) => {
+    await page.setInputFiles('#repair-photos', [photo('burner.png'), photo('lid.png')]);
+
+    const previews = page.locator('.photo-previews .photo-preview');
+    await expect(previews).toHaveCount(2);
+    await expect(previews.first().locator('img')).toHaveAttribute('alt', 'burner.png');
+    await expect(page.locator('.photo-status')).toHaveText('2 of 5 photos attached.');
+  });
+
+  test('should reject unsupported file types', async ({ page }) => {
+    await page.setInputFiles('#repair-photos', {
+      name: 'invoice.pdf',
+      mimeType: 'application/pdf',
+      buffer: Buffer.from('%PDF-1.4')
+    });
+
+    await expect(page.locator('#repair-photos')).toHaveAttribute('aria-invalid', 'true');
+    await expect(page.locator('.photo-upload .error-message')).toContainText('not a supported photo');
+    await expect(page.locator('.photo-previews .photo-preview')).toHaveCount(0);
+  });
+
+  test('should limit the number of photos', async ({ page }) => {
+    const files = Array.from({ length: 6 }, (_, index) => photo(`photo-${index + 1}.png`));
+    await page.setInputFiles('#repair-photos', files);
+
+    await expect(page.locator('.photo-previews .photo-preview')).toHaveCount(5);
+    await expect(page.locator('.photo-upload .error-message')).toContainText('up to 5 photos');
+  });
+
+  test('should remove a photo and return focus to the picker', async ({ page }) => {
+    await page.setInputFiles('#repair-photos', [photo('burner.png')]);
+    await page.click('.photo-remove');
+
+    await expect(page.locator('.photo-previews .photo-preview')).toHaveCount(0);
+    await expect(page.locator('#repair-photos')).toBeFocused();
+  });
+
+  test('should upload photos as multipart form data', async ({ page }) => {
+    let request = null;
+
+    await page.route('/submit-contact', async route => {
+      request = route.request();
+      await route.fulfill({ status: 200, contentType: 'application/json', body: '{"success":true}' });
+    });
+
+    await fillContactForm(page, testData.validContact);
+    await page.setInputFiles('#repair-photos', [photo('burner.png')]);
+    await page.click(selectors.contact.submitButton);
+
+    await expect(page.locator(selectors.contact.formStatus)).toHaveClass(/success/, { timeout: 15000 });
+    expect(request.headers()['content-type']).toContain('multipart/form-data');
+    expect(request.headers()['idempotency-key']).toBeTruthy();
+
+    const body = request.postData();
+    expect(body).toContain('name="payload"');
+    expect(body).toContain('name="photos"; filename="burner.png"');
+    await expect(page.locator('.photo-previews .photo-preview')).toHaveCount(0);
+  });
+
+  test('should keep sending JSON without photos', async ({ page }) => {
+    let contentType = null;
+
+    await page.route('/submit-contact', async route => {
+      contentType = route.request().headers()['content-type'];
+      await route.fulfill({ status: 200, contentType: 'application/json', body: '{"success":true}' });
+    });
+
+    await fillContactForm(page, testData.validContact);
+    await page.click(selectors.contact.submitButton);
+
+    await expect(page.locator(selectors.contact.formStatus)).toHaveClass(/success/, { timeout: 15000 });
+    expect(contentType).toContain('application/json');
+  });
+});
+
+test.describe('Contact Form - Public API', () => {
+  test('should fill and validate the form through window.ContactForm', async ({ page }) => {
+    const applied = await page.evaluate(() =>
+      window.ContactForm.setValues({
+        name: 'Jane Smith',
+        email: 'jane@example.com',
+        preferredContact: 'email',
+        message: 'Please send me your catalogue.',
+        website: 'https://spam.example',
+      })
+    );
+
+    expect(applied).toEqual(['name', 'email', 'preferredContact', 'message']);
+    await expect(page.locator(selectors.contact.nameInput)).toHaveValue('Jane Smith');
+    await expect(page.locator('.contact-form input[name="website"]')).toHaveValue('');
+    await expect(page.locator(selectors.contact.phoneInput)).not.toHaveAttribute('required');
+    // Consent is only given by the visitor, never through the API
+    expect(await page.evaluate(() => window.ContactForm.validate())).toBe(false);
+    await page.check(selectors.contact.consentCheckbox);
+    expect(await page.evaluate(() => window.ContactForm.validate())).toBe(true);
+  });
+
+  test('should report invalid fields with contact:invalid', async ({ page }) => {
+    await page.evaluate(() => {
+      window.contactEvents = [];
+      document.addEventListener('contact:invalid', event => {
+        window.contactEvents.push(Object.keys(event.detail.errors));
+      });
+    });
+
+    const outcome = await page.evaluate(() => window.ContactForm.submit());
+
+    expect(outcome).toEqual({ ok: false, reason: 'invalid' });
+    expect(await page.evaluate(() => window.contactEvents)).toEqual([['name', 'email', 'phone', 'message', 'consent']]);
+  });
+
+  test('should let contact:beforesubmit listeners change the payload', async ({ page }) => {
+    let payload = null;
+    await page.route('/submit-contact', async route => {
+      payload = route.request().postDataJSON();
+      await route.fulfill({ status: 200, contentType: 'application/json', body: '{"success":true}' });
+    });
+
+    await page.evaluate(() => {
+      const form = document.querySelector('.contact-form');
+      form.addEventListener('contact:beforesubmit', event => {
+        event.detail.payload.crmCampaign = 'spring-sale';
+      });
+      form.addEventListener('contact:success', event => {
+        window.successDetail = { status: event.detail.status, campaign: event.detail.payload.crmCampaign };
+      });
+    });
+
+    await fillContactForm(page, testData.validContact);
+    await page.click(selectors.contact.submitButton);
+
+    await expect(page.locator(selectors.contact.formStatus)).toHaveClass(/success/, { timeout: 15000 });
+    expect(payload.crmCampaign).toBe('spring-sale');
+    expect(await page.evaluate(() => window.successDetail)).toEqual({ status: 200, campaign: 'spring-sale' });
+  });
+
+  test('should not send the form when contact:beforesubmit is cancelled', async ({ page }) => {
+    let requests = 0;
+    await page.route('/submit-contact', async route => {
+      requests++;
+      await route.fulfill({ status: 200, body: '' });
+    });
+
+    await page.evaluate(() => {
+      document.addEventListener('contact:beforesubmit', event => event.preventDefault());
+    });
+
+    await fillContactForm(page, testData.validContact);
+    const outcome = await page.evaluate(() => window.ContactForm.submit());
+
+    expect(outcome).toEqual({ ok: false, reason: 'prevented' });
+    expect(requests).toBe(0);
+    await expect(page.locator(selectors.contact.submitButton)).toBeEnabled();
+  });
+
+  test('should dispatch contact:error with the failure reason', async ({ page }) => {
+    await page.route('/submit-contact', route => route.fulfill({ status: 400, body: '' }));
+
+    await page.evaluate(() => {
+      document.addEventListener('contact:error', event => {
+        window.errorDetail = { reason: event.detail.reason, status: event.detail.status };
+      });
+    });
+
+    await fillContactForm(page, testData.validContact);
+    const outcome = await page.evaluate(() => window.ContactForm.submit());
+
+    expect(outcome.reason).toBe('rejected');
+    expect(await page.evaluate(() => window.errorDetail)).toEqual({ reason: 'rejected', status: 400 });
+  });
+
+  test('should refuse a second submit() made in the same tick', async ({ page }) => {
+    let requests = 0;
+    await page.route('/submit-contact', async route => {
+      requests++;
+      await route.fulfill({ status: 200, body: '' });
+    });
+
+    await fillContactForm(page, testData.validContact);
+    const outcomes = await page.evaluate(() =>
+      Promise.all([window.ContactForm.submit(), window.ContactForm.submit()])
+    );
+
+    expect(outcomes[0].ok).toBe(true);
+    expect(outcomes[1]).toEqual({ ok: false, reason: 'busy' });
+    expect(requests).toBe(1);
+  });
+
+  test('should empty the form with reset()', async ({ page }) => {
+    await fillContactForm(page, testData.validContact);
+    await page.evaluate(() => window.ContactForm.reset());
+
+    await expect(page.locator(selectors.contact.nameInput)).toHaveValue('');
+    await expect(page.locator(selectors.contact.messageInput)).toHaveValue('');
+  });
+});
+
+test.describe('Contact Form - Server Errors', () => {
+  test('should show server field errors on the matching fields', async ({ page }) => {
+    await page.route('/submit-contact', route =>
+      route.fulfill({
+        status: 422,
+        contentType: 'application/json',
+        body: JSON.stringify({ errors: { email: 'This email is already registered' } })
+      })
+    );
+
+    await fillContactForm(page, testData.validContact);
+    await page.click(selectors.contact.submitButton);
+
+    const emailInput = page.locator(selectors.contact.emailInput);
+    await expect(emailInput).toHaveAttribute('aria-invalid', 'true', { timeout: 10000 });
+    await expect(emailInput).toBeFocused();
+    await expect(page.locator('.form-group:has(#email) .error-message')).toHaveText('This email is already registered');
+    await expect(page.locator(selectors.contact.formStatus)).toContainText('correct the highlighted fields');
+  });
+
+  test('should report rate limiting with the Retry-After delay', async ({ page }) => {
+    await page.route('/submit-contact', route =>
+      route.fulfill({ status: 429, headers: { 'Retry-After': '120' }, body: '' })
+    );
+
+    await fillContactForm(page, testData.validContact);
+    await page.click(selectors.contact.submitButton);
+
+    await expect(page.locator(selectors.contact.formStatus)).toContainText('try again in 2 minutes', {
+      timeout: 10000
+    });
+  });
+
+  test('should report server errors separately', async ({ page }) => {
+    await page.route('/submit-contact', route => route.fulfill({ status: 503, body: '' }));
+
+    await fillContactForm(page, testData.validContact);
+    await page.click(selectors.contact.submitButton);
+
+    // 503 is retried with backoff before the error is shown
+    await expect(page.locator(selectors.contact.formStatus)).toContainText('server is having trouble', {
+      timeout: 20000
+    });
+  });
+});
+
+test.describe('Contact Form - Retries & Cancellation', () => {
+  test('should retry failed attempts with the same idempotency key', async ({ page }) => {
+    const keys = [];
+
+    await page.route('/submit-contact', async route => {
+      keys.push(route.request().headers()['idempotency-key']);
+      if (keys.length < 3) {
+        await route.fulfill({ status: 503, body: '' });
+      } else {
+        await route.fulfill({ status: 200, contentType: 'application/json', body: '{"success":true}' });
+      }
+    });
+
+    await fillContactForm(page, testData.validContact);
+    await page.click(selectors.contact.submitButton);
+
+    await expect(page.locator(selectors.contact.submitButton)).toHaveText(/Retrying \(1 of 3\)/, { timeout: 10000 });
+    await expect(page.locator(selectors.contact.formStatus)).toHaveClass(/success/, { timeout: 20000 });
+    expect(keys).toHaveLength(3);
+    expect(new Set(keys).size).toBe(1);
+    expect(keys[0]).toBeTruthy();
+  });
+
+  test('should let the visitor cancel a hanging submission', async ({ page }) => {
+    await page.route('/submit-contact', () => {
+      // Never respond
+    });
+
+    await fillContactForm(page, testData.validContact);
+    await page.click(selectors.contact.submitButton);
+
+    const cancelButton = page.locator('.contact-form .form-cancel');
+    await expect(cancelButton).toBeVisible();
+    await expect(page.locator(selectors.contact.consentCheckbox)).toBeDisabled();
+    await cancelButton.click();
+
+    await expect(page.locator(selectors.contact.formStatus)).toContainText('Sending was cancelled', {
+      timeout: 10000
+    });
+    await expect(page.locator(selectors.contact.submitButton)).toBeEnabled();
+    await expect(page.locator(selectors.contact.consentCheckbox)).toBeEnabled();
+    await expect(page.locator(selectors.contact.nameInput)).toHaveValue(testData.validContact.name);
+    await expect(cancelButton).toBeHidden();
+  });
+});
+
+test.describe('Contact Form - Offline Queue', () => {
+  test('should queue the submission on network error and resend it when back online', async ({ page }) => {
+    const received = [];
+
+    await page.route('/submit-contact', route => route.abort('internetdisconnected'));
+    await fillContactForm(page, testData.validContact);
+    await page.click(selectors.contact.submitButton);
+
+    const formStatus = page.locator(selectors.contact.formStatus);
+    // Spam protection holds the first send until the minimum time-to-submit has passed
+    await expect(formStatus).toHaveClass(/info/, { timeout: 10000 });
+    await expect(formStatus).toContainText("when you're back online");
+    await expect(page.locator(selectors.contact.nameInput)).toHaveValue('');
+
+    await page.unroute('/submit-contact');
+    await page.route('/submit-contact', async route => {
+      received.push(route.request().postDataJSON());
+      await route.fulfill({ status: 200, contentType: 'application/json', body: '{"success":true}' });
+    });
+
+    await page.evaluate(() => window.dispatchEvent(new Event('online')));
+    await page.evaluate(() => window.dispatchEvent(new Event('online')));
+
+    await expect(formStatus).toContainText('has now been sent');
+    expect(received).toHaveLength(1);
+    expect(received[0].email).toBe(testData.validContact.email);
+    expect(received[0].submissionId).toBeTruthy();
+    expect(await page.evaluate(() => window.SubmissionQueue.size())).toBe(0);
+  });
+});
+
+test.describe('Contact Form - Drafts', () => {
+  test('should offer to restore an unsent draft after reload', async ({ page }) => {
+    await page.fill(selectors.contact.nameInput, testData.validContact.name);
+    await page.fill(selectors.contact.messageInput, testData.validContact.message);
+    await page.waitForTimeout(600); // Wait for debounced autosave
+
+    await page.reload();
+
+    const prompt = page.locator('.draft-prompt');
+    await expect(prompt).toBeVisible();
+    await expect(page.locator(selectors.contact.nameInput)).toHaveValue('');
+
+    await prompt.locator('.draft-restore').click();
+
+    await expect(prompt).toHaveCount(0);
+    await expect(page.locator(selectors.contact.nameInput)).toHaveValue(testData.validContact.name);
+    await expect(page.locator(selectors.contact.messageInput)).toHaveValue(testData.validContact.message);
+  });
+
+  test('should discard the draft on request', async ({ page }) => {
+    await page.fill(selectors.contact.messageInput, testData.validContact.message);
+    await page.waitForTimeout(600);
+    await page.reload();
+
+    await page.locator('.draft-prompt .draft-discard').click();
+    await page.reload();
+
+    await expect(page.locator('.draft-prompt')).toHaveCount(0);
+  });
+
+  test('should ignore drafts older than the TTL', async ({ page }) => {
+    await page.evaluate(() => {
+      localStorage.setItem(
+        'grill-business:contact-draft',
+        JSON.stringify({ values: { message: 'Old draft' }, savedAt: Date.now() - 8 * 24 * 60 * 60 * 1000 })
+      );
+    });
+    await page.reload();
+
+    await expect(page.locator('.draft-prompt')).toHaveCount(0);
+  });
+
+  test('should clear the draft after a successful send', async ({ page }) => {
+    await page.route('/submit-contact', route =>
+      route.fulfill({ status: 200, contentType: 'application/json', body: '{"success":true}' })
+    );
+
+    await fillContactForm(page, testData.validContact);
+    await page.waitForTimeout(600);
+    await page.click(selectors.contact.submitButton);
+    await expect(page.locator(selectors.contact.formStatus)).toHaveClass(/success/, { timeout: 10000 });
+
+    const draft = await page.evaluate(() => localStorage.getItem('grill-business:contact-draft'));
+    expect(draft).toBeNull();
+  });
+});
+
+test.describe('Spam Protection', () => {
+  test('should include honeypot fields that are hidden from visitors', async ({ page }) => {
+    const contactHoneypot = page.locator('.contact-form input[name="website"]');
+    const newsletterHoneypot = page.locator('.newsletter-form input[name="website"]');
+
+    await expect(contactHoneypot).toHaveAttribute('tabindex', '-1');
+    await expect(newsletterHoneypot).toHaveAttribute('tabindex', '-1');
+    await expect(page.locator('.contact-form .form-hp')).toHaveAttribute('aria-hidden', 'true');
+    await expect(contactHoneypot).not.toBeInViewport();
+  });
+
+  test('should attach time-to-submit and proof-of-work token to the payload', async ({ page }) => {
+    let payload = null;
+
+    await page.route('/submit-contact', async route => {
+      payload = route.request().postDataJSON();
+      await route.fulfill({ status: 200, contentType: 'application/json', body: '{"success":true}' });
+    });
+
+    await fillContactForm(page, testData.validContact);
+    await page.click(selectors.contact.submitButton);
+
+    await expect(page.locator(selectors.contact.formStatus)).toHaveClass(/success/, { timeout: 15000 });
+    expect(payload.website).toBe('');
+    expect(payload.formElapsedMs).toBeGreaterThanOrEqual(3000);
+    expect(payload.powToken).toMatch(/^1:\d+:\d+:[0-9a-f]+:\d+$/);
+  });
+
+  test('should silently drop submissions that fill the honeypot', async ({ page }) => {
+    let requests = 0;
+
+    await page.route('/submit-contact', async route => {
+      requests++;
+      await route.fulfill({ status: 200, body: '' });
+    });
+
+    await fillContactForm(page, testData.validContact);
+    await page.locator('.contact-form input[name="website"]').fill('https://spam.example', { force: true });
+    await page.click(selectors.contact.submitButton);
+
+    await expect(page.locator(selectors.contact.formStatus)).toHaveClass(/success/, { timeout: 15000 });
+    expect(requests).toBe(0);
+  });
+});
+
+test.describe('Contact Form - Social Media Links', () => {
+  test('should display all social media links', async ({ page }) => {
+    const socialLinks = page.locator(selectors.contact.socialLinks);
+    
+    await expect(socialLinks).toHaveCount(4);
+  });
+
+  test('should have proper attributes for external links', async ({ page }) => {
+    const socialLinks = page.locator(selectors.contact.socialLinks);
+    const count = await socialLinks.count();
+    
+    for (let i = 0; i < count; i++) {
+      const link = socialLinks.nth(i);
+      await expect(link).toHaveAttribute('target', '_blank');
+      await expect(link).toHaveAttribute('rel', 'noopener noreferrer');
+    }
+  });
+
+  test('should have accessible ARIA labels for social links', async ({ page }) => {
+    const facebookLink = page.locator('a[href="https://facebook.com/grillbusiness"]');
+    const instagramLink = page.locator('a[href="https://instagram.com/grillbusiness"]');
+    
+    await expect(facebookLink).toHaveAttribute('aria-label', 'Visit our Facebook page');
+    await expect(instagramLink).toHaveAttribute('aria-label', 'Visit our Instagram profile');
+  });
+});
+
+test.describe('Newsletter', () => {
+  const newsletterStatus = '.newsletter-status';
+
+  test('should subscribe in the background with the chosen topics', async ({ page }) => {
+    let payload = null;
+
+    await page.route('/subscribe', async route => {
+      payload = route.request().postDataJSON();
+      await route.fulfill({ status: 202, contentType: 'application/json', body: '{"status":"pending"}' });
+    });
+
+    await page.fill(selectors.footer.newsletterInput, testData.validNewsletter.email);
+
+    await page.check(selectors.footer.newsletterConsent);
+    await page.locator('.newsletter-form input[value="promotions"]').uncheck();
+    await page.click(selectors.footer.newsletterButton);
+
+    await expect(page.locator(newsletterStatus)).toHaveClass(/success/, { timeout: 15000 });
+    await expect(page.locator(newsletterStatus)).toContainText(testData.validNewsletter.email);
+    expect(page.url()).not.toContain('/subscribe');
+    expect(payload.email).toBe(testData.validNewsletter.email);
+    expect(payload.topics).toEqual(['recipes', 'product-launches']);
+    expect(payload.powToken).toBeTruthy();
+    await expect(page.locator(selectors.footer.newsletterInput)).toHaveValue('');
+  });
+
+  test('should tell visitors when they are already subscribed', async ({ page }) => {
+    await page.route('/subscribe', async route => {
+      await route.fulfill({ status: 409, contentType: 'application/json', body: '{"status":"already-subscribed"}' });
+    });
+
+    await page.fill(selectors.footer.newsletterInput, testData.validNewsletter.email);
+
+    await page.check(selectors.footer.newsletterConsent);
+    await page.click(selectors.footer.newsletterButton);
+
+    await expect(page.locator(newsletterStatus)).toHaveClass(/info/, { timeout: 15000 });
+    await expect(page.locator(newsletterStatus)).toHaveText(`${testData.validNewsletter.email} is already subscribed.`);
+    await expect(page.locator(selectors.footer.newsletterInput)).toHaveValue(testData.validNewsletter.email);
+  });
+
+  test('should show an error and keep the address when the server fails', async ({ page }) => {
+    await page.route('/subscribe', async route => {
+      await route.fulfill({ status: 500, body: '' });
+    });
+
+    await page.fill(selectors.footer.newsletterInput, testData.validNewsletter.email);
+
+    await page.check(selectors.footer.newsletterConsent);
+    await page.click(selectors.footer.newsletterButton);
+
+    await expect(page.locator(newsletterStatus)).toHaveClass(/error/, { timeout: 15000 });
+    await expect(page.locator(selectors.footer.newsletterButton)).toBeEnabled();
+    await expect(page.locator(selectors.footer.newsletterInput)).toHaveValue(testData.validNewsletter.email);
+  });
+
+  test('should send one request when the form is submitted twice in a row', async ({ page }) => {
+    let requests = 0;
+    await page.route('/subscribe', async route => {
+      requests++;
+      await route.fulfill({ status: 202, contentType: 'application/json', body: '{"status":"pending"}' });
+    });
+
+    await page.fill(selectors.footer.newsletterInput, testData.validNewsletter.email);
+    await page.check(selectors.footer.newsletterConsent);
+    await page.evaluate(() => {
+      const form = document.querySelector('.newsletter-form');
+      form.requestSubmit();
+      form.requestSubmit();
+    });
+
+    await expect(page.locator(newsletterStatus)).toHaveClass(/success/, { timeout: 15000 });
+    expect(requests).toBe(1);
+  });
+
+  test('should confirm a subscription from the emailed link', async ({ page }) => {
+    let token = null;
+
+    await page.route('/subscribe/confirm', async route => {
+      if (route.request().method() !== 'POST') {
+        await route.fallback();
+        return;
+      }
+
+      ({ token } = route.request().postDataJSON());
+      await route.fulfill({ status: 200, contentType: 'application/json', body: '{"status":"subscribed"}' });
+    });
+
+    await page.goto('/subscribe/confirm?token=abc123');
+
+    const confirmation = page.locator('.newsletter-confirmation');
+    await expect(confirmation).toBeVisible();
+    await expect(confirmation).toHaveClass(/success/);
+    await expect(confirmation).toBeFocused();
+    expect(token).toBe('abc123');
+    expect(new URL(page.url()).search).toBe('');
+  });
+
+  test('should explain expired confirmation links', async ({ page }) => {
+    await page.route('/subscribe/confirm', async route => {
+      if (route.request().method() !== 'POST') {
+        await route.fallback();
+        return;
+      }
+
+      await route.fulfill({ status: 410, contentType: 'application/json', body: '{"error":"expired"}' });
+    });
+
+    await page.goto('/subscribe/confirm?token=old');
+
+    await expect(page.locator('.newsletter-confirmation')).toHaveClass(/error/);
+    await expect(page.locator('.newsletter-confirmation-message')).toContainText('expired');
+  });
+});
+
+test.describe('Newsletter - Preference Center', () => {
+  const preferenceSelectors = {
+    center: '.preference-center',
+    email: '.preference-email',
+    save: '.preference-save',
+    unsubscribe: '.preference-unsubscribe',
+    undo: '.preference-undo',
+    status: '.preference-status',
+    unsubscribed: '.preference-unsubscribed-message'
+  };
+
+  /**
+   * Serve the subscription API from an in-memory subscriber
+   * @param {import('@playwright/test').Page} page - Playwright page
+   * @param {Object} subscriber - Subscriber record, updated by PUT and DELETE requests
+   * @returns {Promise<Array<Object>>} - Received requests
+   */
+  async function mockSubscriptionApi(page, subscriber) {
+    const requests = [];
+
+    await page.route('/subscription', async route => {
+      const request = route.request();
+      const body = request.postDataJSON();
+      requests.push({ method: request.method(), authorization: request.headers().authorization, body });
+
+      if (request.method() === 'PUT') {
+        Object.assign(subscriber, body);
+      } else if (request.method() === 'DELETE') {
+        subscriber.status = 'unsubscribed';
+      }
+
+      await route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify(subscriber) });
+    });
+
+    return requests;
+  }
+
+  test('should load and save topics and frequency from a signed link', async ({ page }) => {
+    const requests = await mockSubscriptionApi(page, {
+      email: testData.validNewsletter.email,
+      topics: ['recipes'],
+      frequency: 'weekly',
+      status: 'subscribed'
+    });
+
+    await page.goto('/subscribe/preferences?token=signed-token');
+
+    await expect(page.locator(preferenceSelectors.email)).toContainText(testData.validNewsletter.email);
+    await expect(page.locator('.preference-form input[value="recipes"]')).toBeChecked();
+    await expect(page.locator('.preference-form input[value="weekly"]')).toBeChecked();
+    expect(new URL(page.url()).search).toBe('');
+
+    await page.locator('.preference-form input[value="product-launches"]').check();
+    await page.locator('.preference-form input[value="monthly"]').check();
+    await page.click(preferenceSelectors.save);
+
+    await expect(page.locator(preferenceSelectors.status)).toHaveClass(/success/);
+    const saved = requests.find(request => request.method === 'PUT');
+    expect(saved.authorization).toBe('Bearer signed-token');
+    expect(saved.body).toEqual({ topics: ['recipes', 'product-launches'], frequency: 'monthly', status: 'subscribed' });
+  });
+
+  test('should require a topic before saving', async ({ page }) => {
+    const requests = await mockSubscriptionApi(page, {
+      email: testData.validNewsletter.email,
+      topics: ['recipes'],
+      frequency: 'weekly',
+      status: 'subscribed'
+    });
+
+    await page.goto('/subscribe/preferences?token=signed-token');
+    await page.locator('.preference-form input[value="recipes"]').uncheck();
+    await page.click(preferenceSelectors.save);
+
+    await expect(page.locator('#preference-topics-error')).toContainText('unsubscribe');
+    expect(requests.filter(request => request.method === 'PUT')).toHaveLength(0);
+  });
+
+  test('should unsubscribe in one click and undo it', async ({ page }) => {
+    const requests = await mockSubscriptionApi(page, {
+      email: testData.validNewsletter.email,
+      topics: ['recipes', 'promotions'],
+      frequency: 'monthly',
+      status: 'subscribed'
+    });
+
+    await page.goto('/subscribe/preferences?token=signed-token');
+    await page.click(preferenceSelectors.unsubscribe);
+
+    await expect(page.locator(preferenceSelectors.unsubscribed)).toContainText('unsubscribed');
+    await expect(page.locator(preferenceSelectors.undo)).toBeFocused();
+    expect(requests.some(request => request.method === 'DELETE')).toBe(true);
+
+    await page.click(preferenceSelectors.undo);
+
+    await expect(page.locator(preferenceSelectors.status)).toHaveClass(/success/);
+    await expect(page.locator('.preference-form input[value="promotions"]')).toBeChecked();
+    const restored = requests.filter(request => request.method === 'PUT').pop();
+    expect(restored.body).toEqual({ topics: ['recipes', 'promotions'], frequency: 'monthly', status: 'subscribed' });
+  });
+
+  test('should explain expired preference links', async ({ page }) => {
+    await page.route('/subscription', async route => {
+      await route.fulfill({ status: 410, contentType: 'application/json', body: '{"error":"expired"}' });
+    });
+
+    await page.goto('/subscribe/preferences?token=old-token');
+
+    await expect(page.locator(preferenceSelectors.status)).toHaveClass(/error/);
+    await expect(page.locator(preferenceSelectors.status)).toContainText('expired');
+    await expect(page.locator('.preference-form')).toBeHidden();
+  });
+});
+
+test.describe('Attribution', () => {
+  test('should send first and last touch with contact submissions after consent', async ({ page }) => {
+    let payload = null;
+    await page.route('/submit-contact', async route => {
+      payload = route.request().postDataJSON();
+      await route.fulfill({ status: 200, contentType: 'application/json', body: '{"success":true}' });
+    });
+
+    await page.evaluate(() => window.Attribution.setConsent(true));
+    await page.goto('/?utm_source=mailer&utm_medium=email&utm_campaign=spring-sale&token=private');
+    await page.goto('/?gclid=abc123');
+
+    await fillContactForm(page, testData.validContact);
+    await page.click(selectors.contact.submitButton);
+    await expect(page.locator(selectors.contact.formStatus)).toHaveClass(/success/, { timeout: 15000 });
+
+    // The first page view of the session was a direct visit
+    expect(payload.attribution.firstTouch).toMatchObject({ source: '(direct)', medium: '(none)' });
+    expect(payload.attribution.lastTouch).toMatchObject({ source: 'google', medium: 'cpc', gclid: 'abc123' });
+
+    await page.goto('/');
+    const touches = await page.evaluate(() => window.Attribution.getData());
+    expect(touches.lastTouch.gclid).toBe('abc123');
+  });
+
+  test('should classify referrers and keep only attribution parameters', async ({ page }) => {
+    await page.evaluate(() => sessionStorage.clear());
+    await page.goto('/?utm_campaign=spring-sale&token=private', { referer: 'https://www.google.com/search?q=grills' });
+    await page.evaluate(() => window.Attribution.setConsent(true));
+
+    const { firstTouch } = await page.evaluate(() => window.Attribution.getData());
+    expect(firstTouch).toMatchObject({
+      source: 'google.com',
+      medium: 'organic',
+      campaign: 'spring-sale',
+      referrer: 'https://www.google.com/search'
+    });
+    expect(firstTouch.landingPage).toMatch(/\/\?utm_campaign=spring-sale$/);
+  });
+
+  test('should not send or keep attribution without consent', async ({ page }) => {
+    let payload = null;
+    await page.route('/subscribe', async route => {
+      payload = route.request().postDataJSON();
+      await route.fulfill({ status: 202, contentType: 'application/json', body: '{"status":"pending"}' });
+    });
+
+    await page.goto('/?utm_source=mailer');
+    await page.fill(selectors.footer.newsletterInput, testData.validNewsletter.email);
+    await page.check(selectors.footer.newsletterConsent);
+    await page.click(selectors.footer.newsletterButton);
+    await expect(page.locator('.newsletter-status')).toHaveClass(/success/, { timeout: 15000 });
+
+    expect(payload.attribution).toBeNull();
+    expect(await page.evaluate(() => sessionStorage.getItem('grill-business:attribution'))).toBeNull();
+
+    await page.evaluate(() => {
+      window.Attribution.setConsent(true);
+      window.Attribution.setConsent(false);
+    });
+    expect(await page.evaluate(() => sessionStorage.getItem('grill-business:attribution'))).toBeNull();
+    expect(await page.evaluate(() => window.Attribution.getData())).toBeNull();
+  });
+});
+
+test.describe('Privacy Consent', () => {
+  test('should require consent on the contact form and send a versioned record', async ({ page }) => {
+    let payload = null;
+    await page.route('/submit-contact', async route => {
+      payload = route.request().postDataJSON();
+      await route.fulfill({ status: 200, contentType: 'application/json', body: '{"success":true}' });
+    });
+
+    await fillContactForm(page, testData.validContact);
+    await page.uncheck(selectors.contact.consentCheckbox);
+    await page.click(selectors.contact.submitButton);
+
+    await expect(page.locator('#contact-consent-error')).toHaveText(
+      'Please agree to the privacy policy so we can store your details'
+    );
+    await expect(page.locator('.contact-form .consent-text a')).toHaveAttribute('href', '/privacy-policy');
+    expect(payload).toBeNull();
+
+    await page.check(selectors.contact.consentCheckbox);
+    await expect(page.locator('#contact-consent-error')).toBeEmpty();
+    await page.click(selectors.contact.submitButton);
+    await expect(page.locator(selectors.contact.formStatus)).toHaveClass(/success/, { timeout: 15000 });
+
+    const pageHash = await page.locator('.contact-form input[name="consentTextHash"]').inputValue();
+    expect(payload.consent).toMatchObject({ version: '2026-10-01', textHash: pageHash });
+    expect(Date.parse(payload.consent.timestamp)).not.toBeNaN();
+  });
+
+  test('should require consent before subscribing to the newsletter', async ({ page }) => {
+    let requests = 0;
+    await page.route('/subscribe', async route => {
+      requests++;
+      await route.fulfill({ status: 202, contentType: 'application/json', body: '{"status":"pending"}' });
+    });
+
+    await page.fill(selectors.footer.newsletterInput, testData.validNewsletter.email);
+    await page.click(selectors.footer.newsletterButton);
+
+    await expect(page.locator('#newsletter-consent-error')).toHaveText('Please agree to the privacy policy to subscribe');
+    await expect(page.locator(selectors.footer.newsletterConsent)).toBeFocused();
+    expect(requests).toBe(0);
+  });
+
+  test('should reject and store submissions by their consent in the mock backend', async ({ page }) => {
+    const missing = await page.request.post('/subscribe', { data: { email: 'no-consent@example.com' } });
+    expect(missing.status()).toBe(422);
+    expect((await missing.json()).errors.consent).toBeTruthy();
+
+    const outdated = await page.request.post('/subscribe', {
+      data: {
+        email: 'old-consent@example.com',
+        consent: { version: '2020-01-01', textHash: 'a'.repeat(64), timestamp: new Date().toISOString() }
+      }
+    });
+    expect(outdated.status()).toBe(422);
+
+    // A well-formed hash of some other text is not the consent text the form shows
+    const mismatched = await page.request.post('/subscribe', {
+      data: {
+        email: 'other-text@example.com',
+        consent: { version: '2026-10-01', textHash: 'a'.repeat(64), timestamp: new Date().toISOString() }
+      }
+    });
+    expect(mismatched.status()).toBe(422);
+    expect((await mismatched.json()).errors.consent).toBeTruthy();
+
+    const email = `consent-${Date.now()}@example.com`;
+    await page.fill(selectors.footer.newsletterInput, email);
+    await page.check(selectors.footer.newsletterConsent);
+    await page.click(selectors.footer.newsletterButton);
+    await expect(page.locator('.newsletter-status')).toHaveClass(/success/, { timeout: 15000 });
+
+    const data = await readMockData(page.request);
+    const subscriber = data.subscribers.find(item => item.email === email);
+    expect(subscriber.consent).toMatchObject({ version: '2026-10-01' });
+    expect(subscriber.consent.textHash).toMatch(/^[a-f0-9]{64}$/);
+  });
+});
+
+test.describe('Mock Backend', () => {
+  /**
+   * Make an email address no other test run has used
+   * @param {string} prefix - Local part prefix
+   * @returns {string} - Email address
+   */
+  function uniqueEmail(prefix) {
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}@example.com`;
+  }
+
+  test('should store contact submissions', async ({ page }) => {
+    const email = uniqueEmail('contact');
+
+    await fillContactForm(page, { ...testData.validContact, email });
+    await page.click(selectors.contact.submitButton);
+
+    await expect(page.locator(selectors.contact.formStatus)).toHaveClass(/success/, { timeout: 15000 });
+    const data = await readMockData(page.request);
+    const contact = data.contacts.find(item => item.fields.email === email);
+    expect(contact.lead.status).toBe('new');
+    expect(contact.fields.message).toBe(testData.validContact.message);
+    expect(contact.fields.powToken).toBeUndefined();
+    expect(contact.consent.version).toBe('2026-10-01');
+  });
+
+  test('should keep the stored data behind the lead inbox password', async ({ request }) => {
+    const response = await request.get('/__mock-backend/data');
+
+    expect(response.status()).toBe(401);
+    expect(response.headers()['www-authenticate']).toContain('Basic');
+    expect(await response.text()).not.toContain('@example.com');
+  });
+
+  test('should check the anti-spam fields of plain form posts that carry them', async ({ request }) => {
+    const form = {
+      name: testData.validContact.name,
+      message: testData.validContact.message,
+      consent: '2026-10-01',
+      consentTextHash: '1cdc0f13533e1cf9e9ff80a75b8621fc4bd1380b8a9570046c43a3e036773310'
+    };
+
+    const forged = await request.post('/submit-contact', {
+      form: { ...form, email: uniqueEmail('forged'), formElapsedMs: '5000', powToken: '1:15:0:forged:0' }
+    });
+    expect(forged.status()).toBe(400);
+
+    // The documented no-JavaScript path: neither field, only the honeypot is checked
+    const noScript = await request.post('/submit-contact', { form: { ...form, email: uniqueEmail('no-script') } });
+    expect(noScript.status()).toBe(201);
+  });
+
+  test('should accept script posts without a proof-of-work token on the other checks', async ({ page }) => {
+    // Insecure contexts (a LAN address, plain-HTTP staging) have no crypto.subtle
+    await page.addInitScript(() => {
+      Object.defineProperty(window.crypto, 'subtle', { value: undefined });
+    });
+    await page.goto('/');
+
+    const email = uniqueEmail('no-token');
+    let payload = null;
+    page.on('request', request => {
+      if (request.url().endsWith('/submit-contact')) {
+        payload = request.postDataJSON();
+      }
+    });
+
+    await fillContactForm(page, { ...testData.validContact, email });
+    await page.click(selectors.contact.submitButton);
+
+    await expect(page.locator(selectors.contact.formStatus)).toHaveClass(/success/, { timeout: 15000 });
+    expect(payload.powToken).toBeNull();
+    const data = await readMockData(page.request);
+    expect(data.contacts.some(item => item.fields.email === email)).toBe(true);
+
+    // Time-to-submit is still checked
+    const tooFast = await page.request.post('/submit-contact', {
+      data: { ...payload, email: uniqueEmail('no-token-fast'), submissionId: undefined, formElapsedMs: 100 }
+    });
+    expect(tooFast.status()).toBe(400);
+  });
+
+  test('should answer 400 to JSON bodies that are not objects', async ({ request }) => {
+    for (const body of ['null', '[]', '"text"', '{']) {
+      const response = await request.post('/submit-contact', {
+        headers: { 'Content-Type': 'application/json' },
+        data: body
+      });
+
+      expect(response.status()).toBe(400);
+      expect((await response.json()).error).toBe('invalid-json');
+    }
+  });
+
+  test('should return field errors for the 422 scenario header', async ({ page }) => {
+    await page.setExtraHTTPHeaders({ 'X-Mock-Scenario': '422' });
+
+    await fillContactForm(page, testData.validContact);
+    await page.click(selectors.contact.submitButton);
+
+    await expect(page.locator('.form-group:has(#email) .error-message')).toHaveText(
+      'This email address was rejected by the server.',
+      { timeout: 15000 }
+    );
+    await expect(page.locator(selectors.contact.emailInput)).toBeFocused();
+  });
+
+  test('should rate limit when the page is opened with the 429 scenario', async ({ page }) => {
+    await page.goto('/?scenario=429');
+
+    await fillContactForm(page, testData.validContact);
+    await page.click(selectors.contact.submitButton);
+
+    await expect(page.locator(selectors.contact.formStatus)).toContainText('30 seconds', { timeout: 15000 });
+  });
+
+  test('should run the double opt-in flow end to end', async ({ page }) => {
+    const email = uniqueEmail('newsletter');
+
+    await page.fill(selectors.footer.newsletterInput, email);
+
+    await page.check(selectors.footer.newsletterConsent);
+    await page.click(selectors.footer.newsletterButton);
+    await expect(page.locator('.newsletter-status')).toHaveClass(/success/, { timeout: 15000 });
+
+    const data = await readMockData(page.request);
+    const subscriber = data.subscribers.find(item => item.email === email);
+    expect(subscriber.status).toBe('pending');
+
+    await page.goto(`/subscribe/confirm?token=${subscriber.confirmToken}`);
+    await expect(page.locator('.newsletter-confirmation')).toHaveClass(/success/);
+
+    await page.fill(selectors.footer.newsletterInput, email);
+
+    await page.check(selectors.footer.newsletterConsent);
+    await page.click(selectors.footer.newsletterButton);
+    await expect(page.locator('.newsletter-status')).toHaveText(`${email} is already subscribed.`, {
+      timeout: 15000
+    });
+  });
+});
+
+test.describe('Lead Inbox', () => {
+  const credentials = leadsAdminCredentials;
+
+  test('should ask for a password', async ({ request }) => {
+    const response = await request.get('/admin/leads');
+
+    expect(response.status()).toBe(401);
+    expect(response.headers()['www-authenticate']).toContain('Basic');
+  });
+
+  test.describe('signed in', () => {
+    test.use({ httpCredentials: credentials });
+
+    test('should find a lead, update its status and keep notes', async ({ page }) => {
+      const email = `lead-${Date.now()}-${Math.random().toString(36).slice(2, 8)}@example.com`;
+
+      await fillContactForm(page, { ...testData.validContact, email });
+      await page.click(selectors.contact.submitButton);
+      await expect(page.locator(selectors.contact.formStatus)).toHaveClass(/success/, { timeout: 15000 });
+
+      await page.goto(`/admin/leads?q=${encodeURIComponent(email)}`);
+      const row = page.locator('tbody tr');
+      await expect(row).toHaveCount(1);
+      await expect(row).toContainText(testData.validContact.message);
+
+      await row.locator('select[name="status"]').selectOption('contacted');
+      await row.locator('form[action$="/status"] button').click();
+      await expect(page.locator('tbody tr .status-contacted')).toBeVisible();
+      await expect(page.locator('input[name="q"]')).toHaveValue(email);
+
+      await page.locator('tbody tr textarea[name="note"]').fill('Called back, sending a quote');
+      await page.locator('tbody tr form[action$="/notes"] button').click();
+      await expect(page.locator('tbody tr .notes')).toContainText('Called back, sending a quote');
+
+      await page.goto(`/admin/leads?q=${encodeURIComponent(email)}&status=closed`);
+      await expect(page.locator('tbody tr')).toHaveCount(0);
+    });
+
+    test('should export filtered leads as CSV and JSON', async ({ page }) => {
+      const csv = await page.request.get('/admin/leads/export.csv?type=newsletter');
+      expect(csv.headers()['content-type']).toContain('text/csv');
+      expect((await csv.text()).split('\r\n')[0]).toBe(
+        'id,type,receivedAt,status,name,email,phone,inquiryType,product,message,topics,subscription,notes'
+      );
+
+      const json = await (await page.request.get('/admin/leads/export.json?type=contact')).json();
+      expect(json.every(lead => lead.type === 'contact')).toBe(true);
+    });
+
+    test('should refuse changes posted from other sites', async ({ page }) => {
+      const response = await page.request.post('/admin/leads/any-lead/status', {
+        form: { status: 'closed' },
+        headers: { Origin: 'https://attacker.example' }
+      });
+
+      expect(response.status()).toBe(403);
+    });
+
+    test('should answer 404 to a malformed lead ID', async ({ page }) => {
+      const response = await page.request.post('/admin/leads/%E0%A4%A/status', {
+        form: { status: 'closed' }
+      });
+
+      expect(response.status()).toBe(404);
+    });
+  });
+});
+
+test.describe('Lead Notifications', () => {
+  const secret = 'playwright-webhooks';
+  const silentLogger = { info: () => undefined, warn: () => undefined, error: () => undefined };
+  const contact = {
+    id: 'lead-1',
+    receivedAt: '2026-05-01T12:00:00.000Z',
+    fields: {
+      ...testData.validContact,
+      name: 'Jo <b>Griller</b>',
+      inquiryType: 'maintenance',
+      repairFuelType: 'propane',
+      message: 'My burner <script>alert(1)</script> will not light.'
+    },
+    photos: [{ name: 'burner.jpg', size: 1024, type: 'image/jpeg' }]
+  };
+
+  test('should email the team an HTML and a plain-text version', async () => {
+    const smtp = await startSmtpCatcher({ port: 0 });
+    const notifier = createNotifier({
+      smtpUrl: `smtp://127.0.0.1:${smtp.port}`,
+      emailTo: 'leads@example.com, owner@example.com',
+      logger: silentLogger
+    });
+
+    try {
+      const result = await notifier.notifyNewLead(contact, { siteUrl: 'http://localhost:4173' });
+      expect(result.email.ok).toBe(true);
+
+      const [message] = smtp.messages;
+      expect(message.to).toEqual(['leads@example.com', 'owner@example.com']);
+      expect(message.subject).toBe('New maintenance inquiry from Jo <b>Griller</b>');
+      expect(message.headers['reply-to']).toContain(testData.validContact.email);
+      expect(message.text).toContain('Repair fuel type: propane');
+      expect(message.text).toContain(contact.fields.message);
+      expect(message.html).toContain('Jo &#60;b&#62;Griller&#60;/b&#62;');
+      expect(message.html).not.toContain('<script>');
+      expect(message.html).toContain('http://localhost:4173/admin/leads?q=');
+    } finally {
+      await smtp.close();
+    }
+  });
+
+  test('should post signed webhooks', async () => {
+    const receiver = await startWebhookReceiver({ port: 0, secret });
+    const notifier = createNotifier({
+      webhookUrls: `${receiver.url}/hooks/crm`,
+      webhookSecret: secret,
+      logger: silentLogger
+    });
+
+    try {
+      const [delivery] = (await notifier.notifyNewLead(contact)).webhooks;
+      expect(delivery.ok).toBe(true);
+
+      const [received] = receiver.deliveries;
+      expect(received.verified).toBe(true);
+      expect(received.event).toBe('lead.created');
+      expect(received.body.data.fields.email).toBe(testData.validContact.email);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('should escape visitor input in Slack messages', async () => {
+    const receiver = await startWebhookReceiver({ port: 0, secret });
+    const notifier = createNotifier({
+      webhookUrls: [{ url: `${receiver.url}/hooks/slack`, format: 'slack' }],
+      webhookSecret: secret,
+      logger: silentLogger
+    });
+
+    try {
+      await notifier.notifyNewLead({ ...contact, fields: { ...contact.fields, name: '<!channel>' } });
+
+      const { text } = receiver.deliveries[0].body;
+      expect(text).toContain('*&lt;!channel&gt;*');
+      expect(text).toContain('My burner &lt;script&gt;alert(1)&lt;/script&gt; will not light.');
+      expect(text).toMatch(/\|Open in the lead inbox>$/);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('should retry failed webhooks and keep the delivery ID', async () => {
+    const receiver = await startWebhookReceiver({ port: 0, secret, failures: 2 });
+    const notifier = createNotifier({
+      webhookUrls: receiver.url,
+      webhookSecret: secret,
+      webhookOptions: { baseDelay: 10 },
+      logger: silentLogger
+    });
+
+    try {
+      const [delivery] = (await notifier.notifyNewLead(contact)).webhooks;
+      expect(delivery).toMatchObject({ ok: true, attempts: 3 });
+      expect(new Set(receiver.requests.map(request => request.deliveryId)).size).toBe(1);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('should dead-letter webhooks that keep failing', async () => {
+    const receiver = await startWebhookReceiver({ port: 0, secret, failures: 10 });
+    const deadLetterFile = join(await mkdtemp(join(tmpdir(), 'grill-webhooks-')), 'dead-letter.jsonl');
+    const notifier = createNotifier({
+      webhookUrls: receiver.url,
+      webhookSecret: secret,
+      webhookOptions: { baseDelay: 10, maxAttempts: 3, deadLetterFile },
+      logger: silentLogger
+    });
+
+    try {
+      const [delivery] = (await notifier.notifyNewLead(contact)).webhooks;
+      expect(delivery).toMatchObject({ ok: false, attempts: 3, status: 503 });
+
+      const [entry] = (await readFile(deadLetterFile, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      expect(entry).toMatchObject({ event: 'lead.created', url: receiver.url, attempts: 3, status: 503 });
+      expect(entry.body.data.id).toBe(contact.id);
+    } finally {
+      await receiver.close();
+    }
   });
 });
 
@@ -1,11 +1,29 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
+import { mockBackend } from './server/mock-backend.js';
 
 export default defineConfig({
   root: '.',
   base: '/',
   publicDir: 'public',
   
+  // Serves /submit-contact, /subscribe, /subscription and /admin/leads in dev and preview
+  plugins: [
+    mockBackend({
+      tokenSecret: process.env.SUBSCRIPTION_TOKEN_SECRET,
+      adminUser: process.env.LEADS_ADMIN_USER,
+      adminPassword: process.env.LEADS_ADMIN_PASSWORD,
+      // New lead email and webhooks, off until set; see server/notification-sinks.js to try them locally
+      notifications: {
+        smtpUrl: process.env.NOTIFY_SMTP_URL,
+        emailFrom: process.env.NOTIFY_EMAIL_FROM,
+        emailTo: process.env.NOTIFY_EMAIL_TO,
+        webhookUrls: process.env.NOTIFY_WEBHOOK_URLS,
+        webhookSecret: process.env.NOTIFY_WEBHOOK_SECRET
+      }
+    })
+  ],
+  
   build: {
     outDir: 'dist',
     assetsDir: 'assets',